@@ -1,10 +1,12 @@
 import ow from 'ow';
+import * as os from 'os';
 import * as path from 'path';
 import * as _ from 'underscore';
 import { ENV_VARS, INTEGER_ENV_VARS, ACT_JOB_STATUSES } from '@apify/consts';
 import log from './utils_log';
 import { EXIT_CODES } from './constants';
-import { initializeEvents, stopEvents } from './events';
+import { initializeEvents, stopEvents, gracefulShutdown } from './events';
+import { Configuration } from './configuration';
 import {
     apifyClient,
     addCharsetToContentType,
@@ -120,6 +122,11 @@ export const getEnv = () => {
  *   is defined. If not, the functions sets <code>APIFY_LOCAL_STORAGE_DIR</code> to <code>./apify_storage</code>
  *   inside the current working directory. This is to simplify running code examples.
  * - It invokes the user function passed as the <code>userFunc</code> parameter.
+ * - When the process receives the `SIGINT` (e.g. Ctrl+C) or `SIGTERM` signal, it emits the `persistState` event,
+ *   lets the running crawlers finish the requests in progress and persist their state, and exits.
+ *   The crawlers wait for the requests at most `gracefulShutdownTimeoutMillis` (30 seconds by default, see {@link Configuration}).
+ *   When the crawlers are run again with the same storages, they continue where they stopped.
+ *   Sending the signal for the second time exits the process immediately.
  * - If the user function returned a promise, waits for it to resolve.
  * - If the user function throws an exception or some other error is encountered,
  *   prints error details to console so that they are stored to the log.
@@ -197,20 +204,51 @@ export const main = (userFunc) => {
     // Such a construct is used for testing of actor timeouts and aborts.
     const intervalId = setInterval(_.noop, 9999999);
 
+    const cleanUp = () => {
+        stopEvents();
+        clearInterval(intervalId);
+        process.removeListener('SIGINT', onExitSignal);
+        process.removeListener('SIGTERM', onExitSignal);
+    };
+
+    let isShuttingDown = false;
+    const onExitSignal = (signal) => {
+        const exitCode = 128 + os.constants.signals[signal];
+        if (isShuttingDown) {
+            log.warning(`Received ${signal} again, exiting without waiting for the state to be persisted.`);
+            exited = true;
+            process.exit(exitCode);
+            return;
+        }
+        isShuttingDown = true;
+
+        const timeoutMillis = Configuration.getGlobalConfig().get('gracefulShutdownTimeoutMillis');
+        log.info(`Received ${signal}, persisting the state before exiting. Send the signal again to exit immediately.`, { timeoutMillis });
+        gracefulShutdown({ signal, timeoutMillis })
+            .catch((err) => log.exception(err, 'Failed to persist the state before exiting.'))
+            .then(() => {
+                cleanUp();
+                if (!exited) {
+                    exited = true;
+                    process.exit(exitCode);
+                }
+            });
+    };
+    process.on('SIGINT', onExitSignal);
+    process.on('SIGTERM', onExitSignal);
+
     // Using async here to have nice stack traces for errors
     const run = async () => {
         initializeEvents();
         try {
             await userFunc();
 
-            stopEvents();
-            clearInterval(intervalId);
+            cleanUp();
             if (!exited) {
                 process.exit(EXIT_CODES.SUCCESS);
             }
         } catch (err) {
-            stopEvents();
-            clearInterval(intervalId);
+            cleanUp();
             if (!exited) {
                 exitWithError(err, EXIT_CODES.ERROR_USER_FUNCTION_THREW);
             }
@@ -527,11 +527,14 @@ export class Apify {
      *
      * @param {object} item Object or array of objects containing data to be stored in the default dataset.
      * The objects must be serializable to JSON and the JSON representation of each object must be smaller than 9MB.
+     * @param {object} [options]
+     * @param {string} [options.uniqueKey] Field of the items used to skip the items that were already stored,
+     *   see {@link Dataset#pushData}.
      * @returns {Promise<void>}
      */
-    async pushData(item) {
+    async pushData(item, options) {
         const dataset = await this.openDataset();
-        return dataset.pushData(item);
+        return dataset.pushData(item, options);
     }
 
     /**
@@ -550,15 +553,27 @@ export class Apify {
      * @param {boolean} [options.forceCloud=false]
      *   If set to `true` then the function uses cloud storage usage even if the `APIFY_LOCAL_STORAGE_DIR`
      *   environment variable is set. This way it is possible to combine local and cloud storage.
+     * @param {object} [options.schema]
+     *   JSON Schema of the dataset items, see {@link Apify#openDataset}.
+     * @param {string} [options.onInvalidItem='reject']
+     *   What {@link Dataset#pushData} does with the items that do not match the `schema`, see {@link Apify#openDataset}.
+     * @param {string} [options.uniqueKeyField]
+     *   Field of the items used by {@link Dataset#pushData} to skip the items that were already stored.
      * @returns {Promise<Dataset>}
      */
     async openDataset(datasetIdOrName, options = {}) {
         ow(datasetIdOrName, ow.optional.string);
         ow(options, ow.object.exactShape({
             forceCloud: ow.optional.boolean,
+            schema: ow.optional.object,
+            onInvalidItem: ow.optional.string.oneOf(['reject', 'drop', 'tag']),
+            uniqueKeyField: ow.optional.string.nonEmpty,
         }));
 
-        return this._getStorageManager(Dataset).openStorage(datasetIdOrName, options);
+        const { schema, onInvalidItem = 'reject', uniqueKeyField, ...storageOptions } = options;
+        const dataset = await this._getStorageManager(Dataset).openStorage(datasetIdOrName, storageOptions);
+        if (!schema && !uniqueKeyField) return dataset;
+        return dataset._withOptions({ schema, onInvalidItem, uniqueKeyField }); // eslint-disable-line no-underscore-dangle
     }
 
     /**
@@ -1,4 +1,5 @@
 import { betterSetInterval, betterClearInterval } from '@apify/utilities';
+import { EventEmitter } from 'events';
 import ow from 'ow';
 import Snapshotter, { SnapshotterOptions } from './snapshotter'; // eslint-disable-line import/named,no-unused-vars
 import SystemStatus, { SystemStatusOptions } from './system_status'; // eslint-disable-line import/named,no-unused-vars
@@ -110,8 +111,11 @@ import { addTimeoutToPromise } from '../utils';
  *
  * await pool.run();
  * ```
+ *
+ * Whenever the desired concurrency changes, the pool emits the `concurrencyChanged` event
+ * with an object containing the `oldConcurrency` and `newConcurrency` properties.
  */
-class AutoscaledPool {
+class AutoscaledPool extends EventEmitter {
     /**
      * @param {AutoscaledPoolOptions} options
      *  All `AutoscaledPool` configuration options.
@@ -155,6 +159,8 @@ class AutoscaledPool {
             log = defaultLog,
         } = options;
 
+        super();
+
         /**
          * @type {defaultLog.Log}
          */
@@ -250,7 +256,7 @@ class AutoscaledPool {
      */
     set desiredConcurrency(value) {
         ow(value, ow.number);
-        this._desiredConcurrency = value;
+        this._setDesiredConcurrency(value);
     }
 
     /**
@@ -524,7 +530,7 @@ class AutoscaledPool {
      */
     _scaleUp(systemStatus) {
         const step = Math.ceil(this._desiredConcurrency * this.scaleUpStepRatio);
-        this._desiredConcurrency = Math.min(this._maxConcurrency, this._desiredConcurrency + step);
+        this._setDesiredConcurrency(Math.min(this._maxConcurrency, this._desiredConcurrency + step));
         this.log.debug('scaling up', {
             oldConcurrency: this._desiredConcurrency - step,
             newConcurrency: this._desiredConcurrency,
@@ -543,7 +549,7 @@ class AutoscaledPool {
      */
     _scaleDown(systemStatus) {
         const step = Math.ceil(this._desiredConcurrency * this.scaleUpStepRatio);
-        this._desiredConcurrency = Math.max(this._minConcurrency, this._desiredConcurrency - step);
+        this._setDesiredConcurrency(Math.max(this._minConcurrency, this._desiredConcurrency - step));
         this.log.debug('scaling down', {
             oldConcurrency: this._desiredConcurrency + step,
             newConcurrency: this._desiredConcurrency,
@@ -551,6 +557,20 @@ class AutoscaledPool {
         });
     }
 
+    /**
+     * Sets the desired concurrency and emits the `concurrencyChanged` event if it has changed.
+     *
+     * @param {number} value
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _setDesiredConcurrency(value) {
+        const oldConcurrency = this._desiredConcurrency;
+        this._desiredConcurrency = value;
+        if (value !== oldConcurrency) this.emit('concurrencyChanged', { oldConcurrency, newConcurrency: value });
+    }
+
     /**
      * If there are no running tasks and this.isFinishedFunction() returns true then closes
      * the pool and resolves the pool's promise returned by the run() method.
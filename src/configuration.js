@@ -29,6 +29,7 @@ import log from './utils_log';
  * `localStorageDir` | `APIFY_LOCAL_STORAGE_DIR` | `'./apify_storage'`
  * `localStorageEnableWalMode` | `APIFY_LOCAL_STORAGE_ENABLE_WAL_MODE` | `true`
  * `persistStateIntervalMillis` | `APIFY_PERSIST_STATE_INTERVAL_MILLIS` | `60e3`
+ * `gracefulShutdownTimeoutMillis` | `APIFY_GRACEFUL_SHUTDOWN_TIMEOUT_MILLIS` | `30e3`
  * `token` | `APIFY_TOKEN` | -
  *
  * ## Advanced Configuration Options
@@ -70,6 +71,7 @@ export class Configuration {
         APIFY_METAMORPH_AFTER_SLEEP_MILLIS: 'metamorphAfterSleepMillis',
         APIFY_PERSIST_STATE_INTERVAL_MILLIS: 'persistStateIntervalMillis',
         APIFY_TEST_PERSIST_INTERVAL_MILLIS: 'persistStateIntervalMillis', // for BC, seems to be unused
+        APIFY_GRACEFUL_SHUTDOWN_TIMEOUT_MILLIS: 'gracefulShutdownTimeoutMillis',
         APIFY_ACTOR_EVENTS_WS_URL: 'actorEventsWsUrl',
         APIFY_INPUT_KEY: 'inputKey',
         APIFY_ACTOR_ID: 'actorId',
@@ -100,7 +102,7 @@ export class Configuration {
 
     static BOOLEAN_VARS = ['localStorageEnableWalMode'];
 
-    static INTEGER_VARS = ['proxyPort', 'memoryMbytes', 'containerPort'];
+    static INTEGER_VARS = ['proxyPort', 'memoryMbytes', 'containerPort', 'gracefulShutdownTimeoutMillis'];
 
     static DEFAULTS = {
         defaultKeyValueStoreId: LOCAL_ENV_VARS[ENV_VARS.DEFAULT_KEY_VALUE_STORE_ID],
@@ -116,6 +118,7 @@ export class Configuration {
         metamorphAfterSleepMillis: 300e3,
         persistStateIntervalMillis: 60e3, // This value is mentioned in jsdoc in `events.js`, if you update it here, update it there too.
         localStorageEnableWalMode: true,
+        gracefulShutdownTimeoutMillis: 30e3,
     };
 
     /**
@@ -1,11 +1,22 @@
 import { ACTOR_EVENT_NAMES } from '@apify/consts';
 import { cryptoRandomObjectId } from '@apify/utilities';
+import { EventEmitter } from 'events';
 import ow, { ArgumentError } from 'ow';
 import * as _ from 'underscore';
 import AutoscaledPool from '../autoscaling/autoscaled_pool'; // eslint-disable-line import/no-duplicates
-import events from '../events';
+import events, { addShutdownHandler, removeShutdownHandler } from '../events'; // eslint-disable-line import/no-duplicates
 import { openSessionPool } from '../session_pool/session_pool'; // eslint-disable-line import/no-duplicates
+import SESSION_EVENTS from '../session_pool/events';
+import { openRequestQueue } from '../storages/request_queue'; // eslint-disable-line import/no-duplicates
+import { openKeyValueStore } from '../storages/key_value_store';
+import { flushDatasetWriters } from '../storages/dataset_writer';
+import CRAWLER_EVENTS from './crawler_events';
 import Statistics from './statistics';
+import Router from './router'; // eslint-disable-line import/no-duplicates
+import RetryPolicy from './retry_policy'; // eslint-disable-line import/no-duplicates
+import DomainThrottle from './domain_throttle'; // eslint-disable-line import/no-duplicates
+import { enqueueLinks } from '../enqueue_links/enqueue_links';
+import { Tracer, runWithActiveSpan, traceAsync } from '../tracing'; // eslint-disable-line import/no-duplicates
 import { addTimeoutToPromise } from '../utils';
 import defaultLog from '../utils_log';
 import { validators } from '../validators';
@@ -14,12 +25,18 @@ import { validators } from '../validators';
 /* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order */
 import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
 import { ProxyInfo } from '../proxy_configuration';
-import Request from '../request';
+import Request, { RequestOptions } from '../request';
 import { RequestList } from '../request_list';
 import { RequestQueue } from '../storages/request_queue';
 import { QueueOperationInfo } from '../storages/request_queue';
 import { Session } from '../session_pool/session';
 import { SessionPoolOptions } from '../session_pool/session_pool';
+import { Route } from './router';
+import { RetryPolicyOptions } from './retry_policy';
+import { DomainThrottleOptions } from './domain_throttle';
+import { Span } from '../tracing';
+import { ShutdownInfo } from '../events';
+import { RequestTimings } from '../request';
 /* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
 
 /**
@@ -29,6 +46,22 @@ import { SessionPoolOptions } from '../session_pool/session_pool';
  * @property {Session} session
  * @property {ProxyInfo} proxyInfo
  * @property {*} response
+ * @property {Route} [route]
+ *   The route resolved from `request.userData.label`. Only available when the crawler uses a {@link Router}.
+ * @property {function(Object<string, *>=):Promise<Array<QueueOperationInfo>>} enqueueLinks
+ *   Calls {@link utils#enqueueLinks} with the crawler's {@link RequestQueue} and the current request as the parent request,
+ *   so that the crawl depth of the enqueued requests is tracked and limited by {@link BasicCrawlerOptions.maxCrawlDepth}.
+ *   When the options contain neither `$` nor `page`, those of the crawling context are used.
+ * @property {Error} [error]
+ *   The error thrown while processing the request. Only available in the `handleFailedRequestFunction`
+ *   and in the `requestRetried` and `requestFailed` events of the crawler.
+ * @property {Span} span
+ *   The span tracing the processing of the request, see {@link BasicCrawlerOptions.tracer}.
+ *   It can be used to add attributes or child spans, e.g. `span.setAttribute('product.id', id)`.
+ * @property {RequestTimings} timings
+ *   Durations of the phases of the request processing, filled in as the phases finish.
+ *   The `handlerMillis` phase is available after the user function finished,
+ *   e.g. in the `handleFailedRequestFunction` or in the `requestSucceeded` event of the crawler.
  */
 
 /**
@@ -44,9 +77,19 @@ import { SessionPoolOptions } from '../session_pool/session_pool';
  */
 const SAFE_MIGRATION_WAIT_MILLIS = 20000;
 
+/**
+ * Maximum number of requests that the crawler keeps in memory because they can't be processed yet,
+ * either because they wait for a retry or because their hostname is saturated. Once the limit is reached,
+ * no new requests are fetched from the request list or queue until some of the waiting requests are processed.
+ *
+ * @type {number}
+ * @ignore
+ */
+const MAX_DELAYED_REQUESTS = 1000;
+
 /**
  * @typedef BasicCrawlerOptions
- * @property {HandleRequest} handleRequestFunction
+ * @property {HandleRequest} [handleRequestFunction]
  *   User-provided function that performs the logic of the crawler. It is called for each URL to crawl.
  *
  *   The function receives the following object as an argument:
@@ -69,12 +112,21 @@ const SAFE_MIGRATION_WAIT_MILLIS = 20000;
  *   let your function throw exceptions rather than catch them.
  *   The exceptions are logged to the request using the
  *   {@link Request#pushErrorMessage} function.
+ *
+ *   Either `handleRequestFunction` or `router` option must be provided, but not both.
+ * @property {Router} [router]
+ *   A {@link Router} that dispatches the requests to handlers registered for their `request.userData.label`.
+ *   The route is resolved before the user code runs and its handler is called with the same
+ *   arguments as `handleRequestFunction`. Routes can override `maxRequestRetries` and `handleRequestTimeoutSecs`.
+ *
+ *   Either `handleRequestFunction` or `router` option must be provided, but not both.
  * @property {RequestList} [requestList]
  *   Static list of URLs to be processed.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   It can be used together with the `requestQueue` option.
  * @property {RequestQueue} [requestQueue]
  *   Dynamic queue of URLs to be processed. This is useful for recursive crawling of websites.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   If neither `requestList` nor `requestQueue` is provided, the default request queue is opened when the crawler starts,
+ *   e.g. to process the requests passed to {@link BasicCrawler#run} or {@link BasicCrawler#addRequests}.
  * @property {number} [handleRequestTimeoutSecs=60]
  *   Timeout in which the function passed as `handleRequestFunction` needs to finish, in seconds.
  * @property {HandleFailedRequest} [handleFailedRequestFunction]
@@ -97,10 +149,20 @@ const SAFE_MIGRATION_WAIT_MILLIS = 20000;
  *   for the default implementation of this function.
  * @property {number} [maxRequestRetries=3]
  *   Indicates how many times the request is retried if {@link BasicCrawlerOptions.handleRequestFunction} fails.
+ * @property {RetryPolicyOptions} [retryPolicyOptions]
+ *   Configures how the failed requests are retried. The errors are classified, e.g. as timeouts or blocked requests,
+ *   and each class can be given its own maximum number of retries. The failed requests can also be retried
+ *   with an exponential backoff instead of immediately.
  * @property {number} [maxRequestsPerCrawl]
  *   Maximum number of pages that the crawler will open. The crawl will stop when this limit is reached.
  *   Always set this value in order to prevent infinite loops in misconfigured crawlers.
  *   Note that in cases of parallel crawling, the actual number of pages visited might be slightly higher than this value.
+ * @property {number} [maxCrawlDepth]
+ *   Maximum number of links followed from the start URLs, where the start URLs have depth `0`.
+ *   Deeper requests are dropped by the `enqueueLinks()` function of the crawling context before they're enqueued,
+ *   and the deeper requests that were enqueued by other means are skipped without being processed.
+ *   The number of dropped requests is available in `crawler.stats.state.requestsDroppedByCrawlDepth`.
+ *   See {@link Request#crawlDepth}.
  * @property {AutoscaledPoolOptions} [autoscaledPoolOptions]
  *   Custom options passed to the underlying {@link AutoscaledPool} constructor.
  *   Note that the `runTaskFunction` and `isTaskReadyFunction` options
@@ -113,6 +175,21 @@ const SAFE_MIGRATION_WAIT_MILLIS = 20000;
  *   If you're not sure, just keep the default value and the concurrency will scale up automatically.
  * @property {number} [maxConcurrency=1000]
  *   Sets the maximum concurrency (parallelism) for the crawl. Shortcut to the corresponding {@link AutoscaledPool} option.
+ * @property {DomainThrottleOptions} [domainThrottleOptions]
+ *   Limits the number of parallel requests and the delay between requests to a single hostname,
+ *   optionally with different limits for specific domains. Requests to a hostname that reached its limits
+ *   are set aside and processed once the hostname is available again, while requests to other hostnames
+ *   continue to be processed.
+ * @property {Tracer} [tracer]
+ *   Traces the processing of every request with a `request` span and its child spans, such as `handler`
+ *   and the storage writes made by the handler. The spans carry the request URL, retry count, session ID and proxy.
+ *   By default, nothing is traced. See {@link Tracer}. Any object with the `startSpan()` method of {@link Tracer} can be used,
+ *   its `flush()` method is optional.
+ * @property {boolean} [saveRequestTimings=false]
+ *   Saves the durations of the phases of the request processing, which are available
+ *   in the `timings` property of the crawling context, to the `timings` property of the request.
+ *   The timings are then persisted with the request in the request queue, so they are available
+ *   e.g. for requests that failed, or in the handler of a retried request.
  * @property {boolean} [useSessionPool=true]
  *   Basic crawler will initialize the  {@link SessionPool} with the corresponding `sessionPoolOptions`.
  *   The session instance will be than available in the `handleRequestFunction`.
@@ -175,6 +252,38 @@ const SAFE_MIGRATION_WAIT_MILLIS = 20000;
  *
  * await crawler.run();
  * ```
+ *
+ * **Events**
+ *
+ * The crawler is an [`EventEmitter`](https://nodejs.org/api/events.html#events_class_eventemitter)
+ * and emits the following events during its lifecycle:
+ *
+ * - `requestStarted` - with the {@link CrawlingContext}, before the request is processed.
+ * - `requestSucceeded` - with the {@link CrawlingContext}, after the request was processed successfully.
+ * - `requestRetried` - with the {@link CrawlingContext} containing the `error`, when a failed request is reclaimed to be retried.
+ * - `requestFailed` - with the {@link CrawlingContext} containing the `error`, when a request failed and will not be retried anymore.
+ * - `sessionRetired` - with the retired {@link Session} and the {@link CrawlingContext} of the request during which
+ *   it was retired, if any.
+ * - `concurrencyChanged` - with an object containing the `oldConcurrency` and `newConcurrency` properties,
+ *   when the {@link AutoscaledPool} changes the desired concurrency.
+ * - `finished` - with the final request statistics, when the {@link BasicCrawler#run} function is about to resolve.
+ *
+ * Exceptions thrown by the listeners, including the rejections of async listeners, are logged
+ * and do not affect the processing of the requests.
+ *
+ * ```javascript
+ * crawler.on('requestFailed', ({ request, error }) => {
+ *     console.log(`Request ${request.url} failed: ${error.message}`);
+ * });
+ * ```
+ *
+ * **Resuming interrupted crawls**
+ *
+ * When the process running inside {@link Apify#main} receives the `SIGINT` (e.g. Ctrl+C) or `SIGTERM` signal,
+ * the crawler waits for the requests in progress to finish, persists the state of its request list,
+ * session pool and statistics, and marks the crawl as interrupted. When the crawler is run again
+ * with the same storages, it continues where it stopped. For the request list to be resumed, it needs to be
+ * opened by {@link Apify#openRequestList}, which persists its state.
  * @property {Statistics} stats
  *  Contains statistics about the current run.
  * @property {RequestList} [requestList]
@@ -189,22 +298,25 @@ const SAFE_MIGRATION_WAIT_MILLIS = 20000;
  * @property {AutoscaledPool} autoscaledPool
  *  A reference to the underlying {@link AutoscaledPool} class that manages the concurrency of the crawler.
  *  Note that this property is only initialized after calling the {@link BasicCrawler#run} function.
- *  You can use it to change the concurrency settings on the fly,
- *  to pause the crawler by calling {@link AutoscaledPool#pause}
- *  or to abort it by calling {@link AutoscaledPool#abort}.
+ *  You can use it to change the concurrency settings on the fly.
+ *  To pause or stop the crawler, use {@link BasicCrawler#pause} and {@link BasicCrawler#stop},
+ *  which also persist the state of the crawler.
  */
-export class BasicCrawler {
+export class BasicCrawler extends EventEmitter {
     static optionsShape = {
         requestList: ow.optional.object.validate(validators.requestList),
         requestQueue: ow.optional.object.validate(validators.requestQueue),
         // Subclasses override this function instead of passing it
         // in constructor, so this validation needs to apply only
         // if the user creates an instance of BasicCrawler directly.
-        handleRequestFunction: ow.function,
+        handleRequestFunction: ow.optional.function,
+        router: ow.optional.object.instanceOf(Router),
         handleRequestTimeoutSecs: ow.optional.number,
         handleFailedRequestFunction: ow.optional.function,
         maxRequestRetries: ow.optional.number,
+        retryPolicyOptions: ow.optional.object,
         maxRequestsPerCrawl: ow.optional.number,
+        maxCrawlDepth: ow.optional.number.integer.greaterThanOrEqual(0),
         autoscaledPoolOptions: ow.optional.object,
         sessionPoolOptions: ow.optional.object,
         useSessionPool: ow.optional.boolean,
@@ -213,6 +325,10 @@ export class BasicCrawler {
         minConcurrency: ow.optional.number,
         maxConcurrency: ow.optional.number,
 
+        domainThrottleOptions: ow.optional.object,
+        tracer: ow.optional.object.hasKeys('startSpan'),
+        saveRequestTimings: ow.optional.boolean,
+
         // internal
         log: ow.optional.object,
     };
@@ -223,15 +339,19 @@ export class BasicCrawler {
      */
     constructor(options) {
         ow(options, 'BasicCrawlerOptions', ow.object.exactShape(BasicCrawler.optionsShape));
+        super();
 
         const {
             requestList,
             requestQueue,
             handleRequestFunction,
+            router,
             handleRequestTimeoutSecs = 60,
             handleFailedRequestFunction,
             maxRequestRetries = 3,
+            retryPolicyOptions,
             maxRequestsPerCrawl,
+            maxCrawlDepth,
             autoscaledPoolOptions = {},
             sessionPoolOptions = {},
             useSessionPool = true,
@@ -240,12 +360,16 @@ export class BasicCrawler {
             minConcurrency,
             maxConcurrency,
 
+            domainThrottleOptions,
+            tracer = new Tracer(),
+            saveRequestTimings = false,
+
             // internal
             log = defaultLog.child({ prefix: this.constructor.name }),
         } = options;
 
-        if (!requestList && !requestQueue) {
-            const msg = 'At least one of the parameters "options.requestList" and "options.requestQueue" must be provided!';
+        if (!handleRequestFunction === !router) {
+            const msg = 'Exactly one of the parameters "options.handleRequestFunction" and "options.router" must be provided!';
             throw new ArgumentError(msg, this.constructor);
         }
 
@@ -254,13 +378,33 @@ export class BasicCrawler {
         this.log = log;
         this.requestList = requestList;
         this.requestQueue = requestQueue;
-        this.userProvidedHandler = handleRequestFunction;
+        this.router = router;
+        this.userProvidedHandler = handleRequestFunction || ((crawlingContext) => router.handle(crawlingContext));
         this.failedContextHandler = handleFailedRequestFunction;
         this.handleRequestTimeoutMillis = handleRequestTimeoutSecs * 1000;
         this.handleFailedRequestFunction = handleFailedRequestFunction;
         this.maxRequestRetries = maxRequestRetries;
+        this.retryPolicy = new RetryPolicy(retryPolicyOptions);
+        this.domainThrottle = new DomainThrottle(domainThrottleOptions);
+        this.tracer = tracer;
+        this.saveRequestTimings = saveRequestTimings;
+        this.maxCrawlDepth = maxCrawlDepth;
+        /**
+         * Requests fetched before their `retryAt` time or while their hostname was saturated, keyed by `uniqueKey`.
+         * They stay in progress in their source until they are processed.
+         * @type {Map<string, Request>}
+         */
+        this.delayedRequests = new Map();
+        /**
+         * Times when the requests were fetched from their source, used to measure how long they waited for processing.
+         * @type {WeakMap<Request, number>}
+         */
+        this.requestFetchedAt = new WeakMap();
         this.handledRequestsCount = 0;
         this.stats = new Statistics({ logMessage: `${log.getOptions().prefix} request statistics:` });
+        // The statistics ID is the same when the crawlers are created in the same order after a restart.
+        this.checkpointKey = `SDK_CRAWLER_CHECKPOINT_${this.stats.id}`;
+        this.shutdownHandler = this._checkpointOnShutdown.bind(this);
         /** @type {SessionPoolOptions} */
         this.sessionPoolOptions = {
             ...sessionPoolOptions,
@@ -317,6 +461,8 @@ export class BasicCrawler {
         this.autoscaledPoolOptions = _.defaults({}, basicCrawlerAutoscaledPoolConfiguration, autoscaledPoolOptions);
 
         this.isRunningPromise = null;
+        /** @type {Promise<RequestQueue>} */
+        this.defaultRequestQueuePromise = null;
 
         // Attach a listener to handle migration and aborting events gracefully.
         events.on(ACTOR_EVENT_NAMES.MIGRATING, this._pauseOnMigration.bind(this));
@@ -326,31 +472,108 @@ export class BasicCrawler {
     /**
      * Runs the crawler. Returns a promise that gets resolved once all the requests are processed.
      *
+     * The crawler can be run repeatedly, every run processes the requests that were added to the crawler
+     * since the previous one finished. If the crawler is already running, the returned promise resolves
+     * when the current run finishes.
+     *
+     * @param {Array<(RequestOptions|Request|string)>} [requests]
+     *   Requests to be processed, which are added to the crawler's request queue before the run starts.
+     *   See {@link BasicCrawler#addRequests}.
+     * @return {Promise<void>}
+     */
+    async run(requests) {
+        if (this.isRunningPromise) {
+            if (requests) await this.addRequests(requests);
+            return this.isRunningPromise;
+        }
+
+        // Set before anything is awaited, so that concurrent calls don't start another run.
+        this.isRunningPromise = this._run(requests);
+        try {
+            await this.isRunningPromise;
+        } finally {
+            this.isRunningPromise = null;
+        }
+    }
+
+    /**
+     * @param {Array<(RequestOptions|Request|string)>} [requests]
      * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
      */
-    async run() {
-        if (this.isRunningPromise) return this.isRunningPromise;
+    async _run(requests) {
+        if (requests) await this.addRequests(requests);
 
         await this._init();
-        this.isRunningPromise = this.autoscaledPool.run();
+        const poolPromise = this.autoscaledPool.run();
         await this.stats.startCapturing();
+        addShutdownHandler(this.shutdownHandler);
 
         try {
-            await this.isRunningPromise;
+            await poolPromise;
         } finally {
+            removeShutdownHandler(this.shutdownHandler);
             await this.teardown();
             await this.stats.stopCapturing();
-            const finalStats = this.stats.calculate();
-            const { requestsFailed, requestsFinished } = this.stats.state;
-            this.log.info('Final request statistics:', {
+            await this._flushTracer();
+            await flushDatasetWriters();
+            const { requestsFailed, requestsFinished, requestsDroppedByCrawlDepth } = this.stats.state;
+            const finalStats = {
                 requestsFinished,
                 requestsFailed,
+                requestsDroppedByCrawlDepth,
                 retryHistogram: this.stats.requestRetryHistogram,
-                ...finalStats,
-            });
+                ...this.stats.calculate(),
+                topErrors: this.stats.getTopErrors(),
+            };
+            this.log.info('Final request statistics:', finalStats);
+            this._emitEvent(CRAWLER_EVENTS.FINISHED, finalStats);
         }
     }
 
+    /**
+     * Adds requests to the crawler's request queue. If the crawler was created without a request queue,
+     * the default request queue is opened and used by the crawler from its next run on.
+     *
+     * The requests can be added also while the crawler is running, they are processed before the run finishes.
+     * The only exception is a crawler with just a request list, whose source of requests cannot change
+     * during a run, so the requests are processed in its next run.
+     *
+     * @param {Array<(RequestOptions|Request|string)>} requests
+     *   Requests or their URLs.
+     * @param {object} [options]
+     * @param {boolean} [options.forefront=false]
+     *   If `true`, the requests are processed before the requests that are already in the queue.
+     * @return {Promise<Array<QueueOperationInfo>>}
+     */
+    async addRequests(requests, options = {}) {
+        ow(requests, ow.array.ofType(ow.any(ow.string, ow.object)));
+        ow(options, ow.object.exactShape({
+            forefront: ow.optional.boolean,
+        }));
+
+        const requestQueue = await this._getRequestQueue();
+        const requestsLike = requests.map((request) => (typeof request === 'string' ? { url: request } : request));
+        return requestQueue.addRequests(requestsLike, options);
+    }
+
+    /**
+     * Returns the request queue of the crawler, opening the default one if the crawler doesn't have any.
+     * The default queue becomes the request queue of the crawler when a run starts, never during a run.
+     *
+     * @return {Promise<RequestQueue>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _getRequestQueue() {
+        if (this.requestQueue) return this.requestQueue;
+        if (!this.defaultRequestQueuePromise) this.defaultRequestQueuePromise = openRequestQueue();
+        return this.defaultRequestQueuePromise;
+    }
+
     /**
      * @return {Promise<void>}
      * @ignore
@@ -362,14 +585,25 @@ export class BasicCrawler {
         // so that the caller can get a reference to it before awaiting the promise returned from run()
         // (otherwise there would be no way)
         this.autoscaledPool = new AutoscaledPool(this.autoscaledPoolOptions);
+        this.autoscaledPool.on('concurrencyChanged', (info) => this._emitEvent(CRAWLER_EVENTS.CONCURRENCY_CHANGED, info));
+
+        // The crawler needs a source of requests, even if no requests were added to it yet.
+        if (!this.requestQueue && (!this.requestList || this.defaultRequestQueuePromise)) {
+            this.requestQueue = await this._getRequestQueue();
+        }
 
         if (this.useSessionPool) {
             this.sessionPool = await openSessionPool(this.sessionPoolOptions);
             // Assuming there are not more than 20 browsers running at once;
             this.sessionPool.setMaxListeners(20);
+            this.sessionPool.on(SESSION_EVENTS.SESSION_RETIRED, (session) => {
+                const crawlingContext = [...this.crawlingContexts.values()].find((context) => context.session === session);
+                this._emitEvent(CRAWLER_EVENTS.SESSION_RETIRED, session, crawlingContext);
+            });
         }
 
         await this._loadHandledRequestCount();
+        await this._loadCheckpoint();
     }
 
     /**
@@ -380,7 +614,86 @@ export class BasicCrawler {
      * @internal
      */
     async _handleRequestFunction(crawlingContext) { // eslint-disable-line no-unused-vars
-        await this.userProvidedHandler(crawlingContext);
+        await this._runUserHandler(crawlingContext, () => this.userProvidedHandler(crawlingContext));
+    }
+
+    /**
+     * Runs the user function in the `handler` span and measures its duration.
+     *
+     * @param {CrawlingContext} crawlingContext
+     * @param {function(): Promise<*>} fn
+     * @return {Promise<*>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _runUserHandler(crawlingContext, fn) {
+        const startedAt = Date.now();
+        try {
+            return await traceAsync('handler', fn, { parent: crawlingContext.span });
+        } finally {
+            crawlingContext.timings.handlerMillis = Date.now() - startedAt;
+        }
+    }
+
+    /**
+     * Pauses the crawler. No new requests are started and the returned promise resolves once all the requests
+     * that are in progress have finished and the state of the request list, session pool and statistics has been persisted.
+     * The promise returned from {@link BasicCrawler#run} does not resolve while the crawler is paused.
+     * Use {@link BasicCrawler#resume} to continue crawling.
+     *
+     * When called from the `handleRequestFunction`, do not await the returned promise,
+     * because it waits also for the `handleRequestFunction` itself to finish.
+     *
+     * @return {Promise<void>}
+     */
+    async pause() {
+        if (!this.autoscaledPool) throw new Error('The crawler cannot be paused, because it is not running. Call crawler.run() first.');
+
+        this.log.info('Pausing the crawler, waiting for the requests in progress to finish.');
+        await this.autoscaledPool.pause();
+        await this._persistState();
+        this.log.info('The crawler was paused.');
+    }
+
+    /**
+     * Resumes the crawler paused by {@link BasicCrawler#pause}.
+     */
+    resume() {
+        if (!this.autoscaledPool) throw new Error('The crawler cannot be resumed, because it is not running. Call crawler.run() first.');
+
+        this.autoscaledPool.resume();
+        this.log.info('The crawler was resumed.');
+    }
+
+    /**
+     * Stops the crawler. The state of the request list, session pool and statistics is persisted
+     * and the promise returned from {@link BasicCrawler#run} resolves. Requests that were not processed yet
+     * stay in the request queue or request list, so the crawl can be continued later.
+     *
+     * Like with {@link BasicCrawler#pause}, do not await the returned promise of a graceful stop
+     * when called from the `handleRequestFunction`.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.graceful=true]
+     *   If `true`, the crawler waits for the requests that are in progress to finish before stopping.
+     *   Otherwise, it stops immediately and the requests in progress are processed again when the crawl is continued.
+     * @return {Promise<void>}
+     */
+    async stop(options = {}) {
+        ow(options, ow.object.exactShape({
+            graceful: ow.optional.boolean,
+        }));
+        const { graceful = true } = options;
+
+        if (!this.autoscaledPool) return;
+
+        this.log.info(graceful
+            ? 'Stopping the crawler, waiting for the requests in progress to finish.'
+            : 'Stopping the crawler without waiting for the requests in progress.');
+        if (graceful) await this.autoscaledPool.pause();
+        await this._persistState();
+        await this.autoscaledPool.abort();
     }
 
     /**
@@ -402,6 +715,94 @@ export class BasicCrawler {
                 });
         }
 
+        await this._persistState();
+    }
+
+    /**
+     * Waits for the requests in progress to finish, persists the state of the crawler and marks the crawl as interrupted,
+     * so that the next run continues where this one stopped. Called by {@link Apify#main} when the process receives
+     * the `SIGINT` or `SIGTERM` signal.
+     *
+     * @param {ShutdownInfo} info
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _checkpointOnShutdown({ signal, timeoutMillis }) {
+        if (!this.autoscaledPool) return;
+
+        this.log.info('Pausing the crawler, waiting for the requests in progress to finish.', { timeoutMillis });
+        await this.autoscaledPool.pause(timeoutMillis)
+            .catch((err) => {
+                if (err.message.includes('running tasks did not finish')) {
+                    this.log.warning('Some requests did not finish in time. They will be processed again when the crawl is resumed.');
+                } else {
+                    throw err;
+                }
+            });
+
+        await Promise.all([
+            this._persistState(),
+            this._flushTracer(),
+            flushDatasetWriters(),
+        ]);
+        const store = await openKeyValueStore();
+        await store.setValue(this.checkpointKey, {
+            interruptedAt: new Date().toISOString(),
+            signal,
+            handledRequestsCount: this.handledRequestsCount,
+        });
+        this.log.info('The state of the crawler was persisted. Run the crawler again to resume the crawl.');
+    }
+
+    /**
+     * Logs that the crawl is resumed, if the previous run was interrupted, and removes the mark of the interrupted crawl.
+     *
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _loadCheckpoint() {
+        const store = await openKeyValueStore();
+        const checkpoint = await store.getValue(this.checkpointKey);
+        if (!checkpoint) return;
+        await store.setValue(this.checkpointKey, null);
+
+        this.log.info('Resuming the crawl interrupted by a signal.', {
+            interruptedAt: checkpoint.interruptedAt,
+            signal: checkpoint.signal,
+            handledRequestsCount: this.handledRequestsCount,
+        });
+        if (this.handledRequestsCount < checkpoint.handledRequestsCount) {
+            this.log.warning(`The crawler handled ${checkpoint.handledRequestsCount} requests before the interruption, `
+                + `but only ${this.handledRequestsCount} are handled now. Some requests will be processed again. `
+                + 'Make sure to use Apify.openRequestList() to persist the state of the request list.');
+        }
+    }
+
+    /**
+     * Writes the spans of the tracer. Tracers other than {@link Tracer} don't need to implement `flush()`.
+     *
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _flushTracer() {
+        if (typeof this.tracer.flush === 'function') await this.tracer.flush();
+    }
+
+    /**
+     * Persists the state of the request list, session pool and statistics.
+     *
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _persistState() {
         const requestListPersistPromise = (async () => {
             if (this.requestList) {
                 if (await this.requestList.isFinished()) return;
@@ -421,6 +822,7 @@ export class BasicCrawler {
 
         await Promise.all([
             requestListPersistPromise,
+            this.sessionPool && this.sessionPool.persistState(),
             this.stats.persistState(),
         ]);
     }
@@ -434,6 +836,11 @@ export class BasicCrawler {
      * @internal
      */
     async _fetchNextRequest() {
+        const delayedRequest = this._takeReadyDelayedRequest();
+        if (delayedRequest) return delayedRequest;
+        // Don't pull more requests from the source when there are too many requests waiting already.
+        if (this.delayedRequests.size >= MAX_DELAYED_REQUESTS) return null;
+
         if (!this.requestList) return this.requestQueue.fetchNextRequest();
         const request = await this.requestList.fetchNextRequest();
         if (!this.requestQueue) return request;
@@ -476,12 +883,48 @@ export class BasicCrawler {
         }
 
         if (!request) return;
+        // Delayed requests keep the time when they were fetched for the first time.
+        if (!this.requestFetchedAt.has(request)) this.requestFetchedAt.set(request, Date.now());
+
+        if (this._isCrawlDepthExceeded(request)) {
+            this.log.debug('Skipping request that exceeds the maximum crawl depth.', { url: request.url, crawlDepth: request.crawlDepth });
+            this.stats.dropRequestsByCrawlDepth();
+            await source.markRequestHandled(request);
+            return;
+        }
+
+        let isAllowed = true;
+        try {
+            isAllowed = await this._isRequestAllowed(request);
+        } catch (err) {
+            // The request is processed anyway, its own errors go through the usual retries.
+            this.log.warning('Failed to check whether the request is allowed, processing it anyway.', { url: request.url, error: err.message });
+        }
+        if (!isAllowed) {
+            await source.markRequestHandled(request);
+            return;
+        }
+
+        if (!this._isRequestReady(request)) {
+            this._delayRequest(request);
+            return;
+        }
+        this.domainThrottle.startRequest(request.url);
 
         // Reset loadedUrl so an old one is not carried over to retries.
         request.loadedUrl = undefined;
 
         const statisticsId = request.id || request.uniqueKey;
-        this.stats.startJob(statisticsId);
+        this.stats.startJob(statisticsId, request.url);
+
+        const span = this.tracer.startSpan('request', {
+            attributes: {
+                'request.url': request.url,
+                'request.id': request.id,
+                'request.retryCount': request.retryCount,
+                'session.id': session && session.id,
+            },
+        });
 
         // Shared crawling context
         const crawlingContext = {
@@ -489,22 +932,34 @@ export class BasicCrawler {
             crawler: this,
             request,
             session,
+            span,
+            timings: { queueWaitMillis: Date.now() - this.requestFetchedAt.get(request) },
+            enqueueLinks: (enqueueLinksOptions) => this._enqueueLinks(crawlingContext, enqueueLinksOptions),
         };
+        this.requestFetchedAt.delete(request);
         this.crawlingContexts.set(crawlingContext.id, crawlingContext);
+        this._emitEvent(CRAWLER_EVENTS.REQUEST_STARTED, crawlingContext);
 
         try {
+            if (this.router) this._resolveRoute(crawlingContext);
+
+            const handleRequestTimeoutMillis = this._getHandleRequestTimeoutMillis(crawlingContext);
             await addTimeoutToPromise(
-                this._handleRequestFunction(crawlingContext),
-                this.handleRequestTimeoutMillis,
-                `handleRequestFunction timed out after ${this.handleRequestTimeoutMillis / 1000} seconds.`,
+                runWithActiveSpan(span, () => this._handleRequestFunction(crawlingContext)),
+                handleRequestTimeoutMillis,
+                `handleRequestFunction timed out after ${handleRequestTimeoutMillis / 1000} seconds.`,
             );
+            if (this.saveRequestTimings) request.timings = crawlingContext.timings;
             await source.markRequestHandled(request);
             this.stats.finishJob(statisticsId);
             this.handledRequestsCount++;
 
             // reclaim session if request finishes successfully
             if (session) session.markGood();
+            this._emitEvent(CRAWLER_EVENTS.REQUEST_SUCCEEDED, crawlingContext);
         } catch (err) {
+            span.recordException(err);
+            if (this.saveRequestTimings) request.timings = crawlingContext.timings;
             try {
                 await this._requestFunctionErrorHandler(err, crawlingContext, source);
             } catch (secondaryError) {
@@ -516,8 +971,171 @@ export class BasicCrawler {
                 throw secondaryError;
             }
         } finally {
+            const { proxyInfo } = crawlingContext;
+            if (proxyInfo) span.setAttributes({ 'proxy.hostname': proxyInfo.hostname, 'proxy.port': proxyInfo.port });
+            span.end();
             this.crawlingContexts.delete(crawlingContext.id);
+            this.domainThrottle.finishRequest(request.url);
+        }
+    }
+
+    /**
+     * @param {Request} request
+     * @return {boolean}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _isCrawlDepthExceeded(request) {
+        return this.maxCrawlDepth !== undefined && request.crawlDepth > this.maxCrawlDepth;
+    }
+
+    /**
+     * Implementation of the `enqueueLinks()` function of the crawling context.
+     *
+     * @param {CrawlingContext} crawlingContext
+     * @param {Object<string, *>} [options]
+     * @return {Promise<Array<QueueOperationInfo>>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _enqueueLinks(crawlingContext, options = {}) {
+        if (!this.requestQueue) {
+            throw new Error('The enqueueLinks() function of the crawling context can only be used by crawlers with a requestQueue.');
+        }
+
+        const { request, $, page } = crawlingContext;
+        const contextOptions = {};
+        if (!options.$ && !options.page) {
+            if (page) contextOptions.page = page;
+            else if ($) Object.assign(contextOptions, { $, baseUrl: request.loadedUrl || request.url });
         }
+
+        // The links are filtered just before they're added to the queue, after all the other filters of enqueueLinks().
+        const requestQueue = {
+            fetchNextRequest: () => this.requestQueue.fetchNextRequest(),
+            addRequests: (requests, addOptions) => {
+                const allowedRequests = requests.filter((link) => !this._isCrawlDepthExceeded(link));
+                const droppedCount = requests.length - allowedRequests.length;
+                if (droppedCount) {
+                    this.log.debug('Dropped links that exceed the maximum crawl depth.', { url: request.url, droppedCount });
+                    this.stats.dropRequestsByCrawlDepth(droppedCount);
+                }
+                return this.requestQueue.addRequests(allowedRequests, addOptions);
+            },
+        };
+
+        return enqueueLinks({ ...contextOptions, ...options, requestQueue, parentRequest: request });
+    }
+
+    /**
+     * Returns `false` if the request must not be processed at all, e.g. because it's disallowed by robots.txt.
+     * Such requests are marked as handled without calling the `handleRequestFunction`.
+     *
+     * @param {Request} request
+     * @return {Promise<boolean>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _isRequestAllowed(request) { // eslint-disable-line no-unused-vars
+        return true;
+    }
+
+    /**
+     * Returns `false` if the request should not be retried yet or its hostname is saturated.
+     *
+     * @param {Request} request
+     * @return {boolean}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _isRequestReady(request) {
+        if (request.retryAt && request.retryAt > new Date()) return false;
+        return !this.domainThrottle.isSaturated(request.url);
+    }
+
+    /**
+     * Keeps the request that can't be processed yet in memory until it's ready.
+     *
+     * @param {Request} request
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _delayRequest(request) {
+        this.log.debug('Delaying processing of the request.', { url: request.url, retryAt: request.retryAt });
+        this.delayedRequests.set(request.uniqueKey, request);
+    }
+
+    /**
+     * Removes and returns a delayed request that is ready for processing, if any.
+     *
+     * @return {(Request|null)}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _takeReadyDelayedRequest() {
+        for (const [uniqueKey, request] of this.delayedRequests) {
+            if (this._isRequestReady(request)) {
+                this.delayedRequests.delete(uniqueKey);
+                return request;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the route for the request's label and saves it to the crawling context.
+     * Requests without a matching route are not retried, because the retries would fail the same way.
+     *
+     * @param {CrawlingContext} crawlingContext
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _resolveRoute(crawlingContext) {
+        const { request } = crawlingContext;
+        const { label } = request.userData;
+        const route = this.router.getRoute(label);
+
+        if (!route) {
+            request.noRetry = true;
+            throw new Error(`No route found for label "${label}" and no default route is registered.`);
+        }
+
+        crawlingContext.route = route;
+    }
+
+    /**
+     * Returns the timeout of the user provided handler, overridden by the route's `handlerTimeoutSecs`, if any.
+     *
+     * @param {CrawlingContext} crawlingContext
+     * @return {number}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getHandlerTimeoutMillis(crawlingContext) {
+        const { route } = crawlingContext;
+        return route && route.handlerTimeoutMillis ? route.handlerTimeoutMillis : this.handleRequestTimeoutMillis;
+    }
+
+    /**
+     * Returns the timeout of the whole request processing. In `BasicCrawler`,
+     * it is the same as the timeout of the user provided handler.
+     *
+     * @param {CrawlingContext} crawlingContext
+     * @return {number}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getHandleRequestTimeoutMillis(crawlingContext) {
+        return this._getHandlerTimeoutMillis(crawlingContext);
     }
 
     /**
@@ -528,6 +1146,11 @@ export class BasicCrawler {
      * @internal
      */
     async _isTaskReadyFunction() {
+        // Delayed requests are already fetched from their source, so the source doesn't know about them.
+        for (const request of this.delayedRequests.values()) {
+            if (this._isRequestReady(request)) return true;
+        }
+        if (this.delayedRequests.size >= MAX_DELAYED_REQUESTS) return false;
         // First check RequestList, since it's only in memory.
         const isRequestListEmpty = this.requestList ? (await this.requestList.isEmpty()) : true;
         // If RequestList is not empty, task is ready, no reason to check RequestQueue.
@@ -569,28 +1192,56 @@ export class BasicCrawler {
     async _requestFunctionErrorHandler(error, crawlingContext, source) {
         const { request } = crawlingContext;
         request.pushErrorMessage(error);
+        crawlingContext.error = error;
 
-        const shouldRetryRequest = !request.noRetry && request.retryCount < this.maxRequestRetries;
+        const { errorType, shouldRetryRequest } = this._getRetryDecision(error, crawlingContext);
+        this.stats.registerError(error, { isRetried: shouldRetryRequest });
         if (shouldRetryRequest) {
             request.retryCount++;
+            // The time of the retry is stored on the request, so that the request queue persists it with the request.
+            // The request list doesn't persist it, so the request is retried right away after a migration.
+            const backoffMillis = this.retryPolicy.getBackoffMillis(request.retryCount);
+            if (backoffMillis) request.retryAt = new Date(Date.now() + backoffMillis);
             this.log.exception(
                 error,
                 'handleRequestFunction failed, reclaiming failed request back to the list or queue',
-                _.pick(request, 'url', 'retryCount', 'id'),
+                { ..._.pick(request, 'url', 'retryCount', 'id'), errorType, backoffMillis },
             );
             await source.reclaimRequest(request);
+            this._emitEvent(CRAWLER_EVENTS.REQUEST_RETRIED, crawlingContext);
         } else {
             // If we get here, the request is either not retryable
             // or failed more than retryCount times and will not be retried anymore.
             // Mark the request as failed and do not retry.
             this.handledRequestsCount++;
             await source.markRequestHandled(request);
-            this.stats.failJob(request.id || request.url);
-            crawlingContext.error = error;
+            this.stats.failJob(request.id || request.uniqueKey);
+            await this._saveErrorSnapshot(crawlingContext);
+            this._emitEvent(CRAWLER_EVENTS.REQUEST_FAILED, crawlingContext);
             await this._handleFailedRequestFunction(crawlingContext); // This function prints an error message.
         }
     }
 
+    /**
+     * Classifies the error using the retry policy and decides whether the request that failed with it will be retried.
+     *
+     * @param {Error} error
+     * @param {CrawlingContext} crawlingContext
+     * @return {{ errorType: string, shouldRetryRequest: boolean }}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getRetryDecision(error, crawlingContext) {
+        const { request, route } = crawlingContext;
+        const errorType = this.retryPolicy.classifyError(error, crawlingContext);
+        const defaultMaxRequestRetries = route && route.maxRequestRetries !== undefined
+            ? route.maxRequestRetries
+            : this.maxRequestRetries;
+        const maxRequestRetries = this.retryPolicy.getMaxRetries(errorType, defaultMaxRequestRetries);
+        return { errorType, shouldRetryRequest: !request.noRetry && request.retryCount < maxRequestRetries };
+    }
+
     /**
      * @param {object} crawlingContext
      * @param {Error} crawlingContext.error
@@ -649,6 +1300,44 @@ export class BasicCrawler {
         }
     }
 
+    /**
+     * Saves a snapshot of the response of a request that failed and will not be retried anymore.
+     * `BasicCrawler` has no response to save, `CheerioCrawler` overrides this function. The browser crawlers
+     * save the snapshot of the page before they close it, when the request function fails.
+     *
+     * @param {CrawlingContext} crawlingContext
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _saveErrorSnapshot(crawlingContext) { // eslint-disable-line no-unused-vars
+        // Nothing to save.
+    }
+
+    /**
+     * Emits the crawler event, making sure that exceptions thrown by its listeners don't break the crawling.
+     *
+     * @param {string} eventName
+     * @param {...*} args
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _emitEvent(eventName, ...args) {
+        const logException = (err) => this.log.exception(err, `A listener of the "${eventName}" event of the crawler threw an exception.`);
+        // The listeners are called one by one instead of using emit(), to catch the rejections of the async listeners too.
+        // The raw listeners are used, so that the listeners added by once() remove themselves.
+        this.rawListeners(eventName).forEach((listener) => {
+            try {
+                const result = listener.apply(this, args);
+                if (result && typeof result.catch === 'function') result.catch(logException);
+            } catch (err) {
+                logException(err);
+            }
+        });
+    }
+
     /**
      * Function for cleaning up after all request are processed.
      * @ignore
@@ -2,11 +2,15 @@ import ow from 'ow';
 import { BrowserPool, BrowserController } from 'browser-pool'; // eslint-disable-line import/no-duplicates,no-unused-vars
 import { BASIC_CRAWLER_TIMEOUT_BUFFER_SECS } from '../constants';
 import EVENTS from '../session_pool/events'; // eslint-disable-line import/no-duplicates
+import { puppeteerUtils } from '../puppeteer_utils';
 import { addTimeoutToPromise } from '../utils';
+import { traceAsync } from '../tracing'; // eslint-disable-line import/no-duplicates
 import { validators } from '../validators';
 import {
     throwOnBlockedRequest,
     handleRequestTimeout,
+    isAllowedByRobotsTxt,
+    getErrorSnapshotKey,
 } from './crawler_utils';
 
 /* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order */
@@ -20,6 +24,10 @@ import { RequestQueue } from '../storages/request_queue';
 import Request from '../request';
 import { SessionPoolOptions } from '../session_pool/session_pool';
 import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
+import Router from './router';
+import { RetryPolicyOptions } from './retry_policy';
+import { DomainThrottleOptions } from './domain_throttle';
+import { Tracer } from '../tracing';
 /* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
 
 /**
@@ -46,7 +54,7 @@ import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
 
 /**
  * @typedef BrowserCrawlerOptions
- * @property {BrowserHandlePageFunction} handlePageFunction
+ * @property {BrowserHandlePageFunction} [handlePageFunction]
  *   Function that is called to process each request.
  *   It is passed an object with the following fields:
  *
@@ -84,6 +92,12 @@ import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
  *   let your function throw exceptions rather than catch them.
  *   The exceptions are logged to the request using the
  *   {@link Request#pushErrorMessage} function.
+ *
+ *   Either `handlePageFunction` or `router` option must be provided, but not both.
+ * @property {Router} [router]
+ *   A {@link Router} that dispatches the requests to handlers registered for their `request.userData.label`.
+ *   The handlers receive the same arguments as `handlePageFunction`.
+ *   Routes can override `maxRequestRetries` and `handlePageTimeoutSecs`.
  * @property {number} [handlePageTimeoutSecs=60]
  *   Timeout in which the function passed as `handlePageFunction` needs to finish, in seconds.
  * @property {GotoFunction} [gotoFunction]
@@ -111,6 +125,15 @@ import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
  *   You can tweak those to fine-tune browser management.
  * @property {boolean} [persistCookiesPerSession=true]
  *   Automatically saves cookies to Session. Works only if Session Pool is used.
+ * @property {boolean} [respectRobotsTxt=false]
+ *   If set to `true`, the crawler downloads the robots.txt of every origin it visits and skips the requests
+ *   disallowed by it, without calling the `handlePageFunction`. The `Crawl-delay` directive is respected
+ *   as the minimum delay between requests to the hostname, see {@link BasicCrawlerOptions.domainThrottleOptions}.
+ *   The robots.txt files are cached in the default {@link KeyValueStore}.
+ * @property {boolean} [saveErrorSnapshots=false]
+ *   If set to `true`, the HTML and a screenshot of the page are saved to the default {@link KeyValueStore}
+ *   when a request fails and will not be retried anymore. The records are stored under the `ERROR_SNAPSHOT_{requestId}.html`
+ *   and `ERROR_SNAPSHOT_{requestId}.jpg` keys and a message with the key is added to the request's `errorMessages`.
  * @property {ProxyConfiguration} [proxyConfiguration]
  *   If set, `PuppeteerCrawler` will be configured for all connections to use
  *   [Apify Proxy](https://my.apify.com/proxy) or your own Proxy URLs provided and rotated according to the configuration.
@@ -144,10 +167,11 @@ import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
  * ```
  * @property {RequestList} [requestList]
  *   Static list of URLs to be processed.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   It can be used together with the `requestQueue` option.
  * @property {RequestQueue} [requestQueue]
  *   Dynamic queue of URLs to be processed. This is useful for recursive crawling of websites.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   If neither `requestList` nor `requestQueue` is provided, the default request queue is opened when the crawler starts,
+ *   e.g. to process the requests passed to {@link BasicCrawler#run} or {@link BasicCrawler#addRequests}.
  * @property {number} [handleRequestTimeoutSecs=60]
  *   Timeout in which the function passed as `handleRequestFunction` needs to finish, in seconds.
  * @property {HandleFailedRequest} [handleFailedRequestFunction]
@@ -170,6 +194,9 @@ import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
  *   for the default implementation of this function.
  * @property {number} [maxRequestRetries=3]
  *   Indicates how many times the request is retried if {@link BasicCrawlerOptions.handleRequestFunction} fails.
+ * @property {RetryPolicyOptions} [retryPolicyOptions]
+ *   Configures how the failed requests are retried, e.g. the maximum number of retries of timed out
+ *   or blocked requests and an exponential backoff. See {@link BasicCrawlerOptions.retryPolicyOptions}.
  * @property {number} [maxRequestsPerCrawl]
  *   Maximum number of pages that the crawler will open. The crawl will stop when this limit is reached.
  *   Always set this value in order to prevent infinite loops in misconfigured crawlers.
@@ -186,6 +213,15 @@ import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
  *   If you're not sure, just keep the default value and the concurrency will scale up automatically.
  * @property {number} [maxConcurrency=1000]
  *   Sets the maximum concurrency (parallelism) for the crawl. Shortcut to the corresponding {@link AutoscaledPool} option.
+ * @property {DomainThrottleOptions} [domainThrottleOptions]
+ *   Limits the number of parallel requests and the delay between requests to a single hostname.
+ *   See {@link BasicCrawlerOptions.domainThrottleOptions}.
+ * @property {Tracer} [tracer]
+ *   Traces the processing of every request with a `request` span and its `navigation` and `handler` child spans.
+ *   See {@link BasicCrawlerOptions.tracer}.
+ * @property {boolean} [saveRequestTimings=false]
+ *   Saves the durations of the phases of the request processing to the `timings` property of the request.
+ *   See {@link BasicCrawlerOptions.saveRequestTimings}.
  * @property {boolean} [useSessionPool=true]
  *   Browser crawler will initialize the  {@link SessionPool} with the corresponding `sessionPoolOptions`.
  *   The session instance will be than available in the `handleRequestFunction`.
@@ -259,7 +295,7 @@ export default class BrowserCrawler extends BasicCrawler {
         // TODO temporary until the API is unified in V2
         handleRequestFunction: ow.undefined,
 
-        handlePageFunction: ow.function,
+        handlePageFunction: ow.optional.function,
         gotoFunction: ow.optional.function,
 
         gotoTimeoutSecs: ow.optional.number.greaterThan(0),
@@ -271,6 +307,8 @@ export default class BrowserCrawler extends BasicCrawler {
         browserPoolOptions: ow.object,
         sessionPoolOptions: ow.optional.object,
         persistCookiesPerSession: ow.optional.boolean,
+        respectRobotsTxt: ow.optional.boolean,
+        saveErrorSnapshots: ow.optional.boolean,
         useSessionPool: ow.optional.boolean,
         proxyConfiguration: ow.optional.object.validate(validators.proxyConfiguration),
     };
@@ -288,6 +326,8 @@ export default class BrowserCrawler extends BasicCrawler {
             gotoFunction, // deprecated
             gotoTimeoutSecs, // deprecated
             persistCookiesPerSession,
+            respectRobotsTxt = false,
+            saveErrorSnapshots = false,
             proxyConfiguration,
             browserPoolOptions,
             preNavigationHooks = [],
@@ -297,7 +337,8 @@ export default class BrowserCrawler extends BasicCrawler {
 
         super({
             ...basicCrawlerOptions,
-            handleRequestFunction: (...args) => this._handleRequestFunction(...args),
+            // TODO temporary until the API is unified in V2
+            handleRequestFunction: handlePageFunction,
             handleRequestTimeoutSecs: navigationTimeoutSecs + handlePageTimeoutSecs + BASIC_CRAWLER_TIMEOUT_BUFFER_SECS,
         });
 
@@ -310,7 +351,8 @@ export default class BrowserCrawler extends BasicCrawler {
             this.log.deprecated('Option "gotoTimeoutSecs" is deprecated. Use "navigationTimeoutSecs" instead.');
         }
 
-        this.handlePageFunction = handlePageFunction;
+        // Either the user provided function or the router's handler.
+        this.handlePageFunction = this.userProvidedHandler;
         this.handlePageTimeoutSecs = handlePageTimeoutSecs;
         this.handlePageTimeoutMillis = this.handlePageTimeoutSecs * 1000;
         this.navigationTimeoutMillis = (gotoTimeoutSecs || navigationTimeoutSecs) * 1000;
@@ -321,6 +363,8 @@ export default class BrowserCrawler extends BasicCrawler {
         };
 
         this.proxyConfiguration = proxyConfiguration;
+        this.respectRobotsTxt = respectRobotsTxt;
+        this.saveErrorSnapshots = saveErrorSnapshots;
 
         /** @type {Array<Hook>} */
         this.preNavigationHooks = preNavigationHooks;
@@ -370,7 +414,7 @@ export default class BrowserCrawler extends BasicCrawler {
         }
 
         try {
-            await this._handleNavigation(crawlingContext);
+            await traceAsync('navigation', () => this._handleNavigation(crawlingContext), { parent: crawlingContext.span });
 
             await this._responseHandler(crawlingContext);
 
@@ -381,18 +425,96 @@ export default class BrowserCrawler extends BasicCrawler {
                 session.setPuppeteerCookies(cookies, request.loadedUrl);
             }
 
-            await addTimeoutToPromise(
+            const handlePageTimeoutMillis = this._getHandlerTimeoutMillis(crawlingContext);
+            await this._runUserHandler(crawlingContext, () => addTimeoutToPromise(
                 this.handlePageFunction(crawlingContext),
-                this.handlePageTimeoutMillis,
-                `handlePageFunction timed out after ${this.handlePageTimeoutMillis / 1000} seconds.`,
-            );
+                handlePageTimeoutMillis,
+                `handlePageFunction timed out after ${handlePageTimeoutMillis / 1000} seconds.`,
+            ));
 
             if (session) session.markGood();
+        } catch (err) {
+            // The page is closed below, so its snapshot is saved here, when the request will not be retried anymore.
+            if (this.saveErrorSnapshots && !this._getRetryDecision(err, crawlingContext).shouldRetryRequest) {
+                await this._savePageSnapshot(crawlingContext);
+            }
+            throw err;
         } finally {
-            page.close().catch((error) => this.log.debug('Error while closing page', { error }));
+            this._closePage(page);
         }
     }
 
+    /**
+     * @param {*} page
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _closePage(page) {
+        page.close().catch((error) => this.log.debug('Error while closing page', { error }));
+    }
+
+    /**
+     * Saves the HTML and a screenshot of the page of a request that failed and will not be retried anymore.
+     *
+     * @param {BrowserCrawlingContext & CrawlingContext} crawlingContext
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _savePageSnapshot(crawlingContext) {
+        const { request, page } = crawlingContext;
+        const key = getErrorSnapshotKey(request);
+        try {
+            await puppeteerUtils.saveSnapshot(page, { key });
+            request.pushErrorMessage(`Error snapshot saved to the default key-value store under the ${key}.html and ${key}.jpg keys.`);
+        } catch (err) {
+            this.log.exception(err, 'Failed to save the error snapshot.', { url: request.url });
+        }
+    }
+
+    /**
+     * @param {BrowserCrawlingContext & CrawlingContext} crawlingContext
+     * @return {number}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getHandlerTimeoutMillis(crawlingContext) {
+        const { route } = crawlingContext;
+        return route && route.handlerTimeoutMillis ? route.handlerTimeoutMillis : this.handlePageTimeoutMillis;
+    }
+
+    /**
+     * @param {BrowserCrawlingContext & CrawlingContext} crawlingContext
+     * @return {number}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getHandleRequestTimeoutMillis(crawlingContext) {
+        return this.navigationTimeoutMillis + this._getHandlerTimeoutMillis(crawlingContext) + BASIC_CRAWLER_TIMEOUT_BUFFER_SECS * 1000;
+    }
+
+    /**
+     * Skips requests disallowed by robots.txt when `respectRobotsTxt` is enabled.
+     *
+     * @param {Request} request
+     * @return {Promise<boolean>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _isRequestAllowed(request) {
+        if (!this.respectRobotsTxt) return true;
+        return isAllowedByRobotsTxt(request, {
+            domainThrottle: this.domainThrottle,
+            proxyConfiguration: this.proxyConfiguration,
+            log: this.log,
+        });
+    }
+
     /**
      * @param {BrowserCrawlingContext & CrawlingContext} crawlingContext
      * @param {*} page
@@ -424,13 +546,29 @@ export default class BrowserCrawler extends BasicCrawler {
         /** @type {*} */
         const gotoOptions = { ...this.defaultGotoOptions };
         await this._executeHooks(this.preNavigationHooks, crawlingContext, gotoOptions);
+
+        const { page, timings } = crawlingContext;
+        // The time of the last main frame navigation response, to measure how long the navigation waited for the `waitUntil` event.
+        let respondedAt;
+        const onResponse = (res) => {
+            const req = res.request();
+            if (req.isNavigationRequest() && req.frame() === page.mainFrame()) respondedAt = Date.now();
+        };
+        page.on('response', onResponse);
+
+        const navigationStartedAt = Date.now();
         try {
             crawlingContext.response = await this._navigationHandler(crawlingContext, gotoOptions);
         } catch (error) {
             this._handleNavigationTimeout(crawlingContext, error);
 
             throw error;
+        } finally {
+            page.removeListener('response', onResponse);
         }
+        const navigationFinishedAt = Date.now();
+        timings.navigationMillis = navigationFinishedAt - navigationStartedAt;
+        if (respondedAt) timings.waitUntilMillis = navigationFinishedAt - respondedAt;
 
         await this._executeHooks(this.postNavigationHooks, crawlingContext, gotoOptions);
     }
@@ -477,7 +615,13 @@ export default class BrowserCrawler extends BasicCrawler {
      * @internal
      */
     async _responseHandler(crawlingContext) {
-        const { response, session, request, page } = crawlingContext;
+        const { response, session, request, page, timings } = crawlingContext;
+
+        if (response && typeof response === 'object' && typeof response.status === 'function') {
+            this.stats.registerResponse({ statusCode: response.status(), latencyMillis: timings.navigationMillis });
+            // The browser does not report the size of compressed or chunked responses, so they are counted only by the header.
+            this.stats.registerBytesDownloaded(Number(response.headers()['content-length']));
+        }
 
         if (this.sessionPool && response) {
             if (typeof response === 'object' && typeof response.status === 'function') {
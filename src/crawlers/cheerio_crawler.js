@@ -5,14 +5,19 @@ import * as contentTypeParser from 'content-type';
 import * as htmlparser from 'htmlparser2';
 import { WritableStream } from 'htmlparser2/lib/WritableStream';
 import * as iconv from 'iconv-lite';
+import * as mimeTypes from 'mime-types';
 import ow from 'ow';
 import * as util from 'util';
 import { TimeoutError } from 'got-scraping';
 import { BASIC_CRAWLER_TIMEOUT_BUFFER_SECS } from '../constants';
+import { BlockedRequestError, TimeoutError as RequestTimeoutError } from '../errors';
 import { addTimeoutToPromise, parseContentTypeFromResponse } from '../utils';
 import * as utilsRequest from '../utils_request'; // eslint-disable-line import/no-duplicates
 import { BasicCrawler } from './basic_crawler'; // eslint-disable-line import/no-duplicates
 import CrawlerExtension from './crawler_extension';
+import { isAllowedByRobotsTxt, getErrorSnapshotKey } from './crawler_utils';
+import { openKeyValueStore } from '../storages/key_value_store'; // eslint-disable-line import/no-duplicates
+import { traceAsync } from '../tracing'; // eslint-disable-line import/no-duplicates
 
 // TYPE IMPORTS
 /* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order */
@@ -20,13 +25,18 @@ import { IncomingMessage } from 'http';
 import { Readable } from 'stream';
 import AutoscaledPool, { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
 import { HandleFailedRequest, CrawlingContext } from './basic_crawler';
-import Request from '../request';
+import Request, { RequestTimings } from '../request';
 import { RequestList } from '../request_list';
 import { ProxyConfiguration, ProxyInfo } from '../proxy_configuration';
 import { RequestQueue } from '../storages/request_queue';
+import { KeyValueStore } from '../storages/key_value_store';
 import { Session } from '../session_pool/session';
 import { SessionPoolOptions } from '../session_pool/session_pool';
 import { validators } from '../validators';
+import Router from './router';
+import { RetryPolicyOptions } from './retry_policy';
+import { DomainThrottleOptions } from './domain_throttle';
+import { Tracer } from '../tracing';
 /* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
 
 /**
@@ -46,7 +56,7 @@ const CHEERIO_OPTIMIZED_AUTOSCALED_POOL_OPTIONS = {
 
 /**
  * @typedef CheerioCrawlerOptions
- * @property {CheerioHandlePage} handlePageFunction
+ * @property {CheerioHandlePage} [handlePageFunction]
  *   User-provided function that performs the logic of the crawler. It is called for each page
  *   loaded and parsed by the crawler.
  *
@@ -105,12 +115,19 @@ const CHEERIO_OPTIMIZED_AUTOSCALED_POOL_OPTIONS = {
  *   let your function throw exceptions rather than catch them.
  *   The exceptions are logged to the request using the
  *   {@link Request#pushErrorMessage} function.
+ *
+ *   Either `handlePageFunction` or `router` option must be provided, but not both.
+ * @property {Router} [router]
+ *   A {@link Router} that dispatches the requests to handlers registered for their `request.userData.label`.
+ *   The handlers receive the same arguments as `handlePageFunction`.
+ *   Routes can override `maxRequestRetries` and `handlePageTimeoutSecs`.
  * @property {RequestList} [requestList]
  *   Static list of URLs to be processed.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   It can be used together with the `requestQueue` option.
  * @property {RequestQueue} [requestQueue]
  *   Dynamic queue of URLs to be processed. This is useful for recursive crawling of websites.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   If neither `requestList` nor `requestQueue` is provided, the default request queue is opened when the crawler starts,
+ *   e.g. to process the requests passed to {@link BasicCrawler#run} or {@link BasicCrawler#addRequests}.
  * @property {PrepareRequest} [prepareRequestFunction]
  * > This option is deprecated, use `preNavigationHooks` instead.
  *
@@ -243,6 +260,9 @@ const CHEERIO_OPTIMIZED_AUTOSCALED_POOL_OPTIONS = {
  *   ```
  * @property {number} [maxRequestRetries=3]
  *   Indicates how many times the request is retried if either `requestFunction` or `handlePageFunction` fails.
+ * @property {RetryPolicyOptions} [retryPolicyOptions]
+ *   Configures how the failed requests are retried, e.g. the maximum number of retries of timed out
+ *   or blocked requests and an exponential backoff. See {@link BasicCrawlerOptions.retryPolicyOptions}.
  * @property {number} [maxRequestsPerCrawl]
  *   Maximum number of pages that the crawler will open. The crawl will stop when this limit is reached.
  *   Always set this value in order to prevent infinite loops in misconfigured crawlers.
@@ -260,6 +280,15 @@ const CHEERIO_OPTIMIZED_AUTOSCALED_POOL_OPTIONS = {
  *   If you're not sure, just keep the default value and the concurrency will scale up automatically.
  * @property {number} [maxConcurrency=1000]
  *   Sets the maximum concurrency (parallelism) for the crawl. Shortcut to the corresponding {@link AutoscaledPool} option.
+ * @property {DomainThrottleOptions} [domainThrottleOptions]
+ *   Limits the number of parallel requests and the delay between requests to a single hostname.
+ *   See {@link BasicCrawlerOptions.domainThrottleOptions}.
+ * @property {Tracer} [tracer]
+ *   Traces the processing of every request with a `request` span and its `navigation` and `handler` child spans.
+ *   See {@link BasicCrawlerOptions.tracer}.
+ * @property {boolean} [saveRequestTimings=false]
+ *   Saves the durations of the phases of the request processing to the `timings` property of the request.
+ *   See {@link BasicCrawlerOptions.saveRequestTimings}.
  * @property {boolean} [useSessionPool=true]
  *   If set to true Crawler will automatically use Session Pool. It will automatically retire sessions on 403, 401 and 429 status codes.
  *   It also marks Session as bad after a request timeout.
@@ -270,6 +299,15 @@ const CHEERIO_OPTIMIZED_AUTOSCALED_POOL_OPTIONS = {
  *
  *   It parses cookie from response "set-cookie" header saves or updates cookies for session and once the session is used for next request.
  *   It passes the "Cookie" header to the request with the session cookies.
+ * @property {boolean} [respectRobotsTxt=false]
+ *   If set to `true`, the crawler downloads the robots.txt of every origin it visits and skips the requests
+ *   disallowed by it, without calling the `handlePageFunction`. The `Crawl-delay` directive is respected
+ *   as the minimum delay between requests to the hostname, see {@link BasicCrawlerOptions.domainThrottleOptions}.
+ *   The robots.txt files are cached in the default {@link KeyValueStore}.
+ * @property {boolean} [saveErrorSnapshots=false]
+ *   If set to `true`, the body of the response is saved to the default {@link KeyValueStore}
+ *   when a request fails and will not be retried anymore. The record is stored under the `ERROR_SNAPSHOT_{requestId}` key
+ *   with an extension according to the content type, e.g. `.html`, and a message with the key is added to the request's `errorMessages`.
  */
 
 /**
@@ -391,7 +429,7 @@ class CheerioCrawler extends BasicCrawler {
         // TODO temporary until the API is unified in V2
         handleRequestFunction: ow.undefined,
 
-        handlePageFunction: ow.function,
+        handlePageFunction: ow.optional.function,
         requestTimeoutSecs: ow.optional.number,
         handlePageTimeoutSecs: ow.optional.number,
         ignoreSslErrors: ow.optional.boolean,
@@ -402,6 +440,8 @@ class CheerioCrawler extends BasicCrawler {
         prepareRequestFunction: ow.optional.function,
         postResponseFunction: ow.optional.function,
         persistCookiesPerSession: ow.optional.boolean,
+        respectRobotsTxt: ow.optional.boolean,
+        saveErrorSnapshots: ow.optional.boolean,
 
         preNavigationHooks: ow.optional.array,
         postNavigationHooks: ow.optional.array,
@@ -426,6 +466,8 @@ class CheerioCrawler extends BasicCrawler {
             prepareRequestFunction,
             postResponseFunction,
             persistCookiesPerSession,
+            respectRobotsTxt = false,
+            saveErrorSnapshots = false,
             preNavigationHooks = [],
             postNavigationHooks = [],
 
@@ -464,6 +506,10 @@ class CheerioCrawler extends BasicCrawler {
         this.prepareRequestFunction = prepareRequestFunction;
         this.postResponseFunction = postResponseFunction;
         this.proxyConfiguration = proxyConfiguration;
+        this.respectRobotsTxt = respectRobotsTxt;
+        this.saveErrorSnapshots = saveErrorSnapshots;
+        /** @type {KeyValueStore} */
+        this.errorSnapshotStore = null;
         /** @type {Array<Hook>} */
         this.preNavigationHooks = preNavigationHooks;
         /** @type {Array<Hook>} */
@@ -530,9 +576,12 @@ class CheerioCrawler extends BasicCrawler {
             crawlingContext.proxyInfo = this.proxyConfiguration.newProxyInfo(sessionId);
         }
 
-        await this._handleNavigation(crawlingContext);
+        await traceAsync('navigation', () => this._handleNavigation(crawlingContext), { parent: crawlingContext.span });
 
+        const parseStartedAt = Date.now();
         const { dom, isXml, body, contentType, response } = await this._parseResponse(request, crawlingContext.response);
+        crawlingContext.timings.parseMillis = Date.now() - parseStartedAt;
+        this._addResponseTimings(crawlingContext.timings, crawlingContext.response);
 
         if (this.useSessionPool) {
             this._throwOnBlockedRequest(session, response.statusCode);
@@ -568,11 +617,104 @@ class CheerioCrawler extends BasicCrawler {
             },
         });
 
-        return addTimeoutToPromise(
+        const handlePageTimeoutMillis = this._getHandlerTimeoutMillis(crawlingContext);
+        return this._runUserHandler(crawlingContext, () => addTimeoutToPromise(
             this.userProvidedHandler(crawlingContext),
-            this.handlePageTimeoutMillis,
-            `handlePageFunction timed out after ${this.handlePageTimeoutMillis / 1000} seconds.`,
-        );
+            handlePageTimeoutMillis,
+            `handlePageFunction timed out after ${handlePageTimeoutMillis / 1000} seconds.`,
+        ));
+    }
+
+    /**
+     * Copies the phases of the HTTP request measured by `got` to the timings of the crawling context.
+     * The phases are only available for responses of {@link utils#requestAsBrowser},
+     * not for responses of a custom request function.
+     *
+     * @param {RequestTimings} timings
+     * @param {IncomingMessage|Readable} responseStream
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _addResponseTimings(timings, responseStream) { // eslint-disable-line class-methods-use-this
+        const { phases } = (responseStream && responseStream.timings) || {};
+        if (!phases) return;
+
+        const phaseNames = {
+            dnsMillis: 'dns',
+            connectMillis: 'tcp',
+            tlsMillis: 'tls',
+            ttfbMillis: 'firstByte',
+            downloadMillis: 'download',
+        };
+        Object.entries(phaseNames).forEach(([key, phase]) => {
+            if (phases[phase] !== undefined) timings[key] = phases[phase];
+        });
+    }
+
+    /**
+     * @param {CrawlingContext} crawlingContext
+     * @return {number}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getHandlerTimeoutMillis(crawlingContext) {
+        const { route } = crawlingContext;
+        return route && route.handlerTimeoutMillis ? route.handlerTimeoutMillis : this.handlePageTimeoutMillis;
+    }
+
+    /**
+     * @param {CrawlingContext} crawlingContext
+     * @return {number}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getHandleRequestTimeoutMillis(crawlingContext) {
+        return this.requestTimeoutMillis + this._getHandlerTimeoutMillis(crawlingContext) + BASIC_CRAWLER_TIMEOUT_BUFFER_SECS * 1000;
+    }
+
+    /**
+     * Saves the body of the response when `saveErrorSnapshots` is enabled.
+     *
+     * @param {CrawlingContext} crawlingContext
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _saveErrorSnapshot(crawlingContext) {
+        const { request, contentType } = crawlingContext;
+        // The body is available only if the request failed after the response was parsed.
+        if (!this.saveErrorSnapshots || !contentType) return;
+
+        const key = `${getErrorSnapshotKey(request)}.${mimeTypes.extension(contentType.type) || 'bin'}`;
+        try {
+            if (!this.errorSnapshotStore) this.errorSnapshotStore = await openKeyValueStore();
+            await this.errorSnapshotStore.setValue(key, crawlingContext.body, { contentType: contentType.type });
+            request.pushErrorMessage(`Error snapshot saved to the default key-value store under the ${key} key.`);
+        } catch (err) {
+            this.log.exception(err, 'Failed to save the error snapshot.', { url: request.url });
+        }
+    }
+
+    /**
+     * Skips requests disallowed by robots.txt when `respectRobotsTxt` is enabled.
+     *
+     * @param {Request} request
+     * @return {Promise<boolean>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _isRequestAllowed(request) {
+        if (!this.respectRobotsTxt) return true;
+        return isAllowedByRobotsTxt(request, {
+            domainThrottle: this.domainThrottle,
+            proxyConfiguration: this.proxyConfiguration,
+            log: this.log,
+        });
     }
 
     /**
@@ -592,11 +734,13 @@ class CheerioCrawler extends BasicCrawler {
         const { request, session } = crawlingContext;
         const proxyUrl = crawlingContext.proxyInfo && crawlingContext.proxyInfo.url;
 
+        const requestStartedAt = Date.now();
         crawlingContext.response = await addTimeoutToPromise(
             this._requestFunction({ request, session, proxyUrl, requestAsBrowserOptions }),
             this.requestTimeoutMillis,
             `request timed out after ${this.requestTimeoutMillis / 1000} seconds.`,
         );
+        this._registerResponse(crawlingContext.response, Date.now() - requestStartedAt);
 
         await this._executeHooks(this.postNavigationHooks, crawlingContext, requestAsBrowserOptions);
 
@@ -606,6 +750,29 @@ class CheerioCrawler extends BasicCrawler {
         }
     }
 
+    /**
+     * Counts the response in the crawler statistics. The downloaded bytes are counted
+     * only when the body is read from the response stream.
+     *
+     * @param {IncomingMessage|Readable} response
+     * @param {number} latencyMillis
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _registerResponse(response, latencyMillis) {
+        if (!response || typeof response.once !== 'function') return;
+
+        this.stats.registerResponse({ statusCode: response.statusCode, latencyMillis });
+        response.once('end', () => {
+            // The download progress of got streams counts the bytes before decompression.
+            const bytes = response.downloadProgress
+                ? response.downloadProgress.transferred
+                : Number(response.headers && response.headers['content-length']);
+            this.stats.registerBytesDownloaded(bytes);
+        });
+    }
+
     /**
      * Function to make the HTTP request. It performs optimizations
      * on the request such as only downloading the request body if the
@@ -820,7 +987,7 @@ class CheerioCrawler extends BasicCrawler {
         const isBlocked = session.retireOnBlockedStatusCodes(statusCode);
 
         if (isBlocked) {
-            throw new Error(`Request blocked - received ${statusCode} status code`);
+            throw new BlockedRequestError(`Request blocked - received ${statusCode} status code`);
         }
     }
 
@@ -833,7 +1000,7 @@ class CheerioCrawler extends BasicCrawler {
      */
     _handleRequestTimeout(session) {
         if (session) session.markBad();
-        throw new Error(`request timed out after ${this.handlePageTimeoutMillis / 1000} seconds.`);
+        throw new RequestTimeoutError(`request timed out after ${this.requestTimeoutMillis / 1000} seconds.`);
     }
 }
 
@@ -0,0 +1,9 @@
+export default {
+    REQUEST_STARTED: 'requestStarted',
+    REQUEST_SUCCEEDED: 'requestSucceeded',
+    REQUEST_FAILED: 'requestFailed',
+    REQUEST_RETRIED: 'requestRetried',
+    SESSION_RETIRED: 'sessionRetired',
+    CONCURRENCY_CHANGED: 'concurrencyChanged',
+    FINISHED: 'finished',
+};
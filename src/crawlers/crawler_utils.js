@@ -1,6 +1,14 @@
+import * as crypto from 'crypto';
+import { URL } from 'url';
+import { BlockedRequestError, TimeoutError } from '../errors';
+import { RobotsTxtFile } from '../robots_txt';
+
 // TYPE IMPORTS
 /* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order */
 import { Session } from '../session_pool/session';
+import Request from '../request';
+import { ProxyConfiguration } from '../proxy_configuration';
+import DomainThrottle from './domain_throttle';
 /* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
 
 /**
@@ -11,9 +19,12 @@ import { Session } from '../session_pool/session';
  */
 export function handleRequestTimeout(session, errorMessage) {
     if (session) session.markBad();
-    const timeoutMillis = errorMessage.match(/(\d+)\s?ms/)[1]; // first capturing group
+    // The timeouts of the SDK, e.g. of the handlePageFunction, are not navigation timeouts and are rethrown as they are.
+    const match = errorMessage.match(/(\d+)\s?ms/);
+    if (!match) return;
+    const timeoutMillis = match[1]; // first capturing group
     const timeoutSecs = Number(timeoutMillis) / 1000;
-    throw new Error(`Navigation timed out after ${timeoutSecs} seconds.`);
+    throw new TimeoutError(`Navigation timed out after ${timeoutSecs} seconds.`);
 }
 
 /**
@@ -26,6 +37,41 @@ export function throwOnBlockedRequest(session, statusCode) {
     const isBlocked = session.retireOnBlockedStatusCodes(statusCode);
 
     if (isBlocked) {
-        throw new Error(`Request blocked - received ${statusCode} status code.`);
+        throw new BlockedRequestError(`Request blocked - received ${statusCode} status code.`);
     }
 }
+
+/**
+ * Checks whether the robots.txt of the request's origin allows crawling of the request
+ * and applies its `Crawl-delay` directive to the request's hostname.
+ * @param {Request} request
+ * @param {object} options
+ * @param {DomainThrottle} options.domainThrottle
+ * @param {ProxyConfiguration} [options.proxyConfiguration]
+ * @param {*} options.log
+ * @return {Promise<boolean>}
+ * @private
+ */
+export async function isAllowedByRobotsTxt(request, { domainThrottle, proxyConfiguration, log }) {
+    const proxyUrl = proxyConfiguration ? proxyConfiguration.newUrl() : undefined;
+    const robotsTxt = await RobotsTxtFile.load(request.url, { proxyUrl });
+
+    const crawlDelaySecs = robotsTxt.getCrawlDelaySecs();
+    if (crawlDelaySecs) domainThrottle.setRequiredDelay(new URL(request.url).hostname, crawlDelaySecs);
+
+    const isAllowed = robotsTxt.isAllowed(request.url);
+    if (!isAllowed) log.info('Skipping request disallowed by robots.txt.', { url: request.url });
+    return isAllowed;
+}
+
+/**
+ * Returns the key-value store key prefix of the error snapshot of the request.
+ * The requests from a request list have no id, so a hash of the unique key is used instead.
+ * @param {Request} request
+ * @return {string}
+ * @private
+ */
+export function getErrorSnapshotKey(request) {
+    const id = request.id || crypto.createHash('sha256').update(request.uniqueKey).digest('hex').substr(0, 15);
+    return `ERROR_SNAPSHOT_${id}`;
+}
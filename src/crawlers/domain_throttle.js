@@ -0,0 +1,229 @@
+import ow from 'ow';
+import { URL } from 'url';
+
+const overrideShape = {
+    domain: ow.any(ow.string.nonEmpty, ow.regExp),
+    maxConcurrency: ow.optional.number.integer.greaterThan(0),
+    minDelayBetweenRequestsSecs: ow.optional.number.greaterThanOrEqual(0),
+};
+
+/**
+ * Keeps track of requests in progress per hostname and decides whether another request
+ * to the same hostname can be started, so that the crawler doesn't overload a single website
+ * with all of its concurrency.
+ *
+ * The throttle is created by {@link BasicCrawler} from the `domainThrottleOptions` option.
+ * Requests to saturated hostnames are set aside by the crawler and processed later.
+ * @ignore
+ */
+class DomainThrottle {
+    /**
+     * @param {DomainThrottleOptions} [options]
+     */
+    constructor(options = {}) {
+        ow(options, ow.object.exactShape({
+            maxConcurrencyPerDomain: ow.optional.number.integer.greaterThan(0),
+            minDelayBetweenRequestsSecs: ow.optional.number.greaterThanOrEqual(0),
+            overrides: ow.optional.array.ofType(ow.object.exactShape(overrideShape)),
+        }));
+
+        const {
+            maxConcurrencyPerDomain = Infinity,
+            minDelayBetweenRequestsSecs = 0,
+            overrides = [],
+        } = options;
+
+        this.defaultLimits = {
+            maxConcurrency: maxConcurrencyPerDomain,
+            minDelayMillis: minDelayBetweenRequestsSecs * 1000,
+        };
+        this.overrides = overrides.map(({ domain, maxConcurrency, minDelayBetweenRequestsSecs: minDelaySecs }) => ({
+            matches: this._createDomainMatcher(domain),
+            maxConcurrency,
+            minDelayMillis: minDelaySecs !== undefined ? minDelaySecs * 1000 : undefined,
+        }));
+
+        /**
+         * Minimum delays required by the websites themselves, e.g. by the `Crawl-delay` directive of robots.txt.
+         * @type {Map<string, number>}
+         */
+        this.requiredDelaysMillis = new Map();
+
+        /**
+         * State of the hostnames with requests in progress or recently started.
+         * @type {Map<string, { limits: { maxConcurrency: number, minDelayMillis: number }, inProgressCount: number, lastStartedAt: number }>}
+         */
+        this.domains = new Map();
+    }
+
+    /**
+     * Returns `true` if a request to the URL's hostname can't be started now, because the hostname
+     * has too many requests in progress or the last request to it was started too recently.
+     *
+     * @param {string} url
+     * @return {boolean}
+     */
+    isSaturated(url) {
+        const hostname = this._getHostname(url);
+        const domain = this.domains.get(hostname);
+        if (!domain || this._maybeForgetDomain(hostname)) return false;
+
+        const { limits, inProgressCount, lastStartedAt } = domain;
+        return inProgressCount >= limits.maxConcurrency || Date.now() - lastStartedAt < limits.minDelayMillis;
+    }
+
+    /**
+     * Registers a request to the URL's hostname as started.
+     *
+     * @param {string} url
+     */
+    startRequest(url) {
+        const hostname = this._getHostname(url);
+        const domain = this._getOrCreateDomain(hostname);
+        domain.inProgressCount++;
+        domain.lastStartedAt = Date.now();
+    }
+
+    /**
+     * Registers a request to the URL's hostname as finished, either successfully or not.
+     *
+     * @param {string} url
+     */
+    finishRequest(url) {
+        const hostname = this._getHostname(url);
+        const domain = this.domains.get(hostname);
+        if (!domain) return;
+
+        domain.inProgressCount--;
+        this._maybeForgetDomain(hostname);
+    }
+
+    /**
+     * Sets the minimum delay between requests required by the hostname itself, e.g. by the `Crawl-delay`
+     * directive of its robots.txt. The delay is used when it's longer than the configured one.
+     *
+     * @param {string} hostname
+     * @param {number} delaySecs
+     */
+    setRequiredDelay(hostname, delaySecs) {
+        const delayMillis = delaySecs * 1000;
+        if (this.requiredDelaysMillis.get(hostname) === delayMillis) return;
+
+        this.requiredDelaysMillis.set(hostname, delayMillis);
+        const domain = this.domains.get(hostname);
+        if (domain) domain.limits = this._getLimits(hostname);
+    }
+
+    /**
+     * @param {string} hostname
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getOrCreateDomain(hostname) {
+        let domain = this.domains.get(hostname);
+        if (!domain) {
+            domain = {
+                limits: this._getLimits(hostname),
+                inProgressCount: 0,
+                lastStartedAt: 0,
+            };
+            this.domains.set(hostname, domain);
+        }
+        return domain;
+    }
+
+    /**
+     * Drops the state of the hostname once it's idle and its delay passed,
+     * so that the map doesn't grow with every hostname ever visited.
+     *
+     * @param {string} hostname
+     * @return {boolean} Whether the state was dropped.
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _maybeForgetDomain(hostname) {
+        const { limits, inProgressCount, lastStartedAt } = this.domains.get(hostname);
+        if (inProgressCount > 0 || Date.now() - lastStartedAt < limits.minDelayMillis) return false;
+
+        this.domains.delete(hostname);
+        return true;
+    }
+
+    /**
+     * @param {string} hostname
+     * @return {{ maxConcurrency: number, minDelayMillis: number }}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getLimits(hostname) {
+        const override = this.overrides.find(({ matches }) => matches(hostname)) || {};
+        const maxConcurrency = override.maxConcurrency !== undefined ? override.maxConcurrency : this.defaultLimits.maxConcurrency;
+        const minDelayMillis = override.minDelayMillis !== undefined ? override.minDelayMillis : this.defaultLimits.minDelayMillis;
+
+        return {
+            maxConcurrency,
+            minDelayMillis: Math.max(minDelayMillis, this.requiredDelaysMillis.get(hostname) || 0),
+        };
+    }
+
+    /**
+     * @param {(string|RegExp)} domain
+     * @return {function(string): boolean}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _createDomainMatcher(domain) {
+        if (domain instanceof RegExp) {
+            // RegExp#test() of global and sticky regular expressions continues from the last match, so the flags are dropped.
+            const regExp = new RegExp(domain.source, domain.flags.replace(/[gy]/g, ''));
+            return (hostname) => regExp.test(hostname);
+        }
+
+        const normalizedDomain = domain.toLowerCase();
+        if (!normalizedDomain.startsWith('*.')) return (hostname) => hostname === normalizedDomain;
+
+        const parentDomain = normalizedDomain.substr(2);
+        return (hostname) => hostname === parentDomain || hostname.endsWith(`.${parentDomain}`);
+    }
+
+    /**
+     * @param {string} url
+     * @return {string}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getHostname(url) {
+        return new URL(url).hostname;
+    }
+}
+
+export default DomainThrottle;
+
+/**
+ * @typedef DomainThrottleOptions
+ * @property {number} [maxConcurrencyPerDomain=Infinity]
+ *   Maximum number of requests to a single hostname that are processed in parallel.
+ *   The overall concurrency of the crawler is still limited by {@link AutoscaledPool}.
+ * @property {number} [minDelayBetweenRequestsSecs=0]
+ *   Minimum delay between starts of two requests to the same hostname.
+ * @property {Array<DomainThrottleOverride>} [overrides]
+ *   Limits for specific domains. The first override with a matching `domain` is used,
+ *   and the limits it doesn't define are taken from the options above.
+ */
+
+/**
+ * @typedef DomainThrottleOverride
+ * @property {(string|RegExp)} domain
+ *   Hostname the override applies to, e.g. `www.example.com`. A pattern starting with `*.`,
+ *   e.g. `*.example.com`, matches the domain and all its subdomains. A `RegExp` is tested against the hostname.
+ *   The limits are still applied to each matching hostname separately.
+ * @property {number} [maxConcurrency]
+ *   Maximum number of requests to the hostname that are processed in parallel.
+ * @property {number} [minDelayBetweenRequestsSecs]
+ *   Minimum delay between starts of two requests to the hostname.
+ */
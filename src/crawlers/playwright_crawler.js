@@ -13,6 +13,10 @@ import { RequestQueue } from '../storages/request_queue';
 import Statistics from './statistics';
 import Request from '../request';
 import AutoscaledPool, { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
+import Router from './router';
+import { RetryPolicyOptions } from './retry_policy';
+import { DomainThrottleOptions } from './domain_throttle';
+import { Tracer } from '../tracing';
 /* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
 
 import { gotoExtended } from '../playwright_utils';
@@ -50,7 +54,7 @@ import { gotoExtended } from '../playwright_utils';
 
 /**
  * @typedef PlaywrightCrawlerOptions
- * @property {PlaywrightHandlePageFunction} handlePageFunction
+ * @property {PlaywrightHandlePageFunction} [handlePageFunction]
  *   Function that is called to process each request.
  *   It is passed an object with the following fields:
  *
@@ -84,6 +88,12 @@ import { gotoExtended } from '../playwright_utils';
  *   let your function throw exceptions rather than catch them.
  *   The exceptions are logged to the request using the
  *   {@link Request#pushErrorMessage} function.
+ *
+ *   Either `handlePageFunction` or `router` option must be provided, but not both.
+ * @property {Router} [router]
+ *   A {@link Router} that dispatches the requests to handlers registered for their `request.userData.label`.
+ *   The handlers receive the same arguments as `handlePageFunction`.
+ *   Routes can override `maxRequestRetries` and `handlePageTimeoutSecs`.
  * @property {number} [navigationTimeoutSecs=60]
  *   Timeout in which page navigation needs to finish, in seconds.
  * @property {HandleFailedRequest} [handleFailedRequestFunction]
@@ -138,18 +148,31 @@ import { gotoExtended } from '../playwright_utils';
  *   You can tweak those to fine-tune browser management.
  * @property {boolean} [persistCookiesPerSession=true]
  *   Automatically saves cookies to Session. Works only if Session Pool is used.
+ * @property {boolean} [respectRobotsTxt=false]
+ *   If set to `true`, the crawler downloads the robots.txt of every origin it visits and skips the requests
+ *   disallowed by it, without calling the `handlePageFunction`. The `Crawl-delay` directive is respected
+ *   as the minimum delay between requests to the hostname, see {@link BasicCrawlerOptions.domainThrottleOptions}.
+ *   The robots.txt files are cached in the default {@link KeyValueStore}.
+ * @property {boolean} [saveErrorSnapshots=false]
+ *   If set to `true`, the HTML and a screenshot of the page are saved to the default {@link KeyValueStore}
+ *   when a request fails and will not be retried anymore. The records are stored under the `ERROR_SNAPSHOT_{requestId}.html`
+ *   and `ERROR_SNAPSHOT_{requestId}.jpg` keys and a message with the key is added to the request's `errorMessages`.
  * @property {ProxyConfiguration} [proxyConfiguration]
  *   If set, `PlaywrightCrawler` will be configured for all connections to use
  *   [Apify Proxy](https://my.apify.com/proxy) or your own Proxy URLs provided and rotated according to the configuration.
  *   For more information, see the [documentation](https://docs.apify.com/proxy).
  * @property {RequestList} [requestList]
  *   Static list of URLs to be processed.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   It can be used together with the `requestQueue` option.
  * @property {RequestQueue} [requestQueue]
  *   Dynamic queue of URLs to be processed. This is useful for recursive crawling of websites.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   If neither `requestList` nor `requestQueue` is provided, the default request queue is opened when the crawler starts,
+ *   e.g. to process the requests passed to {@link BasicCrawler#run} or {@link BasicCrawler#addRequests}.
  * @property {number} [maxRequestRetries=3]
  *   Indicates how many times the request is retried if {@link PlaywrightCrawlerOptions.handlePageFunction} fails.
+ * @property {RetryPolicyOptions} [retryPolicyOptions]
+ *   Configures how the failed requests are retried, e.g. the maximum number of retries of timed out
+ *   or blocked requests and an exponential backoff. See {@link BasicCrawlerOptions.retryPolicyOptions}.
  * @property {number} [maxRequestsPerCrawl]
  *   Maximum number of pages that the crawler will open. The crawl will stop when this limit is reached.
  *   Always set this value in order to prevent infinite loops in misconfigured crawlers.
@@ -166,6 +189,15 @@ import { gotoExtended } from '../playwright_utils';
  *   If you're not sure, just keep the default value and the concurrency will scale up automatically.
  * @property {number} [maxConcurrency=1000]
  *   Sets the maximum concurrency (parallelism) for the crawl. Shortcut to the corresponding {@link AutoscaledPool} option.
+ * @property {DomainThrottleOptions} [domainThrottleOptions]
+ *   Limits the number of parallel requests and the delay between requests to a single hostname.
+ *   See {@link BasicCrawlerOptions.domainThrottleOptions}.
+ * @property {Tracer} [tracer]
+ *   Traces the processing of every request with a `request` span and its `navigation` and `handler` child spans.
+ *   See {@link BasicCrawlerOptions.tracer}.
+ * @property {boolean} [saveRequestTimings=false]
+ *   Saves the durations of the phases of the request processing to the `timings` property of the request.
+ *   See {@link BasicCrawlerOptions.saveRequestTimings}.
  * @property {boolean} [useSessionPool=true]
  *   Playwright crawler will initialize the  {@link SessionPool} with the corresponding `sessionPoolOptions`.
  *   The session instance will be than available in the `handleRequestFunction`.
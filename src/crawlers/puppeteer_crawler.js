@@ -15,6 +15,10 @@ import { RequestList } from '../request_list';
 import { RequestQueue } from '../storages/request_queue';
 import { AutoscaledPoolOptions } from '../autoscaling/autoscaled_pool';
 import { BrowserPoolOptions } from 'browser-pool';
+import Router from './router';
+import { RetryPolicyOptions } from './retry_policy';
+import { DomainThrottleOptions } from './domain_throttle';
+import { Tracer } from '../tracing';
 /* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
 
 /**
@@ -35,7 +39,7 @@ import { BrowserPoolOptions } from 'browser-pool';
  */
 /**
  * @typedef PuppeteerCrawlerOptions
- * @property {PuppeteerHandlePage} handlePageFunction
+ * @property {PuppeteerHandlePage} [handlePageFunction]
  *   Function that is called to process each request.
  *   It is passed an object with the following fields:
  *
@@ -71,6 +75,12 @@ import { BrowserPoolOptions } from 'browser-pool';
  *   let your function throw exceptions rather than catch them.
  *   The exceptions are logged to the request using the
  *   {@link Request#pushErrorMessage} function.
+ *
+ *   Either `handlePageFunction` or `router` option must be provided, but not both.
+ * @property {Router} [router]
+ *   A {@link Router} that dispatches the requests to handlers registered for their `request.userData.label`.
+ *   The handlers receive the same arguments as `handlePageFunction`.
+ *   Routes can override `maxRequestRetries` and `handlePageTimeoutSecs`.
  * @property {number} [navigationTimeoutSecs=60]
  *   Timeout in which page navigation needs to finish, in seconds.
  * @property {HandleFailedRequest} [handleFailedRequestFunction]
@@ -99,6 +109,15 @@ import { BrowserPoolOptions } from 'browser-pool';
  *   You can tweak those to fine-tune browser management.
  * @property {boolean} [persistCookiesPerSession=true]
  *   Automatically saves cookies to Session. Works only if Session Pool is used.
+ * @property {boolean} [respectRobotsTxt=false]
+ *   If set to `true`, the crawler downloads the robots.txt of every origin it visits and skips the requests
+ *   disallowed by it, without calling the `handlePageFunction`. The `Crawl-delay` directive is respected
+ *   as the minimum delay between requests to the hostname, see {@link BasicCrawlerOptions.domainThrottleOptions}.
+ *   The robots.txt files are cached in the default {@link KeyValueStore}.
+ * @property {boolean} [saveErrorSnapshots=false]
+ *   If set to `true`, the HTML and a screenshot of the page are saved to the default {@link KeyValueStore}
+ *   when a request fails and will not be retried anymore. The records are stored under the `ERROR_SNAPSHOT_{requestId}.html`
+ *   and `ERROR_SNAPSHOT_{requestId}.jpg` keys and a message with the key is added to the request's `errorMessages`.
  * @property {ProxyConfiguration} [proxyConfiguration]
  *   If set, `PuppeteerCrawler` will be configured for all connections to use
  *   [Apify Proxy](https://my.apify.com/proxy) or your own Proxy URLs provided and rotated according to the configuration.
@@ -132,12 +151,16 @@ import { BrowserPoolOptions } from 'browser-pool';
  * ```
  * @property {RequestList} [requestList]
  *   Static list of URLs to be processed.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   It can be used together with the `requestQueue` option.
  * @property {RequestQueue} [requestQueue]
  *   Dynamic queue of URLs to be processed. This is useful for recursive crawling of websites.
- *   Either `requestList` or `requestQueue` option must be provided (or both).
+ *   If neither `requestList` nor `requestQueue` is provided, the default request queue is opened when the crawler starts,
+ *   e.g. to process the requests passed to {@link BasicCrawler#run} or {@link BasicCrawler#addRequests}.
  * @property {number} [maxRequestRetries=3]
  *   Indicates how many times the request is retried if {@link PuppeteerCrawlerOptions.handlePageFunction} fails.
+ * @property {RetryPolicyOptions} [retryPolicyOptions]
+ *   Configures how the failed requests are retried, e.g. the maximum number of retries of timed out
+ *   or blocked requests and an exponential backoff. See {@link BasicCrawlerOptions.retryPolicyOptions}.
  * @property {number} [maxRequestsPerCrawl]
  *   Maximum number of pages that the crawler will open. The crawl will stop when this limit is reached.
  *   Always set this value in order to prevent infinite loops in misconfigured crawlers.
@@ -154,6 +177,15 @@ import { BrowserPoolOptions } from 'browser-pool';
  *   If you're not sure, just keep the default value and the concurrency will scale up automatically.
  * @property {number} [maxConcurrency=1000]
  *   Sets the maximum concurrency (parallelism) for the crawl. Shortcut to the corresponding {@link AutoscaledPool} option.
+ * @property {DomainThrottleOptions} [domainThrottleOptions]
+ *   Limits the number of parallel requests and the delay between requests to a single hostname.
+ *   See {@link BasicCrawlerOptions.domainThrottleOptions}.
+ * @property {Tracer} [tracer]
+ *   Traces the processing of every request with a `request` span and its `navigation` and `handler` child spans.
+ *   See {@link BasicCrawlerOptions.tracer}.
+ * @property {boolean} [saveRequestTimings=false]
+ *   Saves the durations of the phases of the request processing to the `timings` property of the request.
+ *   See {@link BasicCrawlerOptions.saveRequestTimings}.
  * @property {boolean} [useSessionPool=true]
  *   Puppeteer crawler will initialize the  {@link SessionPool} with the corresponding `sessionPoolOptions`.
  *   The session instance will be than available in the `handleRequestFunction`.
@@ -0,0 +1,146 @@
+import ow from 'ow';
+import { BlockedRequestError, NonRetryableError, TimeoutError } from '../errors';
+
+/**
+ * Classes of errors recognized by the {@link RetryPolicy}.
+ * @type {{TIMEOUT: string, BLOCKED: string, PARSE: string, NON_RETRYABLE: string, OTHER: string}}
+ */
+export const ERROR_TYPES = {
+    /** Navigation, request or handler timeouts. */
+    TIMEOUT: 'timeout',
+    /** Responses with status codes that mark the session as blocked. */
+    BLOCKED: 'blocked',
+    /** `SyntaxError`, e.g. when parsing an invalid JSON response. */
+    PARSE: 'parse',
+    /** {@link NonRetryableError} thrown by the user, never retried. */
+    NON_RETRYABLE: 'nonRetryable',
+    /** Any other error. */
+    OTHER: 'other',
+};
+
+/**
+ * Decides whether and when a request that failed in a crawler should be retried.
+ *
+ * Errors are sorted into the classes listed in `ERROR_TYPES` and each class can have its own maximum
+ * number of retries. The delay before the retry grows exponentially with the number of retries
+ * of the request, and a random jitter is added to it so that requests that failed at the same
+ * time don't hit the website at the same time again.
+ *
+ * The policy is created by {@link BasicCrawler} from the `retryPolicyOptions` option.
+ * @ignore
+ */
+class RetryPolicy {
+    /**
+     * @param {RetryPolicyOptions} [options]
+     */
+    constructor(options = {}) {
+        ow(options, ow.object.exactShape({
+            maxRetriesPerErrorType: ow.optional.object.valuesOfType(ow.number.integer.greaterThanOrEqual(0)),
+            classifyError: ow.optional.function,
+            backoffBaseSecs: ow.optional.number.greaterThanOrEqual(0),
+            backoffMaxSecs: ow.optional.number.greaterThanOrEqual(0),
+        }));
+
+        const {
+            maxRetriesPerErrorType = {},
+            classifyError,
+            backoffBaseSecs = 0,
+            backoffMaxSecs = 300,
+        } = options;
+
+        this.maxRetriesPerErrorType = { ...maxRetriesPerErrorType };
+        this.userProvidedClassifyError = classifyError;
+        this.backoffBaseMillis = backoffBaseSecs * 1000;
+        this.backoffMaxMillis = backoffMaxSecs * 1000;
+    }
+
+    /**
+     * Returns the error class of the error, preferring the result of the user provided `classifyError` function.
+     *
+     * @param {Error} error
+     * @param {Object<string, *>} crawlingContext
+     * @return {string}
+     */
+    classifyError(error, crawlingContext) {
+        if (this.userProvidedClassifyError) {
+            const errorType = this.userProvidedClassifyError(error, crawlingContext);
+            if (errorType) return errorType;
+        }
+
+        if (error instanceof NonRetryableError) return ERROR_TYPES.NON_RETRYABLE;
+        // Timeout errors of got, Puppeteer and Playwright are not instances of our TimeoutError.
+        if (error instanceof TimeoutError || (error && error.name === 'TimeoutError')) return ERROR_TYPES.TIMEOUT;
+        if (error instanceof BlockedRequestError) return ERROR_TYPES.BLOCKED;
+        if (error instanceof SyntaxError) return ERROR_TYPES.PARSE;
+        return ERROR_TYPES.OTHER;
+    }
+
+    /**
+     * Returns the maximum number of retries of a request that failed with an error of the given class.
+     *
+     * @param {string} errorType
+     * @param {number} defaultMaxRetries
+     *   Used for error classes without a limit in `maxRetriesPerErrorType`.
+     * @return {number}
+     */
+    getMaxRetries(errorType, defaultMaxRetries) {
+        if (errorType === ERROR_TYPES.NON_RETRYABLE) return 0;
+
+        const maxRetries = this.maxRetriesPerErrorType[errorType];
+        return maxRetries !== undefined ? maxRetries : defaultMaxRetries;
+    }
+
+    /**
+     * Returns the number of milliseconds to wait before the given retry of the request.
+     * Half of the exponential delay is fixed, the other half is random.
+     *
+     * @param {number} retryCount
+     *   Number of the retry, starting from 1.
+     * @return {number}
+     */
+    getBackoffMillis(retryCount) {
+        if (!this.backoffBaseMillis) return 0;
+
+        const exponentialMillis = Math.min(this.backoffMaxMillis, this.backoffBaseMillis * (2 ** (retryCount - 1)));
+        return Math.round((exponentialMillis / 2) + (Math.random() * (exponentialMillis / 2)));
+    }
+}
+
+export default RetryPolicy;
+
+/**
+ * @callback ClassifyError
+ * @param {Error} error
+ *   The error thrown while processing the request.
+ * @param {Object<string, *>} crawlingContext
+ *   The crawling context of the failed request.
+ * @returns {(string|undefined)}
+ *   Name of the error class, i.e. one of `'timeout'`, `'blocked'`, `'parse'`, `'nonRetryable'`, `'other'`,
+ *   or a custom one, which can be then limited in `maxRetriesPerErrorType`.
+ *   Return `undefined` to use the default classification.
+ */
+
+/**
+ * @typedef RetryPolicyOptions
+ * @property {Object<string, number>} [maxRetriesPerErrorType]
+ *   Maximum number of retries of a request failed with an error of the given class, e.g. `{ timeout: 5, blocked: 10 }`.
+ *   The crawler's `maxRequestRetries` is used for the classes not listed here.
+ *   The errors are classified as:
+ *   - `timeout` - navigation, request and handler timeouts
+ *   - `blocked` - responses with status codes that retire the session, see {@link Session#retireOnBlockedStatusCodes}
+ *   - `parse` - `SyntaxError`, e.g. from `JSON.parse()`
+ *   - `nonRetryable` - {@link NonRetryableError}, such requests are never retried
+ *   - `other` - any other error
+ * @property {ClassifyError} [classifyError]
+ *   Custom function that returns the class of the error.
+ * @property {number} [backoffBaseSecs=0]
+ *   Delay before the first retry of a failed request. The delay doubles with every following retry
+ *   and a random jitter of up to one half of the delay is applied to it. The default `0` means that the failed requests
+ *   are retried immediately.
+ *
+ *   The time of the retry is stored in {@link Request#retryAt}. The {@link RequestQueue} persists it with the request,
+ *   so the delay is respected even after a migration. The {@link RequestList} only persists which requests are in progress,
+ *   so after a migration or restart, the failed requests of a crawler without a request queue are retried immediately.
+ * @property {number} [backoffMaxSecs=300]
+ *   Maximum delay before the retry of a failed request.
+ */
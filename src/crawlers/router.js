@@ -0,0 +1,220 @@
+import ow from 'ow';
+
+/**
+ * Internal key used to store the default route, so that it can never collide with a user provided label.
+ * @ignore
+ */
+const DEFAULT_ROUTE = Symbol('default');
+
+const routeOptionsShape = {
+    middlewares: ow.optional.array.ofType(ow.function),
+    maxRequestRetries: ow.optional.number.integer.greaterThanOrEqual(0),
+    handlerTimeoutSecs: ow.optional.number.greaterThan(0),
+};
+
+/**
+ * Dispatches requests to handlers registered for the request's label.
+ *
+ * Instead of writing a large `switch (request.userData.label)` statement inside of the
+ * `handlePageFunction`, you can register a handler for every label using {@link Router#addHandler}
+ * and a fallback handler for requests without a matching label using {@link Router#addDefaultHandler}.
+ * The router is then passed to the crawler via the `router` option, which replaces `handlePageFunction`
+ * (or `handleRequestFunction` in the case of {@link BasicCrawler}).
+ *
+ * The crawler resolves the route from `request.userData.label` before any user code runs. Each route
+ * may override the crawler's `maxRequestRetries` and the timeout of its handler, and may define
+ * middlewares, which are async functions called sequentially with the crawling context before the handler.
+ * Middlewares registered with {@link Router#use} run before every route.
+ *
+ * **Example usage:**
+ *
+ * ```javascript
+ * const router = new Apify.Router();
+ *
+ * router.addHandler('DETAIL', async ({ $, request }) => {
+ *     await Apify.pushData({ url: request.url, title: $('title').text() });
+ * }, { maxRequestRetries: 5 });
+ *
+ * router.addDefaultHandler(async ({ $, crawler }) => {
+ *     await Apify.utils.enqueueLinks({
+ *         $,
+ *         requestQueue: crawler.requestQueue,
+ *         baseUrl: 'https://www.example.com',
+ *         pseudoUrls: [{ purl: 'https://www.example.com/products/[.*]', userData: { label: 'DETAIL' } }],
+ *     });
+ * });
+ *
+ * const crawler = new Apify.CheerioCrawler({
+ *     requestQueue,
+ *     router,
+ * });
+ * ```
+ */
+class Router {
+    constructor() {
+        /**
+         * @type {Map<(string|symbol), Route>}
+         * @ignore
+         */
+        this.routes = new Map();
+        /**
+         * @type {Array<RouteMiddleware>}
+         * @ignore
+         */
+        this.middlewares = [];
+    }
+
+    /**
+     * Registers a handler for requests with the given `request.userData.label`.
+     *
+     * @param {string} label
+     * @param {RouteHandler} handler
+     * @param {RouteOptions} [options]
+     * @return {Router}
+     */
+    addHandler(label, handler, options = {}) {
+        ow(label, ow.string.nonEmpty);
+        ow(handler, ow.function);
+        ow(options, ow.object.exactShape(routeOptionsShape));
+
+        if (this.routes.has(label)) {
+            throw new Error(`Route with label "${label}" is already registered.`);
+        }
+
+        this.routes.set(label, this._createRoute(label, handler, options));
+        return this;
+    }
+
+    /**
+     * Registers a handler for requests without a label or with a label that has no handler registered.
+     *
+     * @param {RouteHandler} handler
+     * @param {RouteOptions} [options]
+     * @return {Router}
+     */
+    addDefaultHandler(handler, options = {}) {
+        ow(handler, ow.function);
+        ow(options, ow.object.exactShape(routeOptionsShape));
+
+        if (this.routes.has(DEFAULT_ROUTE)) {
+            throw new Error('Default route is already registered.');
+        }
+
+        this.routes.set(DEFAULT_ROUTE, this._createRoute(null, handler, options));
+        return this;
+    }
+
+    /**
+     * Registers a middleware that will be called before the handler of every route,
+     * prior to the route's own middlewares.
+     *
+     * @param {RouteMiddleware} middleware
+     * @return {Router}
+     */
+    use(middleware) {
+        ow(middleware, ow.function);
+        this.middlewares.push(middleware);
+        return this;
+    }
+
+    /**
+     * Returns the route for the given label, falling back to the default route.
+     * Returns `null` if there's no matching route and no default route was registered.
+     *
+     * @param {string} [label]
+     * @return {(Route|null)}
+     */
+    getRoute(label) {
+        if (label !== undefined && label !== null && this.routes.has(label)) {
+            return this.routes.get(label);
+        }
+
+        return this.routes.get(DEFAULT_ROUTE) || null;
+    }
+
+    /**
+     * Resolves the route of the request in `crawlingContext`, runs all the middlewares and then the route's handler.
+     * When the crawler already resolved the route and saved it to `crawlingContext.route`, it's used instead.
+     *
+     * @param {Object<string, *>} crawlingContext
+     * @return {Promise<void>}
+     */
+    async handle(crawlingContext) {
+        const { request } = crawlingContext;
+        const route = crawlingContext.route || this.getRoute(request.userData.label);
+
+        if (!route) {
+            throw new Error(`No route found for label "${request.userData.label}" and no default route is registered.`);
+        }
+
+        for (const middleware of [...this.middlewares, ...route.middlewares]) {
+            await middleware(crawlingContext);
+        }
+
+        await route.handler(crawlingContext);
+    }
+
+    /**
+     * @param {(string|null)} label
+     * @param {RouteHandler} handler
+     * @param {RouteOptions} options
+     * @return {Route}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _createRoute(label, handler, options) {
+        const {
+            middlewares = [],
+            maxRequestRetries,
+            handlerTimeoutSecs,
+        } = options;
+
+        return {
+            label,
+            handler,
+            middlewares: [...middlewares],
+            maxRequestRetries,
+            handlerTimeoutMillis: handlerTimeoutSecs ? handlerTimeoutSecs * 1000 : undefined,
+        };
+    }
+}
+
+export default Router;
+
+/**
+ * @callback RouteHandler
+ * @param {Object<string, *>} crawlingContext
+ *   The crawling context of the crawler the router is used with,
+ *   e.g. {@link CheerioHandlePageInputs} for {@link CheerioCrawler}.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * @callback RouteMiddleware
+ * @param {Object<string, *>} crawlingContext
+ *   The same crawling context that is later passed to the {@link RouteHandler}.
+ *   Throwing from the middleware fails the request the same way as throwing from the handler.
+ * @returns {(void|Promise<void>)}
+ */
+
+/**
+ * @typedef RouteOptions
+ * @property {Array<RouteMiddleware>} [middlewares]
+ *   Functions that are sequentially evaluated before the route's handler.
+ * @property {number} [maxRequestRetries]
+ *   Overrides the crawler's `maxRequestRetries` option for requests handled by this route.
+ * @property {number} [handlerTimeoutSecs]
+ *   Overrides the timeout of the handler, i.e. the crawler's `handleRequestTimeoutSecs` option in {@link BasicCrawler}
+ *   and `handlePageTimeoutSecs` option in {@link CheerioCrawler}, {@link PuppeteerCrawler} and {@link PlaywrightCrawler}.
+ */
+
+/**
+ * @typedef Route
+ * @property {(string|null)} label
+ *   Label of the route or `null` for the default route.
+ * @property {RouteHandler} handler
+ * @property {Array<RouteMiddleware>} middlewares
+ * @property {number} [maxRequestRetries]
+ * @property {number} [handlerTimeoutMillis]
+ */
@@ -1,17 +1,40 @@
 /* eslint-disable max-classes-per-file */
 import ow from 'ow';
+import { URL } from 'url';
 import { openKeyValueStore } from '../storages/key_value_store';
 import { ACTOR_EVENT_NAMES_EX } from '../constants';
 import defaultLog from '../utils_log';
 import events from '../events';
 
+/**
+ * Maximum number of error groups kept by the {@link ErrorTracker}, the rest of the errors are counted together.
+ * @ignore
+ */
+export const MAX_ERROR_GROUPS = 100;
+
+/**
+ * Maximum number of hostnames in the `requestsPerHostname` statistics, the rest of the requests are counted together.
+ * @ignore
+ */
+export const MAX_HOSTNAMES = 1000;
+
+/**
+ * Key under which the errors or hostnames over the limit are counted. It can't be a hostname.
+ * @ignore
+ */
+export const OTHER_KEY = '<other>';
+
 /**
  * @ignore
  */
 class Job {
-    constructor() {
+    /**
+     * @param {string|null} [hostname]
+     */
+    constructor(hostname = null) {
         this.lastRunAt = null;
         this.runs = 0;
+        this.hostname = hostname;
     }
 
     run() {
@@ -29,6 +52,132 @@ class Job {
     }
 }
 
+/**
+ * Groups errors by their name, the top frame of their stack trace and their message
+ * with URLs and numbers stripped, so that errors of the same origin are counted together.
+ * When there are too many groups, e.g. because the messages contain IDs, the new errors
+ * are counted in a single group with the `<other>` message.
+ * @ignore
+ */
+export class ErrorTracker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxGroups]
+     */
+    constructor(options = {}) {
+        const { maxGroups = MAX_ERROR_GROUPS } = options;
+
+        this.maxGroups = maxGroups;
+        /**
+         * @type {Map<string, ErrorGroup>}
+         */
+        this.groups = new Map();
+    }
+
+    /**
+     * Counts the error in its group.
+     *
+     * @param {Error} error
+     * @param {object} [options]
+     * @param {boolean} [options.isRetried=false] Whether the request that threw the error will be retried.
+     */
+    add(error, options = {}) {
+        const { isRetried = false } = options;
+        const name = (error && error.name) || 'Error';
+        const message = ErrorTracker.normalizeMessage(error && error.message !== undefined ? error.message : error);
+        const location = ErrorTracker.getTopStackFrame(error && error.stack);
+
+        const group = this._getGroup({ name, message, location });
+        group.count++;
+        if (isRetried) group.retries++;
+    }
+
+    /**
+     * Returns the groups with the most occurrences, the most frequent first.
+     *
+     * @param {number} [limit]
+     * @return {Array<ErrorGroup>}
+     */
+    getTopErrors(limit) {
+        const groups = [...this.groups.values()].sort((a, b) => b.count - a.count);
+        return limit === undefined ? groups : groups.slice(0, limit);
+    }
+
+    reset() {
+        this.groups.clear();
+    }
+
+    /**
+     * @param {Array<ErrorGroup>} groups Groups previously returned by {@link ErrorTracker#toJSON}.
+     */
+    load(groups) {
+        this.reset();
+        for (const loadedGroup of groups) {
+            const group = this._getGroup(loadedGroup);
+            group.count += loadedGroup.count;
+            group.retries += loadedGroup.retries;
+        }
+    }
+
+    /**
+     * @return {Array<ErrorGroup>}
+     */
+    toJSON() {
+        return this.getTopErrors();
+    }
+
+    /**
+     * Returns the group of the errors, creating it if there's still room for it, otherwise the `<other>` group.
+     *
+     * @param {{ name: string, message: string, location: (string|null) }} error
+     * @return {ErrorGroup}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getGroup({ name, message, location }) {
+        // The persisted `<other>` group is loaded back under its own key.
+        let key = message === OTHER_KEY && location === null ? OTHER_KEY : [name, location, message].join('\n');
+        let group = this.groups.get(key);
+        if (group) return group;
+
+        if (this.groups.size >= this.maxGroups) {
+            key = OTHER_KEY;
+            group = this.groups.get(key);
+            if (group) return group;
+            group = { name: 'Error', message: OTHER_KEY, location: null, count: 0, retries: 0 };
+        } else {
+            group = { name, message, location, count: 0, retries: 0 };
+        }
+        this.groups.set(key, group);
+        return group;
+    }
+
+    /**
+     * Replaces URLs and numbers in the error message with placeholders,
+     * because they usually differ between errors of the same origin.
+     *
+     * @param {*} message
+     * @return {string}
+     */
+    static normalizeMessage(message) {
+        return String(message)
+            .replace(/\b[a-z][a-z0-9+.-]*:\/\/[^\s"'<>()]+/gi, '<url>')
+            .replace(/\d+(\.\d+)?/g, '<num>')
+            .trim();
+    }
+
+    /**
+     * @param {string} [stack]
+     * @return {string|null}
+     */
+    static getTopStackFrame(stack) {
+        if (typeof stack !== 'string') return null;
+        const frame = stack.split('\n').find((line) => /^\s*at /.test(line));
+        return frame ? frame.trim().replace(/^at /, '') : null;
+    }
+}
+
 /**
  * The statistics class provides an interface to collecting and logging run
  * statistics for requests.
@@ -55,22 +204,26 @@ class Statistics {
         ow(options, ow.object.exactShape({
             logIntervalSecs: ow.optional.number,
             logMessage: ow.optional.string,
+            topErrorsCount: ow.optional.number.integer.greaterThanOrEqual(0),
         }));
 
         const {
             logIntervalSecs = 60,
             logMessage = 'Statistics',
+            topErrorsCount = 3,
         } = options;
 
         this.log = defaultLog.child({ prefix: 'Statistics' });
         this.logIntervalMillis = logIntervalSecs * 1000;
         this.logMessage = logMessage;
+        this.topErrorsCount = topErrorsCount;
         this.keyValueStore = null;
         // assign an id while incrementing so it can be saved/restored from KV
         this.id = Statistics.id++;
         this.persistStateKey = `SDK_CRAWLER_STATISTICS_${this.id}`;
         this.listener = this.persistState.bind(this);
         this.requestRetryHistogram = [];
+        this.errorTracker = new ErrorTracker();
 
         /**
          * @private
@@ -90,6 +243,7 @@ class Statistics {
             requestsFinished: 0,
             requestsFailed: 0,
             requestsRetries: 0,
+            requestsDroppedByCrawlDepth: 0,
             requestsFailedPerMinute: 0,
             requestsFinishedPerMinute: 0,
             requestMinDurationMillis: Infinity,
@@ -100,9 +254,15 @@ class Statistics {
             crawlerFinishedAt: null,
             statsPersistedAt: null,
             crawlerRuntimeMillis: 0,
+            responseStatusCodes: {},
+            requestsPerHostname: {},
+            responsesReceived: 0,
+            responseTotalLatencyMillis: 0,
+            bytesDownloaded: 0,
         };
 
         this.requestRetryHistogram.length = 0;
+        this.errorTracker.reset();
         this.requestsInProgress.clear();
         this.instanceStart = Date.now();
 
@@ -113,11 +273,12 @@ class Statistics {
      * Starts a job
      *
      * @param {number|string} id
+     * @param {string} [url] URL of the request, used to count finished and failed requests per hostname.
      * @ignore
      */
-    startJob(id) {
+    startJob(id, url) {
         let job = this.requestsInProgress.get(id);
-        if (!job) job = new Job();
+        if (!job) job = new Job(getHostname(url));
         job.run();
         this.requestsInProgress.set(id, job);
     }
@@ -137,6 +298,7 @@ class Statistics {
         this._saveRetryCountForJob(job);
         if (jobDurationMillis < this.state.requestMinDurationMillis) this.state.requestMinDurationMillis = jobDurationMillis;
         if (jobDurationMillis > this.state.requestMaxDurationMillis) this.state.requestMaxDurationMillis = jobDurationMillis;
+        this._countJobForHostname(job, 'finished');
         this.requestsInProgress.delete(id);
     }
 
@@ -152,9 +314,70 @@ class Statistics {
         this.state.requestTotalFailedDurationMillis += job.finish();
         this.state.requestsFailed++;
         this._saveRetryCountForJob(job);
+        this._countJobForHostname(job, 'failed');
         this.requestsInProgress.delete(id);
     }
 
+    /**
+     * Counts requests that were not enqueued or processed, because they exceeded the maximum crawl depth.
+     *
+     * @param {number} [count=1]
+     * @ignore
+     */
+    dropRequestsByCrawlDepth(count = 1) {
+        this.state.requestsDroppedByCrawlDepth += count;
+    }
+
+    /**
+     * Counts a response received by the crawler in the response statistics.
+     *
+     * @param {object} response
+     * @param {number} [response.statusCode]
+     * @param {number} [response.latencyMillis] Time from the start of the request until the response was received.
+     * @ignore
+     */
+    registerResponse({ statusCode, latencyMillis }) {
+        if (statusCode) {
+            this.state.responseStatusCodes[statusCode] = (this.state.responseStatusCodes[statusCode] || 0) + 1;
+        }
+        if (latencyMillis !== undefined) {
+            this.state.responsesReceived++;
+            this.state.responseTotalLatencyMillis += latencyMillis;
+        }
+    }
+
+    /**
+     * @param {number} bytes
+     * @ignore
+     */
+    registerBytesDownloaded(bytes) {
+        if (bytes > 0) this.state.bytesDownloaded += bytes;
+    }
+
+    /**
+     * Counts the error thrown while processing a request in the error statistics.
+     * Errors are grouped by their name, the top frame of their stack trace
+     * and their message with URLs and numbers stripped.
+     *
+     * @param {Error} error
+     * @param {object} [options]
+     * @param {boolean} [options.isRetried=false] Whether the request will be retried.
+     * @ignore
+     */
+    registerError(error, options) {
+        this.errorTracker.add(error, options);
+    }
+
+    /**
+     * Returns the groups of errors with the most occurrences, the most frequent first.
+     *
+     * @param {number} [limit] Defaults to the `topErrorsCount` option.
+     * @return {Array<ErrorGroup>}
+     */
+    getTopErrors(limit = this.topErrorsCount) {
+        return this.errorTracker.getTopErrors(limit);
+    }
+
     /**
      * Calculate the current statistics
      */
@@ -195,9 +418,11 @@ class Statistics {
         events.on(ACTOR_EVENT_NAMES_EX.PERSIST_STATE, this.listener);
 
         this.logInterval = setInterval(() => {
+            const topErrors = this.getTopErrors();
             this.log.info(this.logMessage, {
                 ...this.calculate(),
                 retryHistogram: this.requestRetryHistogram,
+                ...(topErrors.length ? { topErrors } : {}),
             });
         }, this.logIntervalMillis);
     }
@@ -227,6 +452,28 @@ class Statistics {
             : 1;
     }
 
+    /**
+     * @param {Job} job
+     * @param {string} outcome Either `finished` or `failed`.
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _countJobForHostname(job, outcome) {
+        if (!job.hostname) return;
+        const { requestsPerHostname } = this.state;
+        let { hostname } = job;
+        const isFull = requestsPerHostname[OTHER_KEY] || Object.keys(requestsPerHostname).length >= MAX_HOSTNAMES;
+        if (!requestsPerHostname[hostname] && isFull) hostname = OTHER_KEY;
+
+        let counts = requestsPerHostname[hostname];
+        if (!counts) {
+            counts = { finished: 0, failed: 0 };
+            requestsPerHostname[hostname] = counts;
+        }
+        counts[outcome]++;
+    }
+
     /**
      * Persist internal state to the key value store
      */
@@ -272,6 +519,13 @@ class Statistics {
         this.state.requestsFinished = savedState.requestsFinished;
         this.state.requestsFailed = savedState.requestsFailed;
         this.state.requestsRetries = savedState.requestsRetries;
+        this.state.requestsDroppedByCrawlDepth = savedState.requestsDroppedByCrawlDepth || 0;
+        this.errorTracker.load(savedState.errors || []);
+        this.state.responseStatusCodes = savedState.responseStatusCodes || {};
+        this.state.requestsPerHostname = savedState.requestsPerHostname || {};
+        this.state.responsesReceived = savedState.responsesReceived || 0;
+        this.state.responseTotalLatencyMillis = savedState.responseTotalLatencyMillis || 0;
+        this.state.bytesDownloaded = savedState.bytesDownloaded || 0;
 
         this.state.requestTotalFailedDurationMillis = savedState.requestTotalFailedDurationMillis;
         this.state.requestTotalFinishedDurationMillis = savedState.requestTotalFinishedDurationMillis;
@@ -318,6 +572,8 @@ class Statistics {
             crawlerFinishedAt: this.state.crawlerFinishedAt ? new Date(this.state.crawlerFinishedAt).toISOString() : null,
             crawlerStartedAt: this.state.crawlerStartedAt ? new Date(this.state.crawlerStartedAt).toISOString() : null,
             requestRetryHistogram: this.requestRetryHistogram,
+            errors: this.errorTracker.toJSON(),
+            responseAvgLatencyMillis: Math.round(this.state.responseTotalLatencyMillis / this.state.responsesReceived) || null,
             statsId: this.id,
             statsPersistedAt: new Date().toISOString(),
             ...this.calculate(),
@@ -327,6 +583,20 @@ class Statistics {
 
 Statistics.id = 0;
 
+/**
+ * @param {string} [url]
+ * @return {string|null}
+ * @ignore
+ */
+function getHostname(url) {
+    if (!url) return null;
+    try {
+        return new URL(url).hostname;
+    } catch (err) {
+        return null;
+    }
+}
+
 export default Statistics;
 
 /**
@@ -334,6 +604,18 @@ export default Statistics;
  * @typedef StatisticsOptions
  * @property {number} [logIntervalSecs]
  * @property {string} [logMessage]
+ * @property {number} [topErrorsCount]
+ */
+
+/**
+ * Group of errors with the same origin
+ *
+ * @typedef ErrorGroup
+ * @property {string} name Name of the errors, e.g. `TypeError`.
+ * @property {string} message Message of the errors with URLs and numbers replaced by `<url>` and `<num>`.
+ * @property {string|null} location Top frame of the stack trace of the errors.
+ * @property {number} count Number of occurrences of the errors.
+ * @property {number} retries Number of occurrences after which the request was retried.
  */
 
 /**
@@ -341,6 +623,8 @@ export default Statistics;
  *
  * @typedef StatisticPersistedState
  * @property {number[]} requestRetryHistogram
+ * @property {Array<ErrorGroup>} errors
+ * @property {number|null} responseAvgLatencyMillis
  * @property {number} statsId
  * @property {number} requestAvgFailedDurationMillis
  * @property {number} requestAvgFinishedDurationMillis
@@ -360,6 +644,7 @@ export default Statistics;
  * @property {number} requestsFinished
  * @property {number} requestsFailed
  * @property {number} requestsRetries
+ * @property {number} requestsDroppedByCrawlDepth
  * @property {number} requestsFailedPerMinute
  * @property {number} requestsFinishedPerMinute
  * @property {number} requestMinDurationMillis
@@ -370,4 +655,12 @@ export default Statistics;
  * @property {Date|string|null} crawlerFinishedAt
  * @property {number} crawlerRuntimeMillis
  * @property {Date|string|null} statsPersistedAt
+ * @property {Object<string, number>} responseStatusCodes
+ *   Number of responses received per HTTP status code.
+ * @property {Object<string, { finished: number, failed: number }>} requestsPerHostname
+ *   Number of finished and failed requests per hostname of their URL. There are at most 1000 hostnames,
+ *   the requests to the other hostnames are counted under the `<other>` key.
+ * @property {number} responsesReceived
+ * @property {number} responseTotalLatencyMillis
+ * @property {number} bytesDownloaded
  */
@@ -6,12 +6,15 @@ import { addInterceptRequestHandler, removeInterceptRequestHandler } from '../pu
 /* eslint-disable import/named,no-unused-vars,import/order */
 import { Page, Request as PuppeteerRequest, Target } from 'puppeteer';
 import {
+    constructExcludeRegExps,
     constructPseudoUrlInstances,
     createRequests,
-    addRequestsToQueueInBatches,
+    addRequestsToQueue,
     createRequestOptions,
+    ENQUEUE_STRATEGIES,
     RequestTransform,
 } from './shared';
+import Request from '../request';
 /* eslint-enable import/named,no-unused-vars,import/order */
 
 const STARTING_Z_INDEX = 2147400000;
@@ -72,6 +75,9 @@ const STARTING_Z_INDEX = 2147400000;
  *   All remaining keys will be used as the `requestTemplate` argument of the {@link PseudoUrl} constructor,
  *   which lets you specify special properties for the enqueued {@link Request} objects.
  *
+ *   Instead of pseudo-URLs, the array can contain {@link Glob}s, or plain objects with the `glob` property
+ *   holding the glob string, where the remaining keys are used as the `requestTemplate` in the same way.
+ *
  *   If `pseudoUrls` is an empty array, `null` or `undefined`, then the function
  *   enqueues all links found on the page.
  * @param {RequestTransform} [options.transformRequestFunction]
@@ -94,6 +100,20 @@ const STARTING_Z_INDEX = 2147400000;
  *       }
  *   }
  *   ```
+ * @param {string} [options.strategy='all']
+ *   Limits the enqueued URLs to the scope of the page where they were found:
+ *   - `all` enqueues URLs with any hostname,
+ *   - `same-hostname` enqueues only URLs with the same hostname, e.g. `https://example.com/foo` but not `https://shop.example.com`,
+ *   - `same-domain` enqueues URLs with the same registrable domain according to the
+ *     [public suffix list](https://publicsuffix.org/), including its subdomains,
+ *     e.g. `https://shop.example.co.uk` from `https://www.example.co.uk`,
+ *   - `same-origin` enqueues only URLs with the same protocol, hostname and port.
+ *
+ *   The strategy is applied together with `pseudoUrls`.
+ * @param {Array<(string|RegExp)>} [options.exclude]
+ *   An array of globs or RegExps matching the URLs that must not be enqueued, even if they match `pseudoUrls`.
+ *   In the globs, which are case-insensitive, `*` matches any characters except `/`, `**` matches any characters,
+ *   e.g. `https://example.com/**.pdf` or `https://*.example.com/**`.
  * @param {number} [options.waitForPageIdleSecs=1]
  *   Clicking in the page triggers various asynchronous operations that lead to new URLs being shown
  *   by the browser. It could be a simple JavaScript redirect or opening of a new tab in the browser.
@@ -111,6 +131,9 @@ const STARTING_Z_INDEX = 2147400000;
  *   This is the maximum period for which the function will keep tracking events, even if more events keep coming.
  *   Its purpose is to prevent a deadlock in the page by periodic events, often unrelated to the clicking itself.
  *   See `waitForPageIdleSecs` above for an explanation.
+ * @param {Request} [options.parentRequest]
+ *   The request of the page on which the links are found. The enqueued requests get its `crawlDepth` increased by one,
+ *   so that the crawlers can limit the depth of the crawl with their `maxCrawlDepth` option.
  * @return {Promise<Array<QueueOperationInfo>>}
  *   Promise that resolves to an array of {@link QueueOperationInfo} objects.
  * @memberOf puppeteer
@@ -120,12 +143,15 @@ const STARTING_Z_INDEX = 2147400000;
 export async function enqueueLinksByClickingElements(options) {
     ow(options, ow.object.exactShape({
         page: ow.object.hasKeys('goto', 'evaluate'),
-        requestQueue: ow.object.hasKeys('fetchNextRequest', 'addRequest'),
+        requestQueue: ow.object.hasKeys('fetchNextRequest').hasAnyKeys('addRequest', 'addRequests'),
         selector: ow.string,
-        pseudoUrls: ow.optional.array.ofType(ow.any(ow.string, ow.regExp, ow.object.hasKeys('purl'))),
+        pseudoUrls: ow.optional.array.ofType(ow.any(ow.string, ow.regExp, ow.object.hasKeys('purl'), ow.object.hasKeys('glob'))),
         transformRequestFunction: ow.optional.function,
         waitForPageIdleSecs: ow.optional.number,
         maxWaitForPageIdleSecs: ow.optional.number,
+        parentRequest: ow.optional.object,
+        strategy: ow.optional.string.oneOf(Object.values(ENQUEUE_STRATEGIES)),
+        exclude: ow.optional.array.ofType(ow.any(ow.string, ow.regExp)),
     }));
 
     const {
@@ -136,24 +162,32 @@ export async function enqueueLinksByClickingElements(options) {
         transformRequestFunction,
         waitForPageIdleSecs = 1,
         maxWaitForPageIdleSecs = 5,
+        parentRequest,
+        strategy = ENQUEUE_STRATEGIES.ALL,
+        exclude,
     } = options;
 
     const waitForPageIdleMillis = waitForPageIdleSecs * 1000;
     const maxWaitForPageIdleMillis = maxWaitForPageIdleSecs * 1000;
 
     const pseudoUrlInstances = constructPseudoUrlInstances(pseudoUrls || []);
+    const pageUrl = page.url();
     const interceptedRequests = await clickElementsAndInterceptNavigationRequests({
         page,
         selector,
         waitForPageIdleMillis,
         maxWaitForPageIdleMillis,
     });
-    let requestOptions = createRequestOptions(interceptedRequests);
+    let requestOptions = createRequestOptions(interceptedRequests, parentRequest);
     if (transformRequestFunction) {
         requestOptions = requestOptions.map(transformRequestFunction).filter((r) => !!r);
     }
-    const requests = createRequests(requestOptions, pseudoUrlInstances);
-    return addRequestsToQueueInBatches(requests, requestQueue);
+    const requests = createRequests(requestOptions, pseudoUrlInstances, {
+        strategy,
+        baseUrl: pageUrl,
+        exclude: constructExcludeRegExps(exclude || []),
+    });
+    return addRequestsToQueue(requests, requestQueue);
 }
 
 /**
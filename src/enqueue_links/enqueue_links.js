@@ -1,8 +1,16 @@
 import ow, { ArgumentError } from 'ow';
 import { URL } from 'url';
 import log from '../utils_log';
+import { filterRequestsByRobotsTxt } from '../robots_txt';
 /* eslint-disable import/no-duplicates */
-import { constructPseudoUrlInstances, createRequests, addRequestsToQueueInBatches, createRequestOptions } from './shared';
+import {
+    constructExcludeRegExps,
+    constructPseudoUrlInstances,
+    createRequests,
+    addRequestsToQueue,
+    createRequestOptions,
+    ENQUEUE_STRATEGIES,
+} from './shared';
 /* eslint-enable import/no-duplicates */
 
 // TYPE IMPORTS
@@ -12,6 +20,7 @@ import { Page as PlaywrightPage } from 'playwright';
 import { RequestQueue, QueueOperationInfo } from '../storages/request_queue';
 import { RequestTransform } from './shared';
 import PseudoUrl from '../pseudo_url';
+import Request from '../request';
 import { validators } from '../validators';
 /* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
 
@@ -66,6 +75,9 @@ import { validators } from '../validators';
  *   All remaining keys will be used as the `requestTemplate` argument of the {@link PseudoUrl} constructor,
  *   which lets you specify special properties for the enqueued {@link Request} objects.
  *
+ *   Instead of pseudo-URLs, the array can contain {@link Glob}s, or plain objects with the `glob` property
+ *   holding the glob string, where the remaining keys are used as the `requestTemplate` in the same way.
+ *
  *   If `pseudoUrls` is an empty array, `null` or `undefined`, then the function
  *   enqueues all links found on the page.
  * @param {RequestTransform} [options.transformRequestFunction]
@@ -87,6 +99,27 @@ import { validators } from '../validators';
  *       }
  *   }
  *   ```
+ * @param {string} [options.strategy='all']
+ *   Limits the enqueued URLs to the scope of the page where they were found:
+ *   - `all` enqueues URLs with any hostname,
+ *   - `same-hostname` enqueues only URLs with the same hostname, e.g. `https://example.com/foo` but not `https://shop.example.com`,
+ *   - `same-domain` enqueues URLs with the same registrable domain according to the
+ *     [public suffix list](https://publicsuffix.org/), including its subdomains,
+ *     e.g. `https://shop.example.co.uk` from `https://www.example.co.uk`,
+ *   - `same-origin` enqueues only URLs with the same protocol, hostname and port.
+ *
+ *   The strategy is applied together with `pseudoUrls`. When using Cheerio, `baseUrl` or `parentRequest` must be provided
+ *   to determine the URL of the page.
+ * @param {Array<(string|RegExp)>} [options.exclude]
+ *   An array of globs or RegExps matching the URLs that must not be enqueued, even if they match `pseudoUrls`.
+ *   In the globs, which are case-insensitive, `*` matches any characters except `/`, `**` matches any characters,
+ *   e.g. `https://example.com/**.pdf` or `https://*.example.com/**`.
+ * @param {boolean} [options.respectRobotsTxt=false]
+ *   If set to `true`, the URLs disallowed by the robots.txt of their origin are not enqueued.
+ *   The robots.txt files are downloaded once per origin and cached in the default {@link KeyValueStore}.
+ * @param {Request} [options.parentRequest]
+ *   The request of the page on which the links are found. The enqueued requests get its `crawlDepth` increased by one,
+ *   so that the crawlers can limit the depth of the crawl with their `maxCrawlDepth` option.
  * @return {Promise<Array<QueueOperationInfo>>}
  *   Promise that resolves to an array of {@link QueueOperationInfo} objects.
  * @memberOf utils
@@ -103,6 +136,10 @@ export async function enqueueLinks(options) {
         baseUrl,
         pseudoUrls,
         transformRequestFunction,
+        respectRobotsTxt = false,
+        parentRequest,
+        strategy = ENQUEUE_STRATEGIES.ALL,
+        exclude,
     } = options;
 
     if (!page && !$) {
@@ -114,7 +151,7 @@ export async function enqueueLinks(options) {
     ow(options, ow.object.exactShape({
         page: ow.optional.object.hasKeys('goto', 'evaluate'),
         $: ow.optional.function,
-        requestQueue: ow.object.hasKeys('fetchNextRequest', 'addRequest'),
+        requestQueue: ow.object.hasKeys('fetchNextRequest').hasAnyKeys('addRequest', 'addRequests'),
         limit: ow.optional.number,
         selector: ow.optional.string,
         baseUrl: ow.optional.string,
@@ -122,9 +159,14 @@ export async function enqueueLinks(options) {
             ow.string,
             ow.regExp,
             ow.object.hasKeys('purl'),
+            ow.object.hasKeys('glob'),
             ow.object.validate(validators.pseudoUrl),
         ))),
         transformRequestFunction: ow.optional.function,
+        respectRobotsTxt: ow.optional.boolean,
+        parentRequest: ow.optional.object,
+        strategy: ow.optional.string.oneOf(Object.values(ENQUEUE_STRATEGIES)),
+        exclude: ow.optional.array.ofType(ow.any(ow.string, ow.regExp)),
     }));
 
     if (baseUrl && page) log.warning('The parameter options.baseUrl can only be used when parsing a Cheerio object. It will be ignored.');
@@ -132,15 +174,30 @@ export async function enqueueLinks(options) {
     // Construct pseudoUrls from input where necessary.
     const pseudoUrlInstances = constructPseudoUrlInstances(pseudoUrls || []);
 
+    // The URL of the page is needed to determine the scope of the enqueued URLs.
+    let pageUrl;
+    if (strategy !== ENQUEUE_STRATEGIES.ALL) {
+        pageUrl = page ? page.url() : baseUrl || (parentRequest && (parentRequest.loadedUrl || parentRequest.url));
+        if (!pageUrl) {
+            throw new ArgumentError(`The parameter "options.baseUrl" or "options.parentRequest" must be provided to use the "${strategy}" strategy `
+                + 'with Cheerio.', enqueueLinks);
+        }
+    }
+
     const urls = page ? await extractUrlsFromPage(page, selector) : extractUrlsFromCheerio($, selector, baseUrl);
-    let requestOptions = createRequestOptions(urls);
+    let requestOptions = createRequestOptions(urls, parentRequest);
     if (transformRequestFunction) {
         requestOptions = requestOptions.map(transformRequestFunction).filter((r) => !!r);
     }
-    let requests = createRequests(requestOptions, pseudoUrlInstances);
+    let requests = createRequests(requestOptions, pseudoUrlInstances, {
+        strategy,
+        baseUrl: pageUrl,
+        exclude: constructExcludeRegExps(exclude || []),
+    });
+    if (respectRobotsTxt) requests = await filterRequestsByRobotsTxt(requests);
     if (limit) requests = requests.slice(0, limit);
 
-    return addRequestsToQueueInBatches(requests, requestQueue);
+    return addRequestsToQueue(requests, requestQueue);
 }
 
 /**
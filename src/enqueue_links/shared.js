@@ -1,16 +1,30 @@
 import { URL } from 'url';
+import * as net from 'net';
+import * as psl from 'psl';
 import * as _ from 'underscore';
 import PseudoUrl from '../pseudo_url';
-import Request from '../request'; // eslint-disable-line import/no-duplicates
+import Glob, { globToRegExp } from '../glob';
+import Request, { INTERNAL_USER_DATA_KEY } from '../request'; // eslint-disable-line import/no-duplicates
 
 // TYPES IMPORT
 /* eslint-disable import/order,no-unused-vars,import/named,import/no-duplicates */
-import { RequestQueue, QueueOperationInfo } from '../storages/request_queue';
 import { RequestOptions } from '../request';
+import { RequestQueue, QueueOperationInfo } from '../storages/request_queue';
 /* eslint-enable */
 
 const MAX_ENQUEUE_LINKS_CACHE_SIZE = 1000;
 
+/**
+ * Strategies that limit the links enqueued by `enqueueLinks()` to the scope of the page where they were found.
+ * @ignore
+ */
+export const ENQUEUE_STRATEGIES = {
+    ALL: 'all',
+    SAME_HOSTNAME: 'same-hostname',
+    SAME_DOMAIN: 'same-domain',
+    SAME_ORIGIN: 'same-origin',
+};
+
 /**
  * To enable direct use of the Actor UI `pseudoUrls` output while keeping high performance,
  * all the pseudoUrls from the output are only constructed once and kept in a cache
@@ -21,7 +35,7 @@ const enqueueLinksPseudoUrlCache = new Map();
 
 /**
  * Helper factory used in the `enqueueLinks()` and enqueueLinksByClickingElements() function.
- * @param {Array<(string|RegExp|{ purl: string|RegExp })>} pseudoUrls
+ * @param {Array<(string|RegExp|PseudoUrl|Glob|{ purl: string|RegExp }|{ glob: string })>} pseudoUrls
  * @return {Array<PseudoUrl>}
  * @ignore
  */
@@ -36,6 +50,8 @@ export function constructPseudoUrlInstances(pseudoUrls) {
         if (item instanceof PseudoUrl) pUrl = item;
         // If it's a string or RegExp, construct a PURL from it directly.
         else if (typeof item === 'string' || item instanceof RegExp) pUrl = new PseudoUrl(item);
+        // If it's an object with a glob property, use it and the rest to construct a Glob with a Request template.
+        else if (item.glob) pUrl = new Glob(item.glob, _.omit(item, 'glob'));
         // If it's an object, look for a purl property and use it and the rest to construct a PURL with a Request template.
         else pUrl = new PseudoUrl(item.purl, _.omit(item, 'purl'));
 
@@ -48,19 +64,70 @@ export function constructPseudoUrlInstances(pseudoUrls) {
         return pUrl;
     });
 }
+/**
+ * Helper factory used in the `enqueueLinks()` and enqueueLinksByClickingElements() function.
+ * @param {Array<(string|RegExp)>} exclude Globs or RegExps.
+ * @return {Array<RegExp>}
+ * @ignore
+ */
+export function constructExcludeRegExps(exclude) {
+    return exclude.map((pattern) => (pattern instanceof RegExp ? pattern : globToRegExp(pattern)));
+}
+
+/**
+ * Returns the registrable domain of the hostname according to the public suffix list,
+ * e.g. `example.co.uk` for `www.example.co.uk`. IP addresses and hostnames
+ * without a registrable domain, such as `localhost`, are returned unchanged.
+ *
+ * @param {string} hostname
+ * @return {string}
+ * @ignore
+ */
+export function getDomain(hostname) {
+    if (net.isIP(hostname)) return hostname;
+    return psl.get(hostname) || hostname;
+}
+
+/**
+ * @param {string} url
+ * @param {string} baseUrl
+ * @param {string} strategy One of the {@link ENQUEUE_STRATEGIES}.
+ * @return {boolean}
+ * @ignore
+ */
+export function isUrlInScope(url, baseUrl, strategy) {
+    if (strategy === ENQUEUE_STRATEGIES.ALL) return true;
+
+    const { hostname, origin } = new URL(url);
+    const base = new URL(baseUrl);
+    if (strategy === ENQUEUE_STRATEGIES.SAME_ORIGIN) return origin === base.origin;
+    if (strategy === ENQUEUE_STRATEGIES.SAME_HOSTNAME) return hostname === base.hostname;
+    if (strategy === ENQUEUE_STRATEGIES.SAME_DOMAIN) return getDomain(hostname) === getDomain(base.hostname);
+    throw new Error(`Unknown enqueue strategy "${strategy}".`);
+}
+
 /**
  * @param {Array<(string|Object)>} requestOptions
  * @param {Array<PseudoUrl>} pseudoUrls
+ * @param {object} [options]
+ * @param {string} [options.strategy='all'] One of the {@link ENQUEUE_STRATEGIES}.
+ * @param {string} [options.baseUrl] URL of the page where the links were found, required by all strategies but `all`.
+ * @param {Array<RegExp>} [options.exclude] URLs matching any of these are not enqueued.
  * @return {Array<Request>}
  * @ignore
  */
-export function createRequests(requestOptions, pseudoUrls) {
+export function createRequests(requestOptions, pseudoUrls, options = {}) {
+    const { strategy = ENQUEUE_STRATEGIES.ALL, baseUrl, exclude = [] } = options;
+    const filteredRequestOptions = requestOptions
+        .filter(({ url }) => isUrlInScope(url, baseUrl, strategy) && !exclude.some((regex) => regex.test(url)))
+        .map(removeInternalUserData);
+
     if (!(pseudoUrls && pseudoUrls.length)) {
-        return requestOptions.map((opts) => new Request(opts));
+        return filteredRequestOptions.map((opts) => new Request(opts));
     }
 
     const requests = [];
-    requestOptions.forEach((opts) => {
+    filteredRequestOptions.forEach((opts) => {
         pseudoUrls
             .filter((purl) => purl.matches(opts.url))
             .forEach((purl) => {
@@ -71,11 +138,26 @@ export function createRequests(requestOptions, pseudoUrls) {
     return requests;
 }
 
+/**
+ * The internal data of the SDK, such as the crawl depth, belong to the request they were stored with.
+ * They're removed from the options of a new request, in case the `userData` of the parent request was copied to them,
+ * e.g. by a `transformRequestFunction`.
+ *
+ * @param {RequestOptions} opts
+ * @return {RequestOptions}
+ * @ignore
+ */
+function removeInternalUserData(opts) {
+    if (!opts.userData || !opts.userData[INTERNAL_USER_DATA_KEY]) return opts;
+    return { ...opts, userData: _.omit(opts.userData, INTERNAL_USER_DATA_KEY) };
+}
+
 /**
  * @param {Array<(string|Object)>} sources
+ * @param {Request} [parentRequest] The request on which the sources were found, used to compute their `crawlDepth`.
  * @ignore
  */
-export function createRequestOptions(sources) {
+export function createRequestOptions(sources, parentRequest) {
     return sources
         .map((src) => {
             const reqOpts = typeof src === 'string'
@@ -84,6 +166,7 @@ export function createRequestOptions(sources) {
             // TODO Remove with v1, there are examples
             // which depend on userData existing here.
             reqOpts.userData = { ...reqOpts.userData };
+            if (parentRequest) reqOpts.crawlDepth = (parentRequest.crawlDepth || 0) + 1;
             return reqOpts;
         })
         .filter(({ url }) => {
@@ -95,6 +178,20 @@ export function createRequestOptions(sources) {
         });
 }
 
+/**
+ * Adds the requests to the queue with {@link RequestQueue#addRequests}. Request-queue-like objects
+ * that don't implement `addRequests()` get the requests one by one through `addRequest()` instead.
+ *
+ * @param {Array<Request>} requests
+ * @param {RequestQueue} requestQueue
+ * @return {Promise<Array<QueueOperationInfo>>}
+ * @ignore
+ */
+export async function addRequestsToQueue(requests, requestQueue) {
+    if (typeof requestQueue.addRequests === 'function') return requestQueue.addRequests(requests);
+    return addRequestsToQueueInBatches(requests, requestQueue);
+}
+
 /**
  * @param {Array<Request>} requests
  * @param {RequestQueue} requestQueue
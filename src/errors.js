@@ -35,3 +35,46 @@ export class ApifyCallError extends Error {
  * @ignore
  */
 export class TimeoutError extends Error {}
+
+/**
+ * BlockedRequestError class.
+ * This error is thrown by the crawlers when the website responds with one of the status codes
+ * that mark the session as blocked.
+ * @ignore
+ */
+export class BlockedRequestError extends Error {}
+
+export const NON_RETRYABLE_ERROR_NAME = 'NonRetryableError';
+
+/**
+ * Errors of this class thrown from the `handlePageFunction` or `handleRequestFunction`
+ * make the crawler fail the request immediately, without any retries,
+ * regardless of the `maxRequestRetries` option.
+ *
+ * **Example usage:**
+ *
+ * ```javascript
+ * const handlePageFunction = async ({ $, request }) => {
+ *     if ($('.product-removed').length) {
+ *         throw new Apify.NonRetryableError(`Product ${request.url} was removed.`);
+ *     }
+ *     // ...
+ * };
+ * ```
+ *
+ * @property {string} message
+ *   Error message
+ * @property {string} name
+ *   Contains `"NonRetryableError"`
+ */
+export class NonRetryableError extends Error {
+    /**
+     * @param {string} [message]
+     */
+    constructor(message) {
+        super(message);
+        this.name = NON_RETRYABLE_ERROR_NAME;
+
+        Error.captureStackTrace(this, NonRetryableError);
+    }
+}
@@ -25,6 +25,13 @@ let eventsWs = null;
  */
 let persistStateInterval = null;
 
+/**
+ * Functions called by `gracefulShutdown()` to persist the state of the running SDK components.
+ * @type {Set<function(ShutdownInfo): Promise<void>>}
+ * @ignore
+ */
+const shutdownHandlers = new Set();
+
 /**
  * Gets an instance of a Node.js'
  * [EventEmitter](https://nodejs.org/api/events.html#events_class_eventemitter)
@@ -145,3 +152,52 @@ export const stopEvents = () => {
     clearInterval(persistStateInterval);
     persistStateInterval = null;
 };
+
+/**
+ * Registers a function that is called when the process is interrupted by the `SIGINT` or `SIGTERM` signal
+ * in `Apify.main()`, see `gracefulShutdown()`. It's used by the crawlers to finish the requests in progress
+ * and persist their state, so that the crawl can be resumed.
+ *
+ * @param {function(ShutdownInfo): Promise<void>} handler
+ * @ignore
+ */
+export const addShutdownHandler = (handler) => {
+    shutdownHandlers.add(handler);
+};
+
+/**
+ * @param {function(ShutdownInfo): Promise<void>} handler
+ * @ignore
+ */
+export const removeShutdownHandler = (handler) => {
+    shutdownHandlers.delete(handler);
+};
+
+/**
+ * Emits the `persistState` event and waits for the registered shutdown handlers to finish.
+ * Errors thrown by the handlers are logged, so that one failing component does not prevent the others from persisting their state.
+ * This is an internal function that is automatically called by `Apify.main()` when the process receives `SIGINT` or `SIGTERM`.
+ *
+ * @param {ShutdownInfo} info
+ * @return {Promise<void>}
+ * @ignore
+ */
+export const gracefulShutdown = async (info) => {
+    const log = defaultLog.child({ prefix: 'Events' });
+
+    emitPersistStateEvent();
+    await Promise.all([...shutdownHandlers].map(async (handler) => {
+        try {
+            await handler(info);
+        } catch (err) {
+            log.exception(err, 'Failed to persist the state before exiting.');
+        }
+    }));
+};
+
+/**
+ * @typedef ShutdownInfo
+ * @property {string} signal The signal that interrupted the process, e.g. `SIGINT`.
+ * @property {number} timeoutMillis How long the handlers may wait for the work in progress to finish.
+ * @ignore
+ */
@@ -0,0 +1,108 @@
+import ow from 'ow';
+import log from './utils_log';
+import PseudoUrl from './pseudo_url';
+import { RequestOptions } from './request'; // eslint-disable-line import/named,no-unused-vars
+
+/**
+ * Converts a glob pattern to a case-insensitive RegExp matching whole URLs.
+ * `**` matches any characters, `*` and `?` match any characters and a single character except `/`,
+ * `{a,b}` matches any of the alternatives and `[abc]` or `[!abc]` match a character from the set or not from it.
+ *
+ * @param {string} glob
+ * @return {RegExp}
+ * @ignore
+ */
+export function globToRegExp(glob) {
+    let source = '';
+    let braceDepth = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        const closingBracketIndex = char === '[' ? glob.indexOf(']', i + 2) : -1;
+        if (char === '*' && glob[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            source += '(?:';
+            braceDepth++;
+        } else if (char === '}' && braceDepth) {
+            source += ')';
+            braceDepth--;
+        } else if (char === ',' && braceDepth) {
+            source += '|';
+        } else if (closingBracketIndex !== -1) {
+            const set = glob.substring(i + 1, closingBracketIndex).replace(/\\/g, '\\\\');
+            source += set[0] === '!' ? `[^${set.substr(1)}]` : `[${set}]`;
+            i = closingBracketIndex;
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    if (braceDepth) throw new Error(`Glob "${glob}" contains an unclosed brace.`);
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Represents a glob - an URL pattern that is easier to write than a pseudo-URL, because no part of it
+ * needs to be a regular expression. Globs can be used anywhere {@link PseudoUrl}s are accepted,
+ * for example in the `pseudoUrls` option of the {@link utils#enqueueLinks} function, and the {@link Request}
+ * objects are created from the `requestTemplate` in the same way as by {@link PseudoUrl#createRequest}.
+ *
+ * The glob is matched against the whole URL and the matching is always case-insensitive.
+ * The following special characters are supported:
+ *
+ * - `*` matches any characters except `/`,
+ * - `**` matches any characters, including `/`,
+ * - `?` matches a single character except `/`, so it matches also the `?` that starts the query string,
+ * - `{a,b}` matches any of the comma-separated alternatives,
+ * - `[abc]` matches a single character from the set, `[!abc]` a single character that's not in the set.
+ *
+ * For example, a glob `https://{www.,}example.com/products/**` will match all of the following URLs:
+ *
+ * - `https://example.com/products/`
+ * - `https://www.example.com/products/shoes/123`
+ * - `https://www.example.com/products/shoes?color=red`
+ *
+ * In the `pseudoUrls` option, globs can also be provided as plain objects with the `glob` property,
+ * while the remaining keys are used as the `requestTemplate`.
+ *
+ * **Example usage:**
+ *
+ * ```javascript
+ * const glob = new Apify.Glob('https://www.example.com/products/**', {
+ *   userData: { label: 'PRODUCT' },
+ * });
+ *
+ * await Apify.utils.enqueueLinks({
+ *   $,
+ *   requestQueue,
+ *   pseudoUrls: [
+ *     glob,
+ *     { glob: 'https://www.example.com/categories/*', userData: { label: 'CATEGORY' } },
+ *   ],
+ * });
+ * ```
+ */
+class Glob extends PseudoUrl {
+    /**
+     * @param {string} glob
+     *   A glob pattern of the URLs.
+     * @param {RequestOptions} [requestTemplate]
+     *   Options for the new {@link Request} instances created for matching URLs
+     *   by the {@link utils#enqueueLinks} function.
+     */
+    constructor(glob, requestTemplate = {}) {
+        ow(glob, ow.string.nonEmpty);
+
+        const regex = globToRegExp(glob.trim());
+        log.debug('Glob parsed', { glob, regex: regex.source });
+        super(regex, requestTemplate);
+
+        this.glob = glob;
+    }
+}
+
+export default Glob;
@@ -14,6 +14,8 @@ import { launchPlaywright } from './browser_launchers/playwright_launcher';
 import BrowserCrawler from './crawlers/browser_crawler';
 import PuppeteerCrawler from './crawlers/puppeteer_crawler';
 import PlaywrightCrawler from './crawlers/playwright_crawler';
+import Router from './crawlers/router';
+import { NonRetryableError } from './errors';
 import Request from './request';
 import { RequestList, openRequestList } from './request_list';
 import { createProxyConfiguration } from './proxy_configuration';
@@ -24,7 +26,10 @@ import { playwrightUtils } from './playwright_utils';
 import { socialUtils } from './utils_social';
 import { enqueueLinks } from './enqueue_links/enqueue_links';
 import PseudoUrl from './pseudo_url';
+import Glob from './glob';
 import LiveViewServer from './live_view/live_view_server';
+import MetricsServer from './metrics_server';
+import { Tracer, JsonLinesSpanExporter } from './tracing';
 import { requestAsBrowser } from './utils_request';
 import { openSessionPool } from './session_pool/session_pool';
 import { Session } from './session_pool/session';
@@ -127,8 +132,11 @@ export {
     BrowserCrawler,
     PuppeteerCrawler,
     PlaywrightCrawler,
+    Router,
+    NonRetryableError,
 
     PseudoUrl,
+    Glob,
 
     Request,
     RequestList,
@@ -140,6 +148,9 @@ export {
     createProxyConfiguration,
 
     LiveViewServer,
+    MetricsServer,
+    Tracer,
+    JsonLinesSpanExporter,
     Session,
 
     exportedUtils as utils,
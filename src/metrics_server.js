@@ -0,0 +1,364 @@
+import * as http from 'http';
+import * as express from 'express';
+import ow from 'ow';
+import { promisifyServerListen } from '@apify/utilities';
+import { ENV_VARS, LOCAL_ENV_VARS } from '@apify/consts';
+import defaultLog from './utils_log';
+
+// TYPES IMPORT
+/* eslint-disable import/order,no-unused-vars,import/named,import/no-duplicates */
+import { BasicCrawler } from './crawlers/basic_crawler';
+/* eslint-enable */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * `MetricsServer` exposes the metrics of a running crawler over HTTP in the
+ * [Prometheus text format](https://prometheus.io/docs/instrumenting/exposition_formats/),
+ * so that long-running crawlers can be monitored by Prometheus or any other tool
+ * that understands the format, such as the OpenMetrics compatible scrapers.
+ *
+ * The metrics are read from the crawler on every scrape, so the server can be started before the crawler runs
+ * and kept running across its runs. The following metrics are exposed, all of them prefixed with `apify_`:
+ *
+ * - the counters of the crawler's {@link Statistics}, including the number of responses per status code
+ *   and the number of finished and failed requests per hostname,
+ * - the current and desired concurrency of the crawler's {@link AutoscaledPool},
+ * - the overload flags of its {@link SystemStatus} and the latest memory, CPU and event loop samples
+ *   of its {@link Snapshotter},
+ * - the number of usable and retired sessions in the crawler's {@link SessionPool},
+ * - the number of pending and handled requests in the crawler's {@link RequestQueue}.
+ *
+ * Metrics of components the crawler does not use, or has not created yet, are omitted.
+ *
+ * **Example usage:**
+ *
+ * ```javascript
+ * const crawler = new Apify.CheerioCrawler({ requestQueue, handlePageFunction });
+ *
+ * const metricsServer = new Apify.MetricsServer({ crawler, port: 9090 });
+ * await metricsServer.start();
+ *
+ * await crawler.run();
+ *
+ * await metricsServer.stop();
+ * ```
+ */
+class MetricsServer {
+    /**
+     * @param {MetricsServerOptions} options
+     *   All `MetricsServer` parameters are passed via an options object.
+     */
+    constructor(options) {
+        ow(options, ow.object.exactShape({
+            crawler: ow.object,
+            port: ow.optional.number.integer.inRange(0, 65535),
+            path: ow.optional.string.startsWith('/'),
+        }));
+
+        const {
+            crawler,
+            port,
+            path = '/metrics',
+        } = options;
+
+        this.log = defaultLog.child({ prefix: 'MetricsServer' });
+        this.crawler = crawler;
+        this.path = path;
+        this.port = port;
+        this.httpServer = null;
+        this._isRunning = false;
+
+        this._setupHttpServer();
+    }
+
+    /**
+     * Starts the HTTP server.
+     * @return {Promise<void>}
+     */
+    async start() {
+        await promisifyServerListen(this.httpServer)(this.port);
+        this._isRunning = true;
+        this.log.info('Metrics server started', { port: this.httpServer.address().port, path: this.path });
+    }
+
+    /**
+     * Stops the HTTP server.
+     * @return {Promise<void>}
+     */
+    async stop() {
+        return new Promise((resolve, reject) => {
+            this.httpServer.close((err) => {
+                this._isRunning = false;
+                if (err) return reject(err);
+                this.log.info('Metrics server stopped.');
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @return {boolean}
+     */
+    isRunning() {
+        return this._isRunning;
+    }
+
+    /**
+     * Returns the current metrics of the crawler in the Prometheus text format.
+     * @return {Promise<string>}
+     */
+    async getMetrics() {
+        const metrics = [
+            ...this._getStatisticsMetrics(),
+            ...this._getAutoscaledPoolMetrics(),
+            ...this._getSessionPoolMetrics(),
+            ...await this._getRequestQueueMetrics(),
+        ];
+        return formatMetrics(metrics);
+    }
+
+    /**
+     * @return {Array<Metric>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getStatisticsMetrics() {
+        const { stats } = this.crawler;
+        if (!stats) return [];
+        const { state } = stats;
+
+        const hostnameValues = [];
+        Object.entries(state.requestsPerHostname).forEach(([hostname, counts]) => {
+            hostnameValues.push({ labels: { hostname, outcome: 'finished' }, value: counts.finished });
+            hostnameValues.push({ labels: { hostname, outcome: 'failed' }, value: counts.failed });
+        });
+
+        return [
+            counter('crawler_requests_finished_total', 'Number of successfully processed requests.', state.requestsFinished),
+            counter('crawler_requests_failed_total', 'Number of requests that failed and will not be retried.', state.requestsFailed),
+            counter('crawler_requests_retried_total', 'Number of processed requests that were retried at least once.', state.requestsRetries),
+            counter(
+                'crawler_requests_dropped_by_crawl_depth_total',
+                'Number of requests dropped because they exceeded the maximum crawl depth.',
+                state.requestsDroppedByCrawlDepth,
+            ),
+            counter(
+                'crawler_request_duration_milliseconds_total',
+                'Total time spent processing finished and failed requests.',
+                state.requestTotalFinishedDurationMillis + state.requestTotalFailedDurationMillis,
+            ),
+            {
+                name: 'crawler_responses_total',
+                help: 'Number of responses received per HTTP status code.',
+                type: 'counter',
+                values: Object.entries(state.responseStatusCodes)
+                    .map(([statusCode, value]) => ({ labels: { status_code: statusCode }, value })),
+            },
+            {
+                name: 'crawler_hostname_requests_total',
+                help: 'Number of finished and failed requests per hostname.',
+                type: 'counter',
+                values: hostnameValues,
+            },
+            counter('crawler_downloaded_bytes_total', 'Number of bytes downloaded by the crawler.', state.bytesDownloaded),
+            {
+                name: 'crawler_response_latency_milliseconds',
+                help: 'Time from the start of the request until the response was received.',
+                type: 'summary',
+                values: [
+                    { suffix: '_sum', value: state.responseTotalLatencyMillis },
+                    { suffix: '_count', value: state.responsesReceived },
+                ],
+            },
+        ];
+    }
+
+    /**
+     * @return {Array<Metric>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getAutoscaledPoolMetrics() {
+        const { autoscaledPool } = this.crawler;
+        if (!autoscaledPool) return [];
+
+        const { systemStatus, snapshotter } = autoscaledPool;
+        const status = systemStatus.getCurrentStatus();
+        const overloadedValues = [
+            ['memory', status.memInfo],
+            ['event_loop', status.eventLoopInfo],
+            ['cpu', status.cpuInfo],
+            ['client', status.clientInfo],
+        ].map(([resource, info]) => ({ labels: { resource }, value: Number(info.isOverloaded) }));
+
+        const metrics = [
+            gauge('autoscaled_pool_current_concurrency', 'Number of tasks running in parallel.', autoscaledPool.currentConcurrency),
+            gauge('autoscaled_pool_desired_concurrency', 'Number of tasks that should be running in parallel.', autoscaledPool.desiredConcurrency),
+            {
+                name: 'system_overloaded',
+                help: 'Whether the resource was recently overloaded, according to the system status.',
+                type: 'gauge',
+                values: overloadedValues,
+            },
+        ];
+
+        const [memory] = snapshotter.memorySnapshots.slice(-1);
+        const [cpu] = snapshotter.cpuSnapshots.slice(-1);
+        const [eventLoop] = snapshotter.eventLoopSnapshots.slice(-1);
+        if (memory) metrics.push(gauge('system_memory_used_bytes', 'Memory used by the process and its children.', memory.usedBytes));
+        if (cpu) metrics.push(gauge('system_cpu_used_ratio', 'Ratio of the used CPU.', cpu.usedRatio));
+        if (eventLoop) {
+            metrics.push(gauge(
+                'system_event_loop_exceeded_milliseconds',
+                'Time by which the event loop was blocked over the allowed limit.',
+                eventLoop.exceededMillis,
+            ));
+        }
+        return metrics;
+    }
+
+    /**
+     * @return {Array<Metric>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getSessionPoolMetrics() {
+        const { sessionPool } = this.crawler;
+        if (!sessionPool) return [];
+
+        return [
+            gauge('session_pool_usable_sessions', 'Number of usable sessions in the session pool.', sessionPool.usableSessionsCount),
+            gauge('session_pool_retired_sessions', 'Number of retired sessions in the session pool.', sessionPool.retiredSessionsCount),
+        ];
+    }
+
+    /**
+     * @return {Promise<Array<Metric>>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _getRequestQueueMetrics() {
+        const { requestQueue } = this.crawler;
+        if (!requestQueue) return [];
+
+        const { pendingRequestCount, handledRequestCount } = await requestQueue.getInfo();
+        return [
+            gauge('request_queue_pending_requests', 'Number of requests in the request queue that were not handled yet.', pendingRequestCount),
+            gauge('request_queue_handled_requests', 'Number of handled requests in the request queue.', handledRequestCount),
+        ];
+    }
+
+    /**
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _setupHttpServer() {
+        if (this.port === undefined) {
+            const containerPort = process.env[ENV_VARS.CONTAINER_PORT] || LOCAL_ENV_VARS[ENV_VARS.CONTAINER_PORT];
+            this.port = parseInt(containerPort, 10);
+            if (!(this.port >= 0 && this.port <= 65535)) {
+                throw new Error('Cannot start MetricsServer - invalid port specified by the '
+                    + `${ENV_VARS.CONTAINER_PORT} environment variable (was "${containerPort}").`);
+            }
+        }
+
+        this.httpServer = http.createServer();
+        const app = express();
+
+        app.get(this.path, (req, res) => {
+            this.getMetrics()
+                .then((metrics) => res.type(CONTENT_TYPE).send(metrics))
+                .catch((err) => {
+                    this.log.exception(err, 'Failed to collect metrics.');
+                    res.status(500).send('Failed to collect metrics');
+                });
+        });
+
+        app.all('*', (req, res) => {
+            res.status(404).send('Nothing here');
+        });
+
+        this.httpServer.on('request', app);
+    }
+}
+
+export default MetricsServer;
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {number} value
+ * @return {Metric}
+ * @ignore
+ */
+function counter(name, help, value) {
+    return { name, help, type: 'counter', values: [{ value }] };
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {number} value
+ * @return {Metric}
+ * @ignore
+ */
+function gauge(name, help, value) {
+    return { name, help, type: 'gauge', values: [{ value }] };
+}
+
+/**
+ * @param {string} value
+ * @return {string}
+ * @ignore
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats the metrics in the Prometheus text format.
+ *
+ * @param {Array<Metric>} metrics
+ * @return {string}
+ * @ignore
+ */
+export function formatMetrics(metrics) {
+    const lines = [];
+    metrics.forEach(({ name, help, type, values }) => {
+        const fullName = `apify_${name}`;
+        lines.push(`# HELP ${fullName} ${help}`);
+        lines.push(`# TYPE ${fullName} ${type}`);
+        values.forEach(({ suffix = '', labels, value }) => {
+            const labelString = labels
+                ? `{${Object.entries(labels).map(([key, val]) => `${key}="${escapeLabelValue(val)}"`).join(',')}}`
+                : '';
+            lines.push(`${fullName}${suffix}${labelString} ${Number.isFinite(value) ? value : 0}`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @typedef MetricsServerOptions
+ * @property {BasicCrawler} crawler
+ *   The crawler whose metrics are exposed. Any of the crawler classes can be used.
+ * @property {number} [port]
+ *   Port of the HTTP server. Defaults to the port specified by the `APIFY_CONTAINER_PORT` environment variable.
+ * @property {string} [path='/metrics']
+ *   Path of the endpoint with the metrics.
+ */
+
+/**
+ * @typedef Metric
+ * @property {string} name
+ * @property {string} help
+ * @property {string} type
+ * @property {Array<{ value: number, labels?: Object<string, string>, suffix?: string }>} values
+ * @ignore
+ */
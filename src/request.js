@@ -7,6 +7,15 @@ import defaultLog from './utils_log';
 // new properties on the Request object breaks serialization
 const log = defaultLog.child({ prefix: 'Request' });
 
+/**
+ * Key in `userData` where the SDK stores internal metadata of the request.
+ * Since `userData` is persisted together with the request in both {@link RequestList}
+ * and {@link RequestQueue}, the metadata survive migrations and restarts,
+ * without introducing new properties to the serialized request.
+ * @ignore
+ */
+export const INTERNAL_USER_DATA_KEY = '__apify';
+
 export function hashPayload(payload) {
     return crypto
         .createHash('sha256')
@@ -30,6 +39,8 @@ const requestOptionalPredicates = {
     handledAt: ow.optional.any(ow.string.date, ow.date),
     keepUrlFragment: ow.optional.boolean,
     useExtendedUniqueKey: ow.optional.boolean,
+    priority: ow.optional.number.finite,
+    crawlDepth: ow.optional.number.integer.greaterThanOrEqual(0),
 };
 
 /**
@@ -86,10 +97,24 @@ const requestOptionalPredicates = {
  * @property {Object<string, string>} headers
  *   Object with HTTP headers. Key is header name, value is the value.
  * @property {Object<string, *>} userData
- *   Custom user data assigned to the request.
+ *   Custom user data assigned to the request. The `__apify` key is reserved, the SDK stores the internal data
+ *   of the request there, such as its `priority`, `retryAt`, `crawlDepth` and `timings`, so that they're persisted
+ *   with the request. Leave the key out when copying the `userData` elsewhere, e.g. to a {@link Dataset}.
  * @property {Date} handledAt
  *   Indicates the time when the request has been processed.
  *   Is `null` if the request has not been crawled yet.
+ * @property {(Date|null)} retryAt
+ *   Indicates the earliest time when the failed request can be retried.
+ *   Is `null` if the request can be processed immediately.
+ * @property {number} priority
+ *   Priority of the request in the {@link RequestQueue}. Requests with higher priority are fetched first.
+ *   Defaults to `0`.
+ * @property {number} crawlDepth
+ *   Number of links followed from the start URLs to this request. Start URLs have depth `0`.
+ *   The depth is set by {@link utils#enqueueLinks} when it's given the parent request.
+ * @property {(RequestTimings|null)} timings
+ *   Durations of the phases of the last processing of the request. Only set by the crawlers
+ *   with the `saveRequestTimings` option, otherwise `null`.
  */
 class Request {
     /**
@@ -131,6 +156,8 @@ class Request {
             handledAt,
             keepUrlFragment = false,
             useExtendedUniqueKey = false,
+            priority,
+            crawlDepth,
         } = options;
 
         if (method === 'GET' && payload) throw new Error('Request with GET method cannot have a payload.');
@@ -155,6 +182,90 @@ class Request {
         this.handledAt = typeof handledAt === 'string'
             ? new Date(handledAt)
             : handledAt;
+
+        if (priority) this.priority = priority;
+        if (crawlDepth) this.crawlDepth = crawlDepth;
+    }
+
+    /**
+     * @return {number}
+     * @ignore
+     */
+    get priority() {
+        const { priority = 0 } = this.userData[INTERNAL_USER_DATA_KEY] || {};
+        return priority;
+    }
+
+    /**
+     * @param {number} value
+     * @ignore
+     */
+    set priority(value) {
+        this.userData[INTERNAL_USER_DATA_KEY] = {
+            ...this.userData[INTERNAL_USER_DATA_KEY],
+            priority: value || undefined,
+        };
+    }
+
+    /**
+     * @return {(Date|null)}
+     * @ignore
+     */
+    get retryAt() {
+        const { retryAt } = this.userData[INTERNAL_USER_DATA_KEY] || {};
+        return retryAt ? new Date(retryAt) : null;
+    }
+
+    /**
+     * @param {(Date|null)} value
+     * @ignore
+     */
+    set retryAt(value) {
+        // The nested object is shared with copies of the request, so it's replaced instead of mutated.
+        this.userData[INTERNAL_USER_DATA_KEY] = {
+            ...this.userData[INTERNAL_USER_DATA_KEY],
+            retryAt: value ? value.toISOString() : undefined,
+        };
+    }
+
+    /**
+     * @return {number}
+     * @ignore
+     */
+    get crawlDepth() {
+        const { crawlDepth = 0 } = this.userData[INTERNAL_USER_DATA_KEY] || {};
+        return crawlDepth;
+    }
+
+    /**
+     * @param {number} value
+     * @ignore
+     */
+    set crawlDepth(value) {
+        this.userData[INTERNAL_USER_DATA_KEY] = {
+            ...this.userData[INTERNAL_USER_DATA_KEY],
+            crawlDepth: value || undefined,
+        };
+    }
+
+    /**
+     * @return {(RequestTimings|null)}
+     * @ignore
+     */
+    get timings() {
+        const { timings = null } = this.userData[INTERNAL_USER_DATA_KEY] || {};
+        return timings;
+    }
+
+    /**
+     * @param {(RequestTimings|null)} value
+     * @ignore
+     */
+    set timings(value) {
+        this.userData[INTERNAL_USER_DATA_KEY] = {
+            ...this.userData[INTERNAL_USER_DATA_KEY],
+            timings: value ? { ...value } : undefined,
+        };
     }
 
     /**
@@ -260,7 +371,7 @@ export default Request;
  *   ```
  * @property {Object<string,*>} [userData]
  *   Custom user data assigned to the request. Use this to save any request related data to the
- *   request's scope, keeping them accessible on retries, failures etc.
+ *   request's scope, keeping them accessible on retries, failures etc. The `__apify` key is reserved for the SDK.
  * @property {boolean} [keepUrlFragment=false]
  *   If `false` then the hash part of a URL is removed when computing the `uniqueKey` property.
  *   For example, this causes the `http://www.example.com#foo` and `http://www.example.com#bar` URLs
@@ -270,4 +381,41 @@ export default Request;
  *   If `true` then the `uniqueKey` is computed not only from the URL, but also from the method and payload
  *   properties. This is useful when making requests to the same URL that are differentiated by method
  *   or payload, such as form submit navigations in browsers.
+ * @property {number} [priority=0]
+ *   Priority of the request in the {@link RequestQueue}. Requests with higher priority are fetched
+ *   from the queue first, e.g. detail pages can have priority `1` to be processed before pagination.
+ *   Negative priorities can be used to postpone requests. {@link RequestList} ignores the priority.
+ * @property {number} [crawlDepth=0]
+ *   Number of links followed from the start URLs to the request. It's usually set automatically
+ *   by {@link utils#enqueueLinks} and it's used by the `maxCrawlDepth` option of the crawlers.
+ */
+
+/**
+ * Durations of the phases of request processing in milliseconds. Phases that did not happen,
+ * or that the crawler cannot measure, are omitted.
+ *
+ * @typedef RequestTimings
+ * @property {number} [queueWaitMillis]
+ *   Time from fetching the request from the request list or queue until its processing started,
+ *   including the time it was delayed by the retry backoff or the domain throttling.
+ * @property {number} [dnsMillis]
+ *   Time of the DNS lookup. {@link CheerioCrawler} only.
+ * @property {number} [connectMillis]
+ *   Time of establishing the TCP connection. {@link CheerioCrawler} only.
+ * @property {number} [tlsMillis]
+ *   Time of the TLS handshake. {@link CheerioCrawler} only.
+ * @property {number} [ttfbMillis]
+ *   Time from sending the request until the first byte of the response was received. {@link CheerioCrawler} only.
+ * @property {number} [downloadMillis]
+ *   Time of downloading the response body. {@link CheerioCrawler} only.
+ * @property {number} [parseMillis]
+ *   Time of reading and parsing the response body. The body is parsed while it's downloaded,
+ *   so the phase overlaps with `downloadMillis`. {@link CheerioCrawler} only.
+ * @property {number} [navigationMillis]
+ *   Time of the page navigation, including `waitUntilMillis`. {@link PuppeteerCrawler} and {@link PlaywrightCrawler} only.
+ * @property {number} [waitUntilMillis]
+ *   Time from receiving the response of the page until the navigation finished,
+ *   i.e. until the `waitUntil` event of the navigation fired. {@link PuppeteerCrawler} and {@link PlaywrightCrawler} only.
+ * @property {number} [handlerMillis]
+ *   Time of the user function, e.g. `handlePageFunction`.
  */
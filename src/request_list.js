@@ -6,6 +6,7 @@ import events from './events';
 import log from './utils_log';
 import { getFirstKey, publicUtils } from './utils';
 import { getValue, setValue } from './storages/key_value_store';
+import { parseSitemap } from './sitemap';
 import { serializeArray, createDeserialize } from './serialization';
 
 // TYPE IMPORTS
@@ -32,6 +33,12 @@ const CONTENT_TYPE_BINARY = 'application/octet-stream';
  *  which will instruct `RequestList` to download the source URLs from a given remote location.
  *  The URLs will be parsed from the received response.
  *
+ *  Similarly, the `sitemapUrl` property instructs `RequestList` to load the URLs from an XML sitemap.
+ *  Sitemap indexes are followed recursively, gzipped sitemaps (`.xml.gz`) are supported and the sitemaps
+ *  are parsed while they're being downloaded, so even very large sitemaps don't need to fit into memory.
+ *  The `<lastmod>` and `<priority>` of the sitemap entries are saved to `request.userData`.
+ *  If the `sitemapUrl` points to a `/robots.txt` file, the sitemaps listed in it are used.
+ *
  * ```
  * [
  *     // A single URL
@@ -49,7 +56,13 @@ const CONTENT_TYPE_BINARY = 'application/octet-stream';
  *
  *     // Get list of URLs from a Google Sheets document. Just add "/gviz/tq?tqx=out:csv" to the Google Sheet URL.
  *     // For details, see https://help.apify.com/en/articles/2906022-scraping-a-list-of-urls-from-a-google-sheets-document
- *     { requestsFromUrl: 'https://docs.google.com/spreadsheets/d/1GA5sSQhQjB_REes8I5IKg31S-TuRcznWOPjcpNqtxmU/gviz/tq?tqx=out:csv' }
+ *     { requestsFromUrl: 'https://docs.google.com/spreadsheets/d/1GA5sSQhQjB_REes8I5IKg31S-TuRcznWOPjcpNqtxmU/gviz/tq?tqx=out:csv' },
+ *
+ *     // Import of URLs from a sitemap or a sitemap index, optionally filtered by a regular expression.
+ *     { sitemapUrl: 'https://example.com/sitemap.xml', regex: /https:\/\/example.com\/products\/.+/, userData: { label: 'PRODUCT' } },
+ *
+ *     // Import of URLs from all the sitemaps listed in robots.txt.
+ *     { sitemapUrl: 'https://example.com/robots.txt' }
  * ]
  * ```
  * @property {RequestListSourcesFunction} [sourcesFunction]
@@ -271,6 +284,8 @@ export class RequestList {
 
         // Starts as true because until we handle the first request, the list is effectively persisted by doing nothing.
         this.isStatePersisted = true;
+        /** @type {Promise<void>} */
+        this.persistStatePromise = null;
         // Starts as false because we don't know yet and sources might change in the meantime (eg. download from live list).
         this.areRequestsPersisted = false;
         this.isLoading = false;
@@ -356,6 +371,8 @@ export class RequestList {
             if (source.requestsFromUrl) {
                 const fetchedRequests = await this._fetchRequestsFromUrl(source);
                 await this._addFetchedRequests(source, fetchedRequests);
+            } else if (source.sitemapUrl) {
+                await this._addRequestsFromSitemap(source);
             } else {
                 this._addRequest(source);
             }
@@ -391,11 +408,32 @@ export class RequestList {
         if (!this.persistStateKey) {
             throw new Error('Cannot persist state. options.persistStateKey is not set.');
         }
+        // A write that is in progress is awaited, so that the state is persisted when the returned promise resolves,
+        // e.g. when the persistState event and a crawler persist the state at the same time.
+        while (this.persistStatePromise) await this.persistStatePromise;
         if (this.isStatePersisted) return;
+
+        // Changes of the state made during the write reset the flag, so they are persisted by the next call.
+        this.isStatePersisted = true;
+        this.persistStatePromise = this._persistStateOnce();
+        try {
+            await this.persistStatePromise;
+        } finally {
+            this.persistStatePromise = null;
+        }
+    }
+
+    /**
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _persistStateOnce() {
         try {
             await setValue(this.persistStateKey, this.getState());
-            this.isStatePersisted = true;
         } catch (err) {
+            this.isStatePersisted = false;
             this.log.exception(err, 'Attempted to persist state, but failed.');
         }
     }
@@ -671,6 +709,50 @@ export class RequestList {
         return urlsArr.map((url) => _.extend({ url }, sharedOpts));
     }
 
+    /**
+     * Adds requests from the sitemap of a `sitemapUrl` source. The requests are added as the sitemap
+     * is being parsed, so that the whole sitemap is never kept in memory.
+     *
+     * @param {*} source
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _addRequestsFromSitemap(source) {
+        const { userData: sharedUserData, ...sharedOpts } = _.omit(source, 'sitemapUrl', 'regex');
+        const { sitemapUrl, regex } = source;
+        const originalLength = this.requests.length;
+        let fetchedCount = 0;
+
+        try {
+            await parseSitemap(sitemapUrl, ({ url, lastmod, priority }) => {
+                if (regex && !regex.test(url)) return;
+                fetchedCount++;
+                const userData = { ...sharedUserData };
+                if (lastmod !== undefined) userData.lastmod = lastmod;
+                if (priority !== undefined) userData.priority = priority;
+                this._addRequest({ ...sharedOpts, url, userData });
+            });
+        } catch (err) {
+            throw new Error(`Cannot fetch a request list from sitemap ${sitemapUrl}: ${err}`);
+        }
+
+        if (!fetchedCount) {
+            this.log.warning('Sitemap fetched, but it contains no URLs.', { sitemapUrl, regex });
+            return;
+        }
+
+        const importedCount = this.requests.length - originalLength;
+        this.log.info('Fetched and loaded Requests from a sitemap.', {
+            sitemapUrl,
+            regex,
+            fetchedCount,
+            importedCount,
+            duplicateCount: fetchedCount - importedCount,
+        });
+    }
+
     /**
      * Adds given request.
      * If the `source` parameter is a string or plain object and not an instance
@@ -826,6 +908,9 @@ export class RequestList {
  *  The URLs will be parsed from the received response. In this case you can limit the URLs
  *  using `regex` parameter containing regular expression pattern for URLs to be included.
  *
+ *  The `sitemapUrl` property may be used the same way to load the URLs from an XML sitemap,
+ *  a sitemap index or the sitemaps listed in a robots.txt file.
+ *
  *  For details, see the {@link RequestListOptions.sources}
  * @param {RequestListOptions} [options]
  *   The {@link RequestList} options. Note that the `listName` parameter supersedes
@@ -0,0 +1,184 @@
+import { LruCache } from '@apify/datastructures';
+import * as crypto from 'crypto';
+import ow from 'ow';
+import * as robotsParser from 'robots-parser';
+import { URL } from 'url';
+import { openKeyValueStore } from './storages/key_value_store';
+import { requestAsBrowser } from './utils_request';
+import defaultLog from './utils_log';
+
+// TYPE IMPORTS
+/* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order */
+import Request from './request';
+/* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
+
+const log = defaultLog.child({ prefix: 'RobotsTxt' });
+
+/**
+ * Prefix of the keys under which the robots.txt files are cached in the default {@link KeyValueStore}.
+ * @ignore
+ */
+export const ROBOTS_TXT_KEY_PREFIX = 'SDK_ROBOTS_TXT_';
+
+/**
+ * The robots.txt files are downloaded again after this time, even if they are cached.
+ * @ignore
+ */
+export const ROBOTS_TXT_MAX_AGE_MILLIS = 24 * 3600 * 1000;
+
+/**
+ * When a robots.txt can't be downloaded, everything is allowed for this time and then the download is retried.
+ * @ignore
+ */
+export const ROBOTS_TXT_RETRY_MILLIS = 60 * 1000;
+
+/**
+ * Maximum number of parsed robots.txt files kept in memory.
+ * @ignore
+ */
+const MAX_CACHED_ROBOTS_TXT_FILES = 1000;
+
+/**
+ * Parsed robots.txt files by origin. Holds promises, so that a robots.txt
+ * is downloaded only once even when it's requested by many requests in parallel.
+ * @type {LruCache<{ promise: Promise<RobotsTxtFile>, expiresAt: number }>}
+ * @ignore
+ */
+const robotsTxtCache = new LruCache({ maxLength: MAX_CACHED_ROBOTS_TXT_FILES });
+
+/**
+ * Represents a parsed robots.txt file of a single origin.
+ * The rules are always evaluated for all user agents, i.e. the `User-agent: *` group.
+ *
+ * Use {@link RobotsTxtFile.load} to download the robots.txt for a URL.
+ * @ignore
+ */
+export class RobotsTxtFile {
+    /**
+     * @param {string} url URL of the robots.txt file.
+     * @param {string} content Content of the robots.txt file.
+     */
+    constructor(url, content) {
+        this.url = url;
+        this.content = content;
+        this.robots = robotsParser(url, content);
+        // Set for the allow-all file used when the robots.txt could not be downloaded.
+        this.isFallback = false;
+    }
+
+    /**
+     * Returns `false` if the robots.txt disallows crawling of the URL. URLs from other origins are always allowed.
+     *
+     * @param {string} url
+     * @return {boolean}
+     */
+    isAllowed(url) {
+        return this.robots.isAllowed(url) !== false;
+    }
+
+    /**
+     * Returns the value of the `Crawl-delay` directive in seconds, if any.
+     *
+     * @return {(number|undefined)}
+     */
+    getCrawlDelaySecs() {
+        return this.robots.getCrawlDelay();
+    }
+
+    /**
+     * Returns the URLs of the sitemaps listed in the robots.txt.
+     *
+     * @return {Array<string>}
+     */
+    getSitemaps() {
+        return this.robots.getSitemaps();
+    }
+
+    /**
+     * Returns the parsed robots.txt of the origin of the URL. The file is downloaded only once per origin
+     * and cached in the default {@link KeyValueStore}, so that it doesn't need to be downloaded again after a migration.
+     *
+     * When the robots.txt doesn't exist, everything is allowed. When it can't be downloaded,
+     * e.g. because of a network error, everything is allowed too, but the file is not cached in the store
+     * and another attempt is made after a minute.
+     *
+     * @param {string} url Any URL of the origin.
+     * @param {object} [options]
+     * @param {string} [options.proxyUrl] Proxy used to download the robots.txt.
+     * @return {Promise<RobotsTxtFile>}
+     */
+    static async load(url, options = {}) {
+        ow(url, ow.string.url);
+        ow(options, ow.object.exactShape({
+            proxyUrl: ow.optional.string.url,
+        }));
+
+        const { origin } = new URL(url);
+        let entry = robotsTxtCache.get(origin);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) robotsTxtCache.remove(origin);
+            entry = { promise: loadRobotsTxt(origin, options.proxyUrl), expiresAt: Infinity };
+            const loadedEntry = entry;
+            loadedEntry.promise.then((robotsTxt) => {
+                if (robotsTxt.isFallback) loadedEntry.expiresAt = Date.now() + ROBOTS_TXT_RETRY_MILLIS;
+            }, () => {
+                // Failed attempts, e.g. due to an error of the key-value store, are not cached.
+                if (robotsTxtCache.get(origin) === loadedEntry) robotsTxtCache.remove(origin);
+            });
+            robotsTxtCache.add(origin, entry);
+        }
+        return entry.promise;
+    }
+}
+
+/**
+ * Filters out the requests that are disallowed by the robots.txt of their origin.
+ *
+ * @param {Array<Request>} requests
+ * @param {object} [options]
+ * @param {string} [options.proxyUrl]
+ * @return {Promise<Array<Request>>}
+ * @ignore
+ */
+export async function filterRequestsByRobotsTxt(requests, options = {}) {
+    const robotsTxtFiles = await Promise.all(requests.map((request) => RobotsTxtFile.load(request.url, options)));
+    return requests.filter((request, i) => {
+        const isAllowed = robotsTxtFiles[i].isAllowed(request.url);
+        if (!isAllowed) log.debug('Skipping URL disallowed by robots.txt.', { url: request.url });
+        return isAllowed;
+    });
+}
+
+/**
+ * @param {string} origin
+ * @param {string} [proxyUrl]
+ * @return {Promise<RobotsTxtFile>}
+ * @ignore
+ */
+async function loadRobotsTxt(origin, proxyUrl) {
+    const robotsTxtUrl = `${origin}/robots.txt`;
+    const key = `${ROBOTS_TXT_KEY_PREFIX}${crypto.createHash('sha256').update(origin).digest('hex').substr(0, 32)}`;
+    const store = await openKeyValueStore();
+
+    const cached = await store.getValue(key);
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < ROBOTS_TXT_MAX_AGE_MILLIS) {
+        return new RobotsTxtFile(robotsTxtUrl, cached.content);
+    }
+
+    let content;
+    try {
+        const response = await requestAsBrowser({ url: robotsTxtUrl, proxyUrl });
+        const { statusCode } = response;
+        if (statusCode >= 500) throw new Error(`Received ${statusCode} status code.`);
+        // Missing or inaccessible robots.txt means that there are no restrictions.
+        content = statusCode >= 200 && statusCode < 300 ? response.body : '';
+    } catch (err) {
+        log.warning('Failed to download robots.txt, all URLs of the origin will be allowed for a while.', { url: robotsTxtUrl, error: err.message });
+        const robotsTxt = new RobotsTxtFile(robotsTxtUrl, '');
+        robotsTxt.isFallback = true;
+        return robotsTxt;
+    }
+
+    await store.setValue(key, { url: robotsTxtUrl, content, fetchedAt: new Date().toISOString() });
+    return new RobotsTxtFile(robotsTxtUrl, content);
+}
@@ -0,0 +1,146 @@
+import { WritableStream } from 'htmlparser2/lib/WritableStream';
+import ow from 'ow';
+import { URL } from 'url';
+import * as util from 'util';
+import * as stream from 'stream';
+import * as zlib from 'zlib';
+import { RobotsTxtFile } from './robots_txt';
+import { requestAsBrowser } from './utils_request';
+import defaultLog from './utils_log';
+
+const log = defaultLog.child({ prefix: 'Sitemap' });
+
+const pipeline = util.promisify(stream.pipeline);
+
+/**
+ * Elements of the `<url>` and `<sitemap>` entries that are read from the sitemaps.
+ * @ignore
+ */
+const ENTRY_PROPERTIES = ['loc', 'lastmod', 'changefreq', 'priority'];
+
+/**
+ * Downloads the sitemap and all the sitemaps referenced by it from sitemap indexes, and calls `onEntry`
+ * for every `<url>` entry found in them. The sitemaps are parsed while they're being downloaded,
+ * so even huge sitemaps are never kept in memory as a whole. Gzipped sitemaps are decompressed automatically.
+ *
+ * If the URL points to a `/robots.txt` file, the sitemaps listed in its `Sitemap` directives are used.
+ *
+ * @param {string} sitemapUrl
+ * @param {function(SitemapEntry):void} onEntry
+ * @param {object} [options]
+ * @param {string} [options.proxyUrl]
+ * @return {Promise<void>}
+ * @ignore
+ */
+export async function parseSitemap(sitemapUrl, onEntry, options = {}) {
+    ow(sitemapUrl, ow.string.url);
+    ow(onEntry, ow.function);
+    ow(options, ow.object.exactShape({
+        proxyUrl: ow.optional.string.url,
+    }));
+    const { proxyUrl } = options;
+
+    let pendingSitemapUrls = [sitemapUrl];
+    if (new URL(sitemapUrl).pathname === '/robots.txt') {
+        const robotsTxt = await RobotsTxtFile.load(sitemapUrl, { proxyUrl });
+        pendingSitemapUrls = robotsTxt.getSitemaps();
+        if (!pendingSitemapUrls.length) log.warning('No sitemaps found in robots.txt.', { url: sitemapUrl });
+    }
+
+    // Sitemap indexes could reference each other, so every sitemap is downloaded only once.
+    const seenSitemapUrls = new Set(pendingSitemapUrls);
+    while (pendingSitemapUrls.length) {
+        const url = pendingSitemapUrls.shift();
+        try {
+            const nestedSitemapUrls = await parseSingleSitemap(url, onEntry, proxyUrl);
+            nestedSitemapUrls.forEach((nestedUrl) => {
+                if (seenSitemapUrls.has(nestedUrl)) return;
+                seenSitemapUrls.add(nestedUrl);
+                pendingSitemapUrls.push(nestedUrl);
+            });
+        } catch (err) {
+            if (url === sitemapUrl) throw err;
+            // A single broken sitemap referenced by an index or robots.txt shouldn't prevent using the rest of them.
+            log.warning('Failed to parse a referenced sitemap, skipping it.', { url, error: err.message });
+        }
+    }
+}
+
+/**
+ * Parses a single sitemap and returns the URLs of the sitemaps it references, if it's a sitemap index.
+ *
+ * @param {string} url
+ * @param {function(SitemapEntry):void} onEntry
+ * @param {string} [proxyUrl]
+ * @return {Promise<Array<string>>}
+ * @ignore
+ */
+async function parseSingleSitemap(url, onEntry, proxyUrl) {
+    const response = await requestAsBrowser({ url, proxyUrl, stream: true });
+    if (response.statusCode >= 400) {
+        response.destroy();
+        throw new Error(`Cannot fetch sitemap ${url}: received ${response.statusCode} status code.`);
+    }
+
+    const nestedSitemapUrls = [];
+    let entry = null;
+    let property = null;
+
+    const parser = new WritableStream({
+        onopentag(name) {
+            if (name === 'url' || name === 'sitemap') entry = {};
+            else if (entry && ENTRY_PROPERTIES.includes(name)) property = name;
+        },
+        ontext(text) {
+            if (property) entry[property] = (entry[property] || '') + text;
+        },
+        onclosetag(name) {
+            if (name === property) {
+                entry[property] = entry[property].trim();
+                property = null;
+            } else if (name === 'url' && entry) {
+                if (entry.loc) onEntry(createSitemapEntry(entry));
+                entry = null;
+            } else if (name === 'sitemap' && entry) {
+                if (entry.loc) nestedSitemapUrls.push(entry.loc);
+                entry = null;
+            }
+        },
+    }, { xmlMode: true, decodeEntities: true });
+
+    // The content of .xml.gz files is not decompressed by the HTTP client, unless it's sent with the gzip Content-Encoding.
+    const contentType = response.headers['content-type'] || '';
+    const contentEncoding = response.headers['content-encoding'] || '';
+    const isGzipped = (/\.gz$/.test(new URL(url).pathname) || /gzip/.test(contentType)) && !/gzip/.test(contentEncoding);
+
+    const streams = isGzipped ? [response, zlib.createGunzip(), parser] : [response, parser];
+    await pipeline(...streams);
+
+    return nestedSitemapUrls;
+}
+
+/**
+ * @param {Object<string, string>} entry
+ * @return {SitemapEntry}
+ * @ignore
+ */
+function createSitemapEntry({ loc, lastmod, changefreq, priority }) {
+    const sitemapEntry = { url: loc };
+    if (lastmod) sitemapEntry.lastmod = lastmod;
+    if (changefreq) sitemapEntry.changefreq = changefreq;
+    if (priority && !Number.isNaN(Number(priority))) sitemapEntry.priority = Number(priority);
+    return sitemapEntry;
+}
+
+/**
+ * @typedef SitemapEntry
+ * @property {string} url
+ *   The `<loc>` of the entry.
+ * @property {string} [lastmod]
+ *   The `<lastmod>` of the entry, i.e. the date of the last modification of the page in the W3C Datetime format.
+ * @property {string} [changefreq]
+ *   The `<changefreq>` of the entry, e.g. `daily`.
+ * @property {number} [priority]
+ *   The `<priority>` of the entry, a number between `0.0` and `1.0`.
+ * @ignore
+ */
@@ -1,19 +1,44 @@
 import ow from 'ow';
+import * as Ajv from 'ajv';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as stream from 'stream';
+import * as util from 'util';
 import * as _ from 'underscore';
 import { MAX_PAYLOAD_SIZE_BYTES } from '@apify/consts';
 import { StorageManager } from './storage_manager';
+import { openKeyValueStore } from './key_value_store';
+import { DatasetWriter } from './dataset_writer'; // eslint-disable-line import/no-duplicates,import/no-cycle
+import { UniqueKeyCache } from './unique_key_cache';
+import {
+    EXPORT_FORMATS,
+    EXPORT_CONTENT_TYPES,
+    createExportFormatter,
+    flattenForCsv,
+    transformItem,
+} from './dataset_export';
+import { Configuration } from '../configuration';
 import log from '../utils_log';
+import { traceAsync } from '../tracing';
 
 /* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order */
 // @ts-ignore
 import * as ApifyClient from 'apify-client';
 // @ts-ignore
 import { ApifyStorageLocal } from '@apify/storage-local';
+import { DatasetWriterOptions } from './dataset_writer';
 /* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
 
 export const DATASET_ITERATORS_DEFAULT_LIMIT = 10000;
 export const LOCAL_FILENAME_DIGITS = 9;
 const SAFETY_BUFFER_PERCENT = 0.01 / 100; // 0.01%
+const PAYLOAD_LIMIT_BYTES = MAX_PAYLOAD_SIZE_BYTES - Math.ceil(MAX_PAYLOAD_SIZE_BYTES * SAFETY_BUFFER_PERCENT);
+// Hidden field, so that it's left out by the `clean` option of getData().
+export const VALIDATION_ERRORS_FIELD = '#validationErrors';
+
+const ajv = new Ajv({ allErrors: true });
+
+const pipeline = util.promisify(stream.pipeline);
 
 /**
  * Accepts a JSON serializable object as an input, validates its serializability,
@@ -151,6 +176,9 @@ export class Dataset {
         this.isLocal = options.isLocal;
         this.client = options.client.dataset(this.id);
         this.log = log.child({ prefix: 'Dataset' });
+        this.uniqueKeyField = null;
+        // An object, so that it's shared with the handles returned by Dataset#_withOptions().
+        this.uniqueKeys = { cache: null, cachePromise: null };
     }
 
     /**
@@ -174,32 +202,239 @@ export class Dataset {
      * the items have already been saved to the dataset while other items from the source array were not.
      * To overcome this limitation, the developer may, for example, read the last item saved in the dataset
      * and re-attempt the save of the data from this item onwards to prevent duplicates.
+     *
+     * If the dataset was opened with the `schema` option, the items are validated against the JSON Schema
+     * before any of them is stored, see {@link Apify#openDataset}.
+     *
+     * With the `uniqueKey` option, or when the dataset was opened with the `uniqueKeyField` option, the items
+     * with the same value of the field as an item stored before are skipped, e.g. when a product is scraped again
+     * after a retry. The values of the stored items are kept in a cache of the last 100 000 values, which is persisted
+     * to the default {@link KeyValueStore}, so it survives the restarts of the actor. The items without the field are always stored.
+     *
+     * **Example usage:**
+     * ```javascript
+     * const dataset = await Apify.openDataset('products');
+     * await dataset.pushData(products, { uniqueKey: 'productId' });
+     * ```
      * @param {object|Array<object>} data Object or array of objects containing data to be stored in the default dataset.
      * The objects must be serializable to JSON and the JSON representation of each object must be smaller than 9MB.
+     * @param {object} [options]
+     * @param {string} [options.uniqueKey]
+     *   Field of the items used to skip the items that were already stored. Overrides the `uniqueKeyField` option
+     *   of {@link Apify#openDataset}.
      * @return {Promise<void>}
      */
-    async pushData(data) {
+    async pushData(data, options = {}) {
         ow(data, ow.object);
-        // eslint-disable-next-line no-return-await
-        const dispatch = async (payload) => await this.client.pushItems(payload);
-        const limit = MAX_PAYLOAD_SIZE_BYTES - Math.ceil(MAX_PAYLOAD_SIZE_BYTES * SAFETY_BUFFER_PERCENT);
-
-        // Handle singular Objects
-        if (!Array.isArray(data)) {
-            const payload = checkAndSerialize(data, limit);
-            return dispatch(payload);
+        ow(options, ow.object.exactShape({
+            uniqueKey: ow.optional.string.nonEmpty,
+        }));
+
+        const { payloads, uniqueKeys } = await this._prepareItems(data, options);
+        try {
+            await this._pushPayloads(payloads);
+        } catch (err) {
+            this._forgetUniqueKeys(uniqueKeys);
+            throw err;
         }
+    }
 
-        // Handle Arrays
-        const payloads = data.map((item, index) => checkAndSerialize(item, limit, index));
-        const chunks = chunkBySize(payloads, limit);
+    /**
+     * Creates a {@link DatasetWriter}, which buffers the items and stores them in batches.
+     * It's more efficient than calling {@link Dataset#pushData} with every single item,
+     * e.g. from the handlers of a crawler with a high concurrency.
+     *
+     * **Example usage:**
+     *
+     * ```javascript
+     * const dataset = await Apify.openDataset();
+     * const writer = dataset.createWriter({ maxItems: 500 });
+     *
+     * const crawler = new Apify.CheerioCrawler({
+     *     requestList,
+     *     handlePageFunction: async ({ request, $ }) => {
+     *         await writer.pushData({ url: request.url, title: $('title').text() });
+     *     },
+     * });
+     * await crawler.run();
+     * await writer.close();
+     * ```
+     *
+     * @param {DatasetWriterOptions} [options]
+     * @return {DatasetWriter}
+     */
+    createWriter(options = {}) {
+        return new DatasetWriter(this, options);
+    }
+
+    /**
+     * Validates the items, skips the items that were already stored and serializes the rest of them to JSON,
+     * see {@link Dataset#pushData}. Returns the payloads and the unique keys of the items, which are remembered
+     * as stored, so that they can be forgotten if the items are not stored in the end.
+     *
+     * @param {object|Array<object>} data
+     * @param {object} options
+     * @param {string} [options.uniqueKey]
+     * @return {Promise<{ payloads: Array<string>, uniqueKeys: Array<string> }>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _prepareItems(data, options) {
+        const { uniqueKey = this.uniqueKeyField } = options;
+
+        const entries = Array.isArray(data)
+            ? data.map((item, index) => ({ item, index }))
+            : [{ item: data }];
+        const validEntries = this._validateItems(entries)
+            .map(({ item, index }) => ({ item, index, payload: checkAndSerialize(item, PAYLOAD_LIMIT_BYTES, index) }));
+        if (!uniqueKey) return { payloads: validEntries.map((entry) => entry.payload), uniqueKeys: [] };
+
+        const cache = await this._getUniqueKeyCache();
+        const uniqueKeys = [];
+        const newEntries = validEntries.filter(({ item }) => {
+            const value = item[uniqueKey];
+            if (value === undefined || value === null) return true;
+
+            // The name of the field is part of the key, so that the values of different fields don't collide.
+            const key = `${uniqueKey}:${JSON.stringify(value)}`;
+            if (cache.has(key)) return false;
+            cache.add(key);
+            uniqueKeys.push(key);
+            return true;
+        });
+
+        const skippedCount = validEntries.length - newEntries.length;
+        if (skippedCount) this.log.debug(`Skipped ${skippedCount} items that were already stored.`, { uniqueKey });
+
+        return { payloads: newEntries.map((entry) => entry.payload), uniqueKeys };
+    }
+
+    /**
+     * @return {Promise<UniqueKeyCache>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _getUniqueKeyCache() {
+        const { uniqueKeys } = this;
+        if (!uniqueKeys.cachePromise) {
+            const cache = new UniqueKeyCache({ persistStateKey: `SDK_DATASET_UNIQUE_KEYS_${this.id}` });
+            uniqueKeys.cachePromise = cache.initialize().then(() => {
+                uniqueKeys.cache = cache;
+                return cache;
+            });
+        }
+        return uniqueKeys.cachePromise;
+    }
+
+    /**
+     * Forgets the unique keys of the items that failed to be stored, so that they are stored the next time.
+     *
+     * @param {Array<string>} uniqueKeys
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _forgetUniqueKeys(uniqueKeys) {
+        uniqueKeys.forEach((key) => this.uniqueKeys.cache.remove(key));
+    }
+
+    /**
+     * Stores the serialized items, chunked to the maximum size of the API payload.
+     *
+     * @param {Array<string>} payloads
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _pushPayloads(payloads) {
+        const chunks = chunkBySize(payloads, PAYLOAD_LIMIT_BYTES);
 
         // Invoke client in series to preserve order of data
         for (const chunk of chunks) {
-            await dispatch(chunk);
+            await traceAsync('dataset.pushData', () => this.client.pushItems(chunk), {
+                attributes: { 'dataset.id': this.id },
+            });
         }
     }
 
+    /**
+     * Returns a handle of the dataset with the options of {@link Apify#openDataset}. The handle shares everything
+     * with the dataset, but the options apply only to the items pushed through the handle, so they don't affect
+     * the other callers of `openDataset()`, which get the same cached instance of the dataset.
+     *
+     * @param {object} options
+     * @param {object} [options.schema]
+     * @param {string} [options.onInvalidItem]
+     * @param {string} [options.uniqueKeyField]
+     * @return {Dataset}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _withOptions({ schema, onInvalidItem, uniqueKeyField }) {
+        const dataset = Object.create(this);
+        if (schema) dataset._setSchema(schema, onInvalidItem); // eslint-disable-line no-underscore-dangle
+        if (uniqueKeyField) dataset.uniqueKeyField = uniqueKeyField;
+        return dataset;
+    }
+
+    /**
+     * Sets the JSON Schema the items are validated against in {@link Dataset#pushData}.
+     *
+     * @param {object} schema
+     * @param {string} onInvalidItem
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _setSchema(schema, onInvalidItem) {
+        this.schema = schema;
+        this.validateItem = ajv.compile(schema);
+        this.onInvalidItem = onInvalidItem;
+    }
+
+    /**
+     * Validates the items against the schema of the dataset. Depending on the `onInvalidItem` option
+     * of {@link Apify#openDataset}, it throws on the first invalid item, leaves out the invalid items
+     * or adds the validation errors to them. The `index` of the entries is used in the error messages.
+     *
+     * @param {Array<{ item: *, index?: number }>} entries
+     * @return {Array<{ item: *, index?: number }>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _validateItems(entries) {
+        if (!this.validateItem) return entries;
+
+        const validEntries = [];
+        entries.forEach((entry) => {
+            const { item, index } = entry;
+            if (this.validateItem(item)) {
+                validEntries.push(entry);
+                return;
+            }
+
+            const errors = this.validateItem.errors.map((error) => ajv.errorsText([error], { dataVar: 'item' }));
+            const s = typeof index === 'number' ? ` at index ${index} ` : ' ';
+            const message = `Data item${s}does not match the schema of the dataset: ${errors.join(', ')}`;
+
+            if (this.onInvalidItem === 'reject') throw new Error(message);
+            if (this.onInvalidItem === 'drop') {
+                this.log.warning(`${message}. The item was dropped.`);
+                return;
+            }
+
+            // Items that are not objects can't be tagged, checkAndSerialize() rejects them.
+            const isItemObject = item && typeof item === 'object' && !Array.isArray(item);
+            validEntries.push(isItemObject ? { item: { ...item, [VALIDATION_ERRORS_FIELD]: errors }, index } : entry);
+        });
+        return validEntries;
+    }
+
     /**
      * Returns {@link DatasetContent} object holding the items in the dataset based on the provided parameters.
      *
@@ -296,21 +531,80 @@ export class Dataset {
      * @return {Promise<void>}
      */
     async forEach(iteratee, options = {}, index = 0) {
-        if (!options.offset) options.offset = 0;
         if (options.format && options.format !== 'json') throw new Error('Dataset.forEach/map/reduce() support only a "json" format.');
-        if (!options.limit) options.limit = DATASET_ITERATORS_DEFAULT_LIMIT;
 
-        const { items, total, limit, offset } = await this.getData(options);
+        let pageOptions = { ...options, offset: options.offset || 0, limit: options.limit || DATASET_ITERATORS_DEFAULT_LIMIT };
+        let isLastPage = false;
+        while (!isLastPage) {
+            const { items, total, limit, offset } = await this.getData(pageOptions);
+
+            for (const item of items) {
+                await iteratee(item, index++);
+            }
 
-        for (const item of items) {
-            await iteratee(item, index++);
+            pageOptions = { ...pageOptions, offset: offset + limit };
+            isLastPage = pageOptions.offset >= total;
         }
+    }
 
-        const newOffset = offset + limit;
-        if (newOffset >= total) return;
+    /**
+     * Returns an async iterator over the dataset items, which reads the items from the storage page by page,
+     * only when the previous page was consumed. Unlike {@link Dataset#forEach}, the iteration can be stopped
+     * at any time using `break`.
+     *
+     * The items can be transformed by the `unwind`, `fields`, `omit` and `flatten` options,
+     * the same way as by {@link Dataset#exportTo}. The transformations are applied by the SDK,
+     * so they work with both the local and the cloud storage.
+     *
+     * **Example usage**
+     * ```javascript
+     * const dataset = await Apify.openDataset('my-results');
+     * for await (const item of dataset.values({ desc: true, fields: ['url', 'title'] })) {
+     *   console.log(item.url, item.title);
+     * }
+     * ```
+     *
+     * @param {DatasetIteratorOptions} [options]
+     * @return {AsyncIterableIterator<object>}
+     */
+    values(options = {}) {
+        ow(options, ow.object.exactShape({
+            offset: ow.optional.number.integer.greaterThanOrEqual(0),
+            limit: ow.optional.number.integer.greaterThan(0),
+            desc: ow.optional.boolean,
+            fields: ow.optional.array.ofType(ow.string),
+            omit: ow.optional.array.ofType(ow.string),
+            flatten: ow.optional.array.ofType(ow.string),
+            unwind: ow.optional.string,
+        }));
+
+        return this._iterateItems(options);
+    }
 
-        const newOpts = { ...options, offset: newOffset };
-        return this.forEach(iteratee, newOpts, index);
+    /**
+     * Creates a readable stream in object mode, which emits the dataset items. The items are read from the storage
+     * only as fast as the stream is consumed, so it can be piped to other streams without holding
+     * the whole dataset in memory.
+     *
+     * **Example usage**
+     * ```javascript
+     * const fs = require('fs');
+     * const { Transform, pipeline } = require('stream');
+     * const { promisify } = require('util');
+     *
+     * const dataset = await Apify.openDataset('my-results');
+     * const toLines = new Transform({
+     *   writableObjectMode: true,
+     *   transform: (item, encoding, callback) => callback(null, `${item.url}\n`),
+     * });
+     * await promisify(pipeline)(dataset.createReadStream({ fields: ['url'] }), toLines, fs.createWriteStream('urls.txt'));
+     * ```
+     *
+     * @param {DatasetIteratorOptions} [options]
+     * @return {stream.Readable}
+     */
+    createReadStream(options = {}) {
+        return stream.Readable.from(this.values(options));
     }
 
     /**
@@ -383,6 +677,136 @@ export class Dataset {
             .then(() => currentMemo);
     }
 
+    /**
+     * Exports the items of the dataset to a file or to a key-value store record in one of the following formats:
+     *
+     * - `csv` - Nested objects and arrays are flattened to columns the same way as on the Apify platform,
+     *   e.g. `{ images: [{ url: 'x' }] }` has the `images/0/url` column. The columns are the union of the columns
+     *   of all the items, so the items are read twice. The file is prefixed with the UTF-8 byte order mark
+     *   (BOM) by default, so that it opens correctly in Excel.
+     * - `jsonl` - One JSON object per line.
+     * - `xml` - Objects are converted to nested elements and the elements of arrays to nested `item` elements.
+     * - `rss` - RSS 2.0 feed with one `item` element per dataset item.
+     *
+     * The items are transformed by the `unwind`, `fields`, `omit` and `flatten` options, in this order,
+     * the same way as by the [Get items](https://docs.apify.com/api/v2#/reference/datasets/item-collection/get-items)
+     * API endpoint of the Apify platform, so the local and cloud exports match.
+     * The export is streamed, so the items are never held in memory all at once.
+     *
+     * **Example usage:**
+     *
+     * ```javascript
+     * const dataset = await Apify.openDataset();
+     * await dataset.exportTo('csv', { filePath: './results.csv', omit: ['html'] });
+     * await dataset.exportTo('jsonl', { key: 'RESULTS' });
+     * ```
+     *
+     * @param {string} format One of `csv`, `jsonl`, `xml` and `rss`.
+     * @param {DatasetExportOptions} options
+     * @return {Promise<void>}
+     */
+    async exportTo(format, options) {
+        ow(format, ow.string.oneOf(EXPORT_FORMATS));
+        ow(options, ow.object.exactShape({
+            filePath: ow.optional.string.nonEmpty,
+            key: ow.optional.string.nonEmpty,
+            keyValueStoreName: ow.optional.string.nonEmpty,
+            desc: ow.optional.boolean,
+            fields: ow.optional.array.ofType(ow.string),
+            omit: ow.optional.array.ofType(ow.string),
+            flatten: ow.optional.array.ofType(ow.string),
+            unwind: ow.optional.string,
+            delimiter: ow.optional.string.nonEmpty,
+            bom: ow.optional.boolean,
+            skipHeaderRow: ow.optional.boolean,
+            xmlRoot: ow.optional.string.nonEmpty,
+            xmlRow: ow.optional.string.nonEmpty,
+        }));
+
+        const {
+            filePath,
+            key,
+            keyValueStoreName,
+            desc = false,
+            fields,
+            omit,
+            flatten,
+            unwind,
+            ...formatOptions
+        } = options;
+
+        if (!filePath === !key) throw new Error('Exactly one of the "filePath" and "key" options must be provided.');
+
+        const iteratorOptions = { desc, fields, omit, flatten, unwind };
+        let columns;
+        if (format === 'csv') {
+            const columnSet = new Set();
+            for await (const item of this._iterateItems(iteratorOptions)) {
+                Object.keys(flattenForCsv(item)).forEach((column) => columnSet.add(column));
+            }
+            columns = [...columnSet];
+        }
+
+        const formatter = createExportFormatter(format, {
+            ...formatOptions,
+            columns,
+            title: this.name || this.id,
+            link: this.isLocal ? undefined : `${Configuration.getGlobalConfig().get('apiBaseUrl')}/v2/datasets/${this.id}/items?format=rss`,
+        });
+        const content = stream.Readable.from(this._formatItems(formatter, iteratorOptions), { objectMode: false });
+
+        if (filePath) {
+            await fs.ensureDir(path.dirname(filePath));
+            await pipeline(content, fs.createWriteStream(filePath));
+        } else {
+            const store = await openKeyValueStore(keyValueStoreName);
+            await store.setValue(key, content, { contentType: EXPORT_CONTENT_TYPES[format] });
+        }
+    }
+
+    /**
+     * Yields the chunks of the export of the dataset items.
+     *
+     * @param {{ start: function(): string, formatItem: function(object): string, end: function(): string }} formatter
+     * @param {DatasetIteratorOptions} options
+     * @return {AsyncGenerator<string>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async* _formatItems(formatter, options) {
+        yield formatter.start();
+        for await (const item of this._iterateItems(options)) {
+            yield formatter.formatItem(item);
+        }
+        yield formatter.end();
+    }
+
+    /**
+     * Yields the transformed items of the dataset, reading them page by page.
+     *
+     * @param {DatasetIteratorOptions} options
+     * @return {AsyncGenerator<object>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async* _iterateItems(options) {
+        const { offset = 0, limit = Infinity, desc = false, ...transformOptions } = options;
+        const endOffset = offset + limit;
+
+        let currentOffset = offset;
+        while (currentOffset < endOffset) {
+            const pageLimit = Math.min(DATASET_ITERATORS_DEFAULT_LIMIT, endOffset - currentOffset);
+            const { items, total } = await this.getData({ offset: currentOffset, limit: pageLimit, desc });
+            for (const item of items) {
+                yield* transformItem(item, transformOptions);
+            }
+            currentOffset += pageLimit;
+            if (!items.length || currentOffset >= total) return;
+        }
+    }
+
     /**
      * Removes the dataset either from the Apify cloud storage or from the local directory,
      * depending on the mode of operation.
@@ -391,6 +815,7 @@ export class Dataset {
      */
     async drop() {
         await this.client.delete();
+        if (this.uniqueKeys.cache) await this.uniqueKeys.cache.drop();
         const manager = new StorageManager(Dataset);
         manager.closeStorage(this);
     }
@@ -412,19 +837,38 @@ export class Dataset {
  * @param {boolean} [options.forceCloud=false]
  *   If set to `true` then the function uses cloud storage usage even if the `APIFY_LOCAL_STORAGE_DIR`
  *   environment variable is set. This way it is possible to combine local and cloud storage.
+ * @param {object} [options.schema]
+ *   [JSON Schema](https://json-schema.org/) of the dataset items. If provided, {@link Dataset#pushData}
+ *   validates every item against it. The schema applies only to the returned dataset instance,
+ *   not to {@link Apify#pushData} or to the datasets opened by other calls with the same name or ID.
+ * @param {string} [options.onInvalidItem='reject']
+ *   What {@link Dataset#pushData} does with the items that do not match the `schema`:
+ *   - `reject` - Throws an error with the index of the first invalid item and stores none of the items.
+ *   - `drop` - Logs a warning with the validation errors and leaves the item out.
+ *   - `tag` - Stores the item with the validation errors in the hidden `#validationErrors` field,
+ *     so that the invalid items can be found later. Hidden fields are left out by the `clean` option of {@link Dataset#getData}.
+ * @param {string} [options.uniqueKeyField]
+ *   Field of the items used by {@link Dataset#pushData} to skip the items that were already stored,
+ *   see the `uniqueKey` option of {@link Dataset#pushData}. Like the `schema`, it applies only to the returned dataset instance.
  * @returns {Promise<Dataset>}
  * @memberof module:Apify
  * @name openDataset
  * @function
  */
-export const openDataset = (datasetIdOrName, options = {}) => {
+export const openDataset = async (datasetIdOrName, options = {}) => {
     ow(datasetIdOrName, ow.optional.string);
     ow(options, ow.object.exactShape({
         forceCloud: ow.optional.boolean,
+        schema: ow.optional.object,
+        onInvalidItem: ow.optional.string.oneOf(['reject', 'drop', 'tag']),
+        uniqueKeyField: ow.optional.string.nonEmpty,
     }));
 
+    const { schema, onInvalidItem = 'reject', uniqueKeyField, ...storageOptions } = options;
     const manager = new StorageManager(Dataset);
-    return manager.openStorage(datasetIdOrName, options);
+    const dataset = await manager.openStorage(datasetIdOrName, storageOptions);
+    if (!schema && !uniqueKeyField) return dataset;
+    return dataset._withOptions({ schema, onInvalidItem, uniqueKeyField }); // eslint-disable-line no-underscore-dangle
 };
 
 /**
@@ -449,18 +893,71 @@ export const openDataset = (datasetIdOrName, options = {}) => {
  *
  * @param {object} item Object or array of objects containing data to be stored in the default dataset.
  * The objects must be serializable to JSON and the JSON representation of each object must be smaller than 9MB.
+ * @param {object} [options]
+ * @param {string} [options.uniqueKey] Field of the items used to skip the items that were already stored,
+ *   see {@link Dataset#pushData}.
  * @returns {Promise<void>}
  *
  * @memberof module:Apify
  * @name pushData
  * @function
  */
-export const pushData = async (item) => {
+export const pushData = async (item, options) => {
     const dataset = await openDataset();
 
-    return dataset.pushData(item);
+    return dataset.pushData(item, options);
 };
 
+/**
+ * @typedef DatasetExportOptions
+ * @property {string} [filePath]
+ *   Path of the file to write the export to. Exactly one of `filePath` and `key` must be provided.
+ * @property {string} [key]
+ *   Key of the key-value store record to write the export to.
+ * @property {string} [keyValueStoreName]
+ *   Name or ID of the key-value store of the `key` record. The default key-value store is used by default.
+ * @property {boolean} [desc=false]
+ *   If `true`, the items are exported in the reverse order.
+ * @property {string} [unwind]
+ *   Field of the items to unwind. If the field is an array, every element of the array becomes a separate item
+ *   merged with the parent item. If it's an object, it's merged with the parent item. Otherwise the item is left as it is.
+ * @property {string[]} [fields]
+ *   Fields of the items to export, in this order. By default, all the fields are exported.
+ * @property {string[]} [omit]
+ *   Fields of the items to leave out.
+ * @property {string[]} [flatten]
+ *   Fields with nested objects to flatten, e.g. with `['foo']`, the item `{ foo: { bar: 'hello' } }`
+ *   is exported as `{ 'foo.bar': 'hello' }`.
+ * @property {string} [delimiter=',']
+ *   Delimiter of the CSV values.
+ * @property {boolean} [bom]
+ *   Whether to prefix the export with the UTF-8 byte order mark. By default, only the CSV exports are prefixed.
+ * @property {boolean} [skipHeaderRow=false]
+ *   If `true`, the CSV export does not start with the header row.
+ * @property {string} [xmlRoot='items']
+ *   Name of the root element of the XML export.
+ * @property {string} [xmlRow='item']
+ *   Name of the elements of the items in the XML export.
+ */
+
+/**
+ * @typedef DatasetIteratorOptions
+ * @property {number} [offset=0]
+ *   Number of items to skip at the start of the dataset.
+ * @property {number} [limit]
+ *   Maximum number of items to read from the dataset. By default, all the items are read.
+ * @property {boolean} [desc=false]
+ *   If `true`, the items are read in the reverse order.
+ * @property {string} [unwind]
+ *   Field of the items to unwind, see {@link DatasetExportOptions}.
+ * @property {string[]} [fields]
+ *   Fields of the items to keep, in this order. By default, all the fields are kept.
+ * @property {string[]} [omit]
+ *   Fields of the items to leave out.
+ * @property {string[]} [flatten]
+ *   Fields with nested objects to flatten, see {@link DatasetExportOptions}.
+ */
+
 /**
  * @typedef DatasetContent
  * @property {Array<object>} items Dataset entries based on chosen format parameter.
@@ -0,0 +1,271 @@
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'xml', 'rss'];
+
+export const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    jsonl: 'application/jsonl; charset=utf-8',
+    xml: 'application/xml; charset=utf-8',
+    rss: 'application/rss+xml; charset=utf-8',
+};
+
+const UTF8_BOM = '\uFEFF';
+const CSV_COLUMN_SEPARATOR = '/';
+const FLATTEN_SEPARATOR = '.';
+const XML_INDENT = '  ';
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ * @ignore
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Unwinds the item by the field. Every element of an array field becomes a separate item merged with the parent item,
+ * an object field is merged with the parent item. Items where the field is missing or is neither an array
+ * nor an object are preserved as they are.
+ *
+ * @param {object} item
+ * @param {string} [field]
+ * @return {Array<object>}
+ * @ignore
+ */
+export const unwindItem = (item, field) => {
+    if (!field) return [item];
+    const value = item[field];
+    if (!Array.isArray(value) && !isPlainObject(value)) return [item];
+
+    const { [field]: unwound, ...parent } = item;
+    const merge = (element) => (isPlainObject(element) ? { ...parent, ...element } : { ...parent, [field]: element });
+    return Array.isArray(unwound) ? unwound.map(merge) : [merge(unwound)];
+};
+
+/**
+ * Picks the fields of the item in the order of the `fields` array and removes the `omit` fields.
+ *
+ * @param {object} item
+ * @param {object} options
+ * @param {string[]} [options.fields]
+ * @param {string[]} [options.omit]
+ * @return {object}
+ * @ignore
+ */
+export const pickFields = (item, { fields, omit }) => {
+    let result = item;
+    if (fields) {
+        result = {};
+        fields.forEach((field) => {
+            if (field in item) result[field] = item[field];
+        });
+    }
+    if (omit) {
+        result = { ...result };
+        omit.forEach((field) => delete result[field]);
+    }
+    return result;
+};
+
+/**
+ * Flattens nested objects and arrays to a single level object, where the keys are the paths
+ * to the values joined by the separator, e.g. `{ a: { b: [1] } }` becomes `{ 'a/b/0': 1 }`.
+ * Empty objects and arrays are left out.
+ *
+ * @param {*} value
+ * @param {string} separator
+ * @param {string} [prefix]
+ * @param {object} [result]
+ * @return {object}
+ * @ignore
+ */
+export const flattenObject = (value, separator, prefix = '', result = {}) => {
+    if (!isPlainObject(value) && !Array.isArray(value)) {
+        result[prefix] = value;
+        return result;
+    }
+    Object.entries(value).forEach(([key, nested]) => {
+        flattenObject(nested, separator, prefix ? `${prefix}${separator}${key}` : key, result);
+    });
+    return result;
+};
+
+/**
+ * Flattens the nested objects of the given fields, e.g. with the `foo` field,
+ * `{ foo: { bar: 'hello' } }` becomes `{ 'foo.bar': 'hello' }`.
+ *
+ * @param {object} item
+ * @param {string[]} [fields]
+ * @return {object}
+ * @ignore
+ */
+export const flattenFields = (item, fields) => {
+    if (!fields) return item;
+    const result = {};
+    Object.entries(item).forEach(([key, value]) => {
+        if (fields.includes(key)) flattenObject(value, FLATTEN_SEPARATOR, key, result);
+        else result[key] = value;
+    });
+    return result;
+};
+
+/**
+ * Applies the `unwind`, `fields`, `omit` and `flatten` transformations to the item, in this order.
+ *
+ * @param {object} item
+ * @param {DatasetTransformOptions} options
+ * @return {Array<object>}
+ * @ignore
+ */
+export const transformItem = (item, options) => {
+    const { unwind, fields, omit, flatten } = options;
+    return unwindItem(item, unwind).map((unwound) => flattenFields(pickFields(unwound, { fields, omit }), flatten));
+};
+
+/**
+ * Flattens the item the same way as the CSV exports of the Apify platform,
+ * e.g. `{ images: [{ url: 'x' }] }` has the `images/0/url` column.
+ *
+ * @param {object} item
+ * @return {object}
+ * @ignore
+ */
+export const flattenForCsv = (item) => flattenObject(item, CSV_COLUMN_SEPARATOR);
+
+/**
+ * @param {*} value
+ * @param {string} delimiter
+ * @return {string}
+ * @ignore
+ */
+const toCsvValue = (value, delimiter) => {
+    if (value === null || value === undefined) return '';
+    const string = String(value);
+    if (string.includes(delimiter) || /["\r\n]/.test(string)) return `"${string.replace(/"/g, '""')}"`;
+    return string;
+};
+
+/**
+ * @param {*} value
+ * @return {string}
+ * @ignore
+ */
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Replaces the characters that are not allowed in XML element names.
+ *
+ * @param {string} name
+ * @return {string}
+ * @ignore
+ */
+const toXmlName = (name) => {
+    const sanitized = name.replace(/[^\w.-]/g, '_');
+    return /^[A-Za-z_]/.test(sanitized) ? sanitized : `_${sanitized}`;
+};
+
+/**
+ * Converts the value to an XML element. Objects become nested elements,
+ * arrays become nested `item` elements.
+ *
+ * @param {string} name
+ * @param {*} value
+ * @param {number} depth
+ * @return {string}
+ * @ignore
+ */
+const toXmlElement = (name, value, depth) => {
+    const indent = XML_INDENT.repeat(depth);
+    const tag = toXmlName(name);
+    if (value === null || value === undefined) return `${indent}<${tag}/>\n`;
+
+    let children;
+    if (Array.isArray(value)) children = value.map((element) => toXmlElement('item', element, depth + 1));
+    else if (isPlainObject(value)) children = Object.entries(value).map(([key, nested]) => toXmlElement(key, nested, depth + 1));
+    else return `${indent}<${tag}>${escapeXml(value)}</${tag}>\n`;
+
+    if (!children.length) return `${indent}<${tag}/>\n`;
+    return `${indent}<${tag}>\n${children.join('')}${indent}</${tag}>\n`;
+};
+
+/**
+ * Creates the formatter that converts the transformed items to the chunks of the exported file.
+ *
+ * @param {string} format
+ * @param {object} options
+ * @param {string[]} [options.columns] CSV columns, i.e. the keys of all the items flattened by `flattenForCsv()`.
+ * @param {string} [options.delimiter=',']
+ * @param {boolean} [options.bom]
+ * @param {boolean} [options.skipHeaderRow=false]
+ * @param {string} [options.xmlRoot='items']
+ * @param {string} [options.xmlRow='item']
+ * @param {string} [options.title] Title of the RSS channel.
+ * @param {string} [options.link] Link of the RSS channel.
+ * @return {{ start: function(): string, formatItem: function(object): string, end: function(): string }}
+ * @ignore
+ */
+export const createExportFormatter = (format, options = {}) => {
+    const {
+        columns = [],
+        delimiter = ',',
+        // The BOM makes Excel recognize the encoding of CSV files, it's also the default of the Apify platform.
+        bom = format === 'csv',
+        skipHeaderRow = false,
+        xmlRoot = 'items',
+        xmlRow = 'item',
+        title,
+        link,
+    } = options;
+    const prefix = bom ? UTF8_BOM : '';
+
+    switch (format) {
+        case 'csv': {
+            const toRow = (values) => `${values.map((value) => toCsvValue(value, delimiter)).join(delimiter)}\r\n`;
+            return {
+                start: () => prefix + (skipHeaderRow ? '' : toRow(columns)),
+                formatItem: (item) => {
+                    const flat = flattenForCsv(item);
+                    return toRow(columns.map((column) => flat[column]));
+                },
+                end: () => '',
+            };
+        }
+        case 'jsonl':
+            return {
+                start: () => prefix,
+                formatItem: (item) => `${JSON.stringify(item)}\n`,
+                end: () => '',
+            };
+        case 'xml':
+            return {
+                start: () => `${prefix}<?xml version="1.0" encoding="UTF-8"?>\n<${toXmlName(xmlRoot)}>\n`,
+                formatItem: (item) => toXmlElement(xmlRow, item, 1),
+                end: () => `</${toXmlName(xmlRoot)}>\n`,
+            };
+        case 'rss': {
+            const channel = [
+                toXmlElement('title', title, 2),
+                toXmlElement('description', `Items of the dataset ${title}`, 2),
+                link ? toXmlElement('link', link, 2) : '',
+            ];
+            return {
+                start: () => `${prefix}<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0">\n${XML_INDENT}<channel>\n${channel.join('')}`,
+                formatItem: (item) => toXmlElement('item', item, 2),
+                end: () => `${XML_INDENT}</channel>\n</rss>\n`,
+            };
+        }
+        default:
+            throw new Error(`Unsupported export format "${format}", use one of: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+};
+
+/**
+ * @typedef DatasetTransformOptions
+ * @property {string} [unwind]
+ * @property {string[]} [fields]
+ * @property {string[]} [omit]
+ * @property {string[]} [flatten]
+ * @ignore
+ */
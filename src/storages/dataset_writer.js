@@ -0,0 +1,226 @@
+import ow from 'ow';
+import { MAX_PAYLOAD_SIZE_BYTES } from '@apify/consts';
+import { ACTOR_EVENT_NAMES_EX } from '../constants';
+import events, { addShutdownHandler, removeShutdownHandler } from '../events';
+import log from '../utils_log';
+
+/* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order,import/no-cycle */
+import { Dataset } from './dataset';
+/* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order,import/no-cycle */
+
+/**
+ * Writers that were not closed yet, flushed by the crawlers when they finish.
+ * @type {Set<DatasetWriter>}
+ * @ignore
+ */
+const openWriters = new Set();
+
+/**
+ * Buffers the items pushed to a {@link Dataset} and stores them in batches, which saves a lot of API calls
+ * when the items are pushed one by one, e.g. from the handlers of a crawler. Use {@link Dataset#createWriter}
+ * to create the writer.
+ *
+ * The buffered items are stored when there are `maxItems` of them, when their size reaches `maxBytes`
+ * or `flushIntervalMillis` after the first of them was pushed, whichever comes first. They are also stored
+ * on the `persistState` event, when the process receives the `SIGINT` or `SIGTERM` signal in {@link Apify#main}
+ * and when a crawler finishes its run. When the actor is migrating or shutting down, the writer stops buffering
+ * and stores every item right away, so that no items are lost.
+ *
+ * The promise returned by {@link DatasetWriter#pushData} resolves when the items are stored,
+ * and it's rejected if the items could not be stored.
+ *
+ * When the writer is not needed anymore, call {@link DatasetWriter#close} to store the remaining items.
+ */
+export class DatasetWriter {
+    /**
+     * @param {Dataset} dataset
+     * @param {DatasetWriterOptions} [options]
+     * @hideconstructor
+     */
+    constructor(dataset, options = {}) {
+        ow(options, ow.object.exactShape({
+            maxItems: ow.optional.number.integer.greaterThan(0),
+            maxBytes: ow.optional.number.integer.greaterThan(0),
+            flushIntervalMillis: ow.optional.number.integer.greaterThanOrEqual(0),
+        }));
+
+        const {
+            maxItems = 1000,
+            maxBytes = MAX_PAYLOAD_SIZE_BYTES,
+            flushIntervalMillis = 1000,
+        } = options;
+
+        this.dataset = dataset;
+        this.maxItems = maxItems;
+        this.maxBytes = maxBytes;
+        this.flushIntervalMillis = flushIntervalMillis;
+        this.log = log.child({ prefix: 'DatasetWriter' });
+
+        this.batch = [];
+        this.batchItemCount = 0;
+        this.batchBytes = 0;
+        this.preparePromises = new Set();
+        this.flushTimeout = null;
+        this.writePromise = Promise.resolve();
+        this.isBuffering = true;
+        this.isClosed = false;
+
+        this.persistStateListener = this._onPersistState.bind(this);
+        this.shutdownHandler = this._onShutdown.bind(this);
+        events.on(ACTOR_EVENT_NAMES_EX.PERSIST_STATE, this.persistStateListener);
+        addShutdownHandler(this.shutdownHandler);
+        openWriters.add(this);
+    }
+
+    /**
+     * Adds an object or an array of objects to the buffer of the writer. The items are validated and serialized
+     * the same way as by {@link Dataset#pushData}, so the invalid items are rejected right away.
+     *
+     * The returned promise resolves when the items are stored in the dataset. Note that the items might be stored
+     * only after `flushIntervalMillis`, so the handlers of a crawler don't need to wait for it,
+     * but then they need to handle the errors of the promise.
+     *
+     * @param {object|Array<object>} data Object or array of objects to be stored in the dataset.
+     * @param {object} [options]
+     * @param {string} [options.uniqueKey] Field of the items used to skip the items that were already stored,
+     *   see {@link Dataset#pushData}.
+     * @return {Promise<void>}
+     */
+    async pushData(data, options = {}) {
+        ow(data, ow.object);
+        ow(options, ow.object.exactShape({
+            uniqueKey: ow.optional.string.nonEmpty,
+        }));
+        if (this.isClosed) throw new Error('The dataset writer is closed, the items cannot be pushed anymore.');
+
+        const preparePromise = this.dataset._prepareItems(data, options); // eslint-disable-line no-underscore-dangle
+        const settledPromise = preparePromise.catch(() => {});
+        this.preparePromises.add(settledPromise);
+        let prepared;
+        try {
+            prepared = await preparePromise;
+        } finally {
+            this.preparePromises.delete(settledPromise);
+        }
+
+        const { payloads, uniqueKeys } = prepared;
+        if (!payloads.length) return;
+
+        const promise = new Promise((resolve, reject) => {
+            this.batch.push({ payloads, uniqueKeys, resolve, reject });
+        });
+        this.batchItemCount += payloads.length;
+        this.batchBytes += payloads.reduce((bytes, payload) => bytes + Buffer.byteLength(payload), 0);
+
+        if (!this.isBuffering || this.batchItemCount >= this.maxItems || this.batchBytes >= this.maxBytes) {
+            this.flush();
+        } else if (!this.flushTimeout) {
+            this.flushTimeout = setTimeout(() => this.flush(), this.flushIntervalMillis);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Stores the buffered items. The returned promise resolves when all the items pushed so far are stored.
+     * It's never rejected, the errors are reported by the promises returned by {@link DatasetWriter#pushData}.
+     *
+     * @return {Promise<void>}
+     */
+    async flush() {
+        // The items that are being validated were pushed before the call, so they are stored too.
+        await Promise.all(this.preparePromises);
+        clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+        if (!this.batch.length) return this.writePromise;
+
+        const { batch } = this;
+        this.batch = [];
+        this.batchItemCount = 0;
+        this.batchBytes = 0;
+
+        // Writes are chained to preserve the order of the items in the dataset.
+        this.writePromise = this.writePromise.then(() => this._writeBatch(batch));
+        return this.writePromise;
+    }
+
+    /**
+     * Stores the remaining items and stops listening to the events. The writer cannot be used after it's closed.
+     *
+     * @return {Promise<void>}
+     */
+    async close() {
+        this.isClosed = true;
+        events.removeListener(ACTOR_EVENT_NAMES_EX.PERSIST_STATE, this.persistStateListener);
+        removeShutdownHandler(this.shutdownHandler);
+        openWriters.delete(this);
+        await this.flush();
+    }
+
+    /**
+     * @param {Array<{ payloads: Array<string>, uniqueKeys: Array<string>, resolve: function(): void, reject: function(Error): void }>} batch
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _writeBatch(batch) {
+        const payloads = batch.reduce((all, entry) => all.concat(entry.payloads), []);
+        try {
+            await this.dataset._pushPayloads(payloads); // eslint-disable-line no-underscore-dangle
+            batch.forEach((entry) => entry.resolve());
+        } catch (err) {
+            this.log.exception(err, 'Failed to store the items in the dataset.', { itemCount: payloads.length });
+            const uniqueKeys = batch.reduce((all, entry) => all.concat(entry.uniqueKeys), []);
+            this.dataset._forgetUniqueKeys(uniqueKeys); // eslint-disable-line no-underscore-dangle
+            batch.forEach((entry) => entry.reject(err));
+        }
+    }
+
+    /**
+     * When the actor is migrating, it can be stopped anytime, so the items are stored right away from now on.
+     *
+     * @param {{ isMigrating: boolean }} data
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _onPersistState({ isMigrating }) {
+        if (isMigrating) this.isBuffering = false;
+        this.flush();
+    }
+
+    /**
+     * The crawlers finish the requests in progress on shutdown, so their items are stored right away.
+     *
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _onShutdown() {
+        this.isBuffering = false;
+        await this.flush();
+    }
+}
+
+/**
+ * Stores the buffered items of all the writers that were not closed yet. Called by the crawlers when they finish.
+ *
+ * @return {Promise<void>}
+ * @ignore
+ */
+export const flushDatasetWriters = async () => {
+    await Promise.all([...openWriters].map((writer) => writer.flush()));
+};
+
+/**
+ * @typedef DatasetWriterOptions
+ * @property {number} [maxItems=1000]
+ *   Maximum number of buffered items. When reached, the items are stored.
+ * @property {number} [maxBytes]
+ *   Maximum size of the buffered items in bytes, the size of their JSON representation. When reached, the items are stored.
+ *   Defaults to the maximum size of the payload of a single API request, i.e. 9MB.
+ * @property {number} [flushIntervalMillis=1000]
+ *   How long the items can wait in the buffer, after the first of them was pushed.
+ */
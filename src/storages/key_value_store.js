@@ -1,6 +1,7 @@
 import { ENV_VARS, KEY_VALUE_STORE_KEYS, KEY_VALUE_STORE_KEY_REGEX } from '@apify/consts';
 import { jsonStringifyExtended } from '@apify/utilities';
 import ow, { ArgumentError } from 'ow';
+import { Readable } from 'stream';
 import { StorageManager } from './storage_manager';
 import log from '../utils_log';
 
@@ -189,8 +190,8 @@ export class KeyValueStore {
      * const store = await Apify.openKeyValueStore('my-text-store');
      * await store.setValue('RESULTS', 'my text data', { contentType: 'text/plain' });
      * ```
-     * If you set custom content type, `value` must be either a string or
-     * [`Buffer`](https://nodejs.org/api/buffer.html), otherwise an error will be thrown.
+     * If you set custom content type, `value` must be either a string,
+     * [`Buffer`](https://nodejs.org/api/buffer.html) or a readable stream, otherwise an error will be thrown.
      *
      * If `value` is `null`, the record is deleted instead. Note that the `setValue()` function succeeds
      * regardless whether the record existed or not.
@@ -208,7 +209,8 @@ export class KeyValueStore {
      *   Record data, which can be one of the following values:
      *    - If `null`, the record in the key-value store is deleted.
      *    - If no `options.contentType` is specified, `value` can be any JavaScript object and it will be stringified to JSON.
-     *    - If `options.contentType` is set, `value` is taken as is and it must be a `String` or [`Buffer`](https://nodejs.org/api/buffer.html).
+     *    - If `options.contentType` is set, `value` is taken as is and it must be a `String`, [`Buffer`](https://nodejs.org/api/buffer.html)
+     *      or a [`Readable`](https://nodejs.org/api/stream.html#stream_class_stream_readable) stream.
      *   For any other value an error will be thrown.
      * @param {object} [options]
      * @param {string} [options.contentType]
@@ -222,8 +224,9 @@ export class KeyValueStore {
             validator: ow.isValid(k, ow.string.matches(KEY_VALUE_STORE_KEY_REGEX)),
             message: 'The "key" argument must be at most 256 characters long and only contain the following characters: a-zA-Z0-9!-_.\'()',
         })));
-        if (options.contentType && !ow.isValid(value, ow.any(ow.string, ow.buffer))) {
-            throw new ArgumentError('The "value" parameter must be a String or Buffer when "options.contentType" is specified.', this.setValue);
+        if (options.contentType && !ow.isValid(value, ow.any(ow.string, ow.buffer, ow.object.instanceOf(Readable)))) {
+            throw new ArgumentError('The "value" parameter must be a String, Buffer or Readable stream when "options.contentType" is specified.',
+                this.setValue);
         }
         ow(options, ow.object.exactShape({
             contentType: ow.optional.string.nonEmpty,
@@ -301,24 +304,112 @@ export class KeyValueStore {
      * @param {KeyConsumer} iteratee
      * @param {Record<string, any>} [options]
      * @param {number} [index=0]
-     * @return {Promise<Promise<void> | undefined>}
+     * @return {Promise<void>}
      * @private
      */
     async _forEachKey(iteratee, options = {}, index = 0) {
-        const { exclusiveStartKey } = options;
         ow(iteratee, ow.function);
         ow(options, ow.object.exactShape({
             exclusiveStartKey: ow.optional.string,
         }));
 
-        const response = await this.client.listKeys({ exclusiveStartKey });
-        const { nextExclusiveStartKey, isTruncated, items } = response;
-        for (const item of items) {
+        for await (const item of this._iterateKeyItems(options)) {
             await iteratee(item.key, index++, { size: item.size });
         }
-        return isTruncated
-            ? this._forEachKey(iteratee, { exclusiveStartKey: nextExclusiveStartKey }, index)
-            : undefined; // [].forEach() returns undefined.
+    }
+
+    /**
+     * Returns an async iterator over the keys of the key-value store. The keys are listed
+     * from the storage page by page, only when the previous page was consumed.
+     *
+     * **Example usage**
+     * ```javascript
+     * const keyValueStore = await Apify.openKeyValueStore();
+     * for await (const key of keyValueStore.keys()) {
+     *   console.log(key);
+     * }
+     * ```
+     *
+     * @param {object} [options]
+     * @param {string} [options.exclusiveStartKey] All keys up to this one (including) are skipped from the result.
+     * @return {AsyncIterableIterator<string>}
+     */
+    keys(options = {}) {
+        ow(options, ow.object.exactShape({
+            exclusiveStartKey: ow.optional.string,
+        }));
+
+        return this._iterateKeys(options);
+    }
+
+    /**
+     * Returns an async iterator over the records of the key-value store, which yields `[key, value]` pairs.
+     * The values are parsed the same way as by {@link KeyValueStore#getValue} and they are loaded one by one,
+     * only when the previous record was consumed.
+     *
+     * **Example usage**
+     * ```javascript
+     * const keyValueStore = await Apify.openKeyValueStore('screenshots');
+     * for await (const [key, value] of keyValueStore.entries()) {
+     *   await fs.writeFile(`${key}.png`, value);
+     * }
+     * ```
+     *
+     * @param {object} [options]
+     * @param {string} [options.exclusiveStartKey] All keys up to this one (including) are skipped from the result.
+     * @return {AsyncIterableIterator<Array<*>>}
+     */
+    entries(options = {}) {
+        ow(options, ow.object.exactShape({
+            exclusiveStartKey: ow.optional.string,
+        }));
+
+        return this._iterateEntries(options);
+    }
+
+    /**
+     * @param {{ exclusiveStartKey?: string }} options
+     * @return {AsyncGenerator<string>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async* _iterateKeys(options) {
+        for await (const item of this._iterateKeyItems(options)) {
+            yield item.key;
+        }
+    }
+
+    /**
+     * @param {{ exclusiveStartKey?: string }} options
+     * @return {AsyncGenerator<Array<*>>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async* _iterateEntries(options) {
+        for await (const item of this._iterateKeyItems(options)) {
+            yield [item.key, await this.getValue(item.key)];
+        }
+    }
+
+    /**
+     * Yields the `{ key, size }` items of the keys of the key-value store, listing them page by page.
+     *
+     * @param {{ exclusiveStartKey?: string }} options
+     * @return {AsyncGenerator<{ key: string, size: number }>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async* _iterateKeyItems({ exclusiveStartKey }) {
+        let startKey = exclusiveStartKey;
+        while (true) {
+            const { nextExclusiveStartKey, isTruncated, items } = await this.client.listKeys({ exclusiveStartKey: startKey });
+            yield* items;
+            if (!isTruncated) return;
+            startKey = nextExclusiveStartKey;
+        }
     }
 }
 
@@ -0,0 +1,109 @@
+import { ListDictionary } from '@apify/datastructures';
+
+/**
+ * A dictionary of items ordered primarily by their priority, where items with higher priority
+ * come first, and secondarily by the order in which they were added, like in {@link ListDictionary}.
+ *
+ * It's used by {@link RequestQueue} as the local cache of the queue head.
+ * @ignore
+ */
+class PriorityListDictionary {
+    constructor() {
+        /**
+         * Lists of the items by their priority.
+         * @type {Map<number, ListDictionary<{ key: string, item: * }>>}
+         */
+        this.lists = new Map();
+
+        /**
+         * Priorities of the non-empty lists, sorted from the highest one.
+         * @type {Array<number>}
+         */
+        this.priorities = [];
+
+        /**
+         * Priorities of the items by their keys.
+         * @type {Map<string, number>}
+         */
+        this.keyToPriority = new Map();
+    }
+
+    /**
+     * Adds an item to the end or to the beginning of the items with the same priority.
+     * If an item with the same key already exists, the dictionary is not changed.
+     *
+     * @param {string} key
+     * @param {*} item
+     * @param {boolean} [toFirstPosition=false]
+     * @param {number} [priority=0]
+     * @return {boolean} Returns `true` if the item was added.
+     */
+    add(key, item, toFirstPosition = false, priority = 0) {
+        if (this.keyToPriority.has(key)) return false;
+
+        let list = this.lists.get(priority);
+        if (!list) {
+            list = new ListDictionary();
+            this.lists.set(priority, list);
+            this.priorities.push(priority);
+            this.priorities.sort((a, b) => b - a);
+        }
+
+        list.add(key, { key, item }, toFirstPosition);
+        this.keyToPriority.set(key, priority);
+        return true;
+    }
+
+    /**
+     * Removes the first item with the highest priority and returns it, or `null` if the dictionary is empty.
+     *
+     * @return {*}
+     */
+    removeFirst() {
+        if (!this.priorities.length) return null;
+
+        const { key } = this.lists.get(this.priorities[0]).getFirst();
+        return this.remove(key);
+    }
+
+    /**
+     * Removes the item with the key and returns it, or `null` if it doesn't exist.
+     *
+     * @param {string} key
+     * @return {*}
+     */
+    remove(key) {
+        if (!this.keyToPriority.has(key)) return null;
+
+        const priority = this.keyToPriority.get(key);
+        const list = this.lists.get(priority);
+        const { item } = list.remove(key);
+        this.keyToPriority.delete(key);
+
+        if (list.length() === 0) {
+            this.lists.delete(priority);
+            this.priorities.splice(this.priorities.indexOf(priority), 1);
+        }
+        return item;
+    }
+
+    /**
+     * Returns the number of items in the dictionary.
+     *
+     * @return {number}
+     */
+    length() {
+        return this.keyToPriority.size;
+    }
+
+    /**
+     * Removes all the items.
+     */
+    clear() {
+        this.lists.clear();
+        this.priorities = [];
+        this.keyToPriority.clear();
+    }
+}
+
+export default PriorityListDictionary;
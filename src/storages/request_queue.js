@@ -1,11 +1,14 @@
 import * as crypto from 'crypto';
-import { ListDictionary, LruCache } from '@apify/datastructures';
+import { LruCache } from '@apify/datastructures';
 import { REQUEST_QUEUE_HEAD_MAX_LIMIT } from '@apify/consts';
 import { cryptoRandomObjectId } from '@apify/utilities';
 import ow from 'ow';
 import { StorageManager } from './storage_manager';
+import PriorityListDictionary from './priority_list_dictionary';
+import { INTERNAL_USER_DATA_KEY } from '../request'; // eslint-disable-line import/no-duplicates
 import { sleep } from '../utils';
 import log from '../utils_log';
+import { traceAsync } from '../tracing';
 
 /* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order */
 import Request, { RequestOptions } from '../request'; // eslint-disable-line import/named,no-unused-vars
@@ -17,6 +20,9 @@ import { ApifyStorageLocal } from '@apify/storage-local';
 
 const MAX_CACHED_REQUESTS = 1000 * 1000;
 
+// Maximum number of requests that can be sent to the storage in a single batch operation.
+export const MAX_REQUESTS_PER_BATCH_OPERATION = 25;
+
 // When requesting queue head we always fetch requestsInProgressCount * QUERY_HEAD_BUFFER number of requests.
 export const QUERY_HEAD_MIN_LENGTH = 100;
 export const QUERY_HEAD_BUFFER = 3;
@@ -78,13 +84,18 @@ export const getRequestId = (uniqueKey) => {
  * To add a single URL multiple times to the queue,
  * corresponding {@link Request} objects will need to have different `uniqueKey` properties.
  *
+ * Requests with a higher {@link Request#priority} are returned by {@link RequestQueue#fetchNextRequest} first.
+ * Note that the priorities are only applied to the requests from the beginning of the queue that are cached locally,
+ * so requests with a high priority that were added to the end of a large queue by another client
+ * might be returned only after the requests before them.
+ *
  * Do not instantiate this class directly, use the
  * {@link Apify#openRequestQueue} function instead.
  *
  * `RequestQueue` is used by {@link BasicCrawler}, {@link CheerioCrawler}, {@link PuppeteerCrawler}
  * and {@link PlaywrightCrawler} as a source of URLs to crawl.
  * Unlike {@link RequestList}, `RequestQueue` supports dynamic adding and removing of requests.
- * On the other hand, the queue is not optimized for operations that add or remove a large number of URLs in a batch.
+ * Large numbers of URLs should be added using {@link RequestQueue#addRequests}, which sends them to the storage in batches.
  *
  * `RequestQueue` stores its data either on local disk or in the Apify Cloud,
  * depending on whether the `APIFY_LOCAL_STORAGE_DIR` or `APIFY_TOKEN` environment variable is set.
@@ -111,6 +122,7 @@ export const getRequestId = (uniqueKey) => {
  * await queue.addRequest({ url: 'http://example.com/aaa' });
  * await queue.addRequest({ url: 'http://example.com/bbb' });
  * await queue.addRequest({ url: 'http://example.com/foo/bar' }, { forefront: true });
+ * await queue.addRequest({ url: 'http://example.com/detail', priority: 1 });
  * ```
  * @hideconstructor
  */
@@ -139,7 +151,7 @@ export class RequestQueue {
          * @type {*}
          * @ignore
          */
-        this.queueHeadDict = new ListDictionary();
+        this.queueHeadDict = new PriorityListDictionary();
         this.queryQueueHeadPromise = null;
 
         // A set of all request IDs that are currently being handled,
@@ -216,15 +228,17 @@ export class RequestQueue {
             };
         }
 
-        const queueOperationInfo = await this.client.addRequest(request, { forefront });
+        const queueOperationInfo = await traceAsync('requestQueue.addRequest', () => this.client.addRequest(request, { forefront }), {
+            attributes: { 'requestQueue.id': this.id, 'request.url': request.url },
+        });
         const { requestId, wasAlreadyPresent } = queueOperationInfo;
-        this._cacheRequest(cacheKey, queueOperationInfo);
+        this._cacheRequest(cacheKey, queueOperationInfo, request.priority);
 
         if (!wasAlreadyPresent && !this.inProgress.has(requestId) && !this.recentlyHandled.get(requestId)) {
             this.assumedTotalCount++;
 
             // Performance optimization: add request straight to head if possible
-            this._maybeAddRequestToQueueHead(requestId, forefront);
+            this._maybeAddRequestToQueueHead(requestId, forefront, request.priority);
         }
 
         queueOperationInfo.request = { ...request, id: requestId };
@@ -232,6 +246,99 @@ export class RequestQueue {
         return queueOperationInfo;
     }
 
+    /**
+     * Adds requests to the queue in batches, which is much faster than adding them one by one
+     * with {@link RequestQueue#addRequest}.
+     *
+     * Requests whose `uniqueKey` was already added by this instance of the queue, or which are duplicate
+     * within the `requests` array, are not sent to the storage at all. You can find out whether a request
+     * was already present in the queue from the resulting {@link QueueOperationInfo} objects.
+     *
+     * @param {Array<(Request|RequestOptions)>} requestsLike {@link Request} objects or vanilla objects with request data.
+     * Note that the function sets the `uniqueKey` and `id` fields to the passed Requests.
+     * @param {Object} [options]
+     * @param {boolean} [options.forefront=false] If `true`, the requests will be added to the foremost position in the queue,
+     *   in the same order as in the array.
+     * @return {Promise<Array<QueueOperationInfo>>} Operation infos in the same order as the passed requests.
+     */
+    async addRequests(requestsLike, options = {}) {
+        ow(requestsLike, ow.array.ofType(ow.object.partialShape({
+            url: ow.string.url,
+            id: ow.undefined,
+        })));
+        ow(options, ow.object.exactShape({
+            forefront: ow.optional.boolean,
+        }));
+
+        const { forefront = false } = options;
+
+        const requests = requestsLike.map((requestLike) => (requestLike instanceof Request ? requestLike : new Request(requestLike)));
+        const queueOperationInfos = new Array(requests.length);
+
+        // Indexes of the requests that are not cached, grouped by cache key, so that duplicates are sent only once.
+        const uncachedIndexes = new Map();
+        requests.forEach((request, i) => {
+            const cacheKey = getRequestId(request.uniqueKey);
+            const cachedInfo = this.requestsCache.get(cacheKey);
+
+            if (cachedInfo) {
+                request.id = cachedInfo.id;
+                queueOperationInfos[i] = {
+                    wasAlreadyPresent: true,
+                    wasAlreadyHandled: cachedInfo.isHandled,
+                    requestId: cachedInfo.id,
+                    request,
+                };
+            } else if (uncachedIndexes.has(cacheKey)) {
+                uncachedIndexes.get(cacheKey).push(i);
+            } else {
+                uncachedIndexes.set(cacheKey, [i]);
+            }
+        });
+
+        const cacheKeys = [...uncachedIndexes.keys()];
+        const newRequests = [];
+        // Batches are sent one by one to preserve the order of the requests in the queue.
+        for (let start = 0; start < cacheKeys.length; start += MAX_REQUESTS_PER_BATCH_OPERATION) {
+            const batchCacheKeys = cacheKeys.slice(start, start + MAX_REQUESTS_PER_BATCH_OPERATION);
+            const batchRequests = batchCacheKeys.map((cacheKey) => requests[uncachedIndexes.get(cacheKey)[0]]);
+            const batchInfos = await traceAsync('requestQueue.addRequests', () => this._addRequestsToStorage(batchRequests, forefront), {
+                attributes: { 'requestQueue.id': this.id, 'request.count': batchRequests.length },
+            });
+
+            batchInfos.forEach(({ requestId, wasAlreadyPresent, wasAlreadyHandled }, i) => {
+                const cacheKey = batchCacheKeys[i];
+                const { priority } = batchRequests[i];
+                this._cacheRequest(cacheKey, { requestId, wasAlreadyHandled }, priority);
+
+                if (!wasAlreadyPresent && !this.inProgress.has(requestId) && !this.recentlyHandled.get(requestId)) {
+                    newRequests.push({ requestId, priority });
+                }
+
+                uncachedIndexes.get(cacheKey).forEach((index, duplicateCount) => {
+                    const request = requests[index];
+                    queueOperationInfos[index] = {
+                        wasAlreadyPresent: wasAlreadyPresent || duplicateCount > 0,
+                        wasAlreadyHandled,
+                        requestId,
+                        request: { ...request, id: requestId },
+                    };
+                });
+            });
+        }
+
+        // Requests added to the forefront one by one end up in the reverse order, so we add them from the end.
+        if (forefront) newRequests.reverse();
+        newRequests.forEach(({ requestId, priority }) => {
+            this.assumedTotalCount++;
+
+            // Performance optimization: add request straight to head if possible
+            this._maybeAddRequestToQueueHead(requestId, forefront, priority);
+        });
+
+        return queueOperationInfos;
+    }
+
     /**
      * Gets the request from the queue specified by ID.
      *
@@ -362,7 +469,7 @@ export class RequestQueue {
             this.assumedHandledCount++;
         }
 
-        this._cacheRequest(getRequestId(request.uniqueKey), queueOperationInfo);
+        this._cacheRequest(getRequestId(request.uniqueKey), queueOperationInfo, request.priority);
 
         queueOperationInfo.request = request;
 
@@ -381,6 +488,9 @@ export class RequestQueue {
      * If `true` then the request it placed to the beginning of the queue, so that it's returned
      * in the next call to {@link RequestQueue#fetchNextRequest}.
      * By default, it's put to the end of the queue.
+     * @param {number} [options.priority]
+     * New priority of the request, e.g. a negative number to postpone the retries of failed requests.
+     * By default, the request keeps its current {@link Request#priority}.
      * @return {Promise<QueueOperationInfo>}
      */
     async reclaimRequest(request, options = {}) {
@@ -390,18 +500,22 @@ export class RequestQueue {
         }));
         ow(options, ow.object.exactShape({
             forefront: ow.optional.boolean,
+            priority: ow.optional.number.finite,
         }));
 
-        const { forefront = false } = options;
+        const { forefront = false, priority } = options;
 
         if (!this.inProgress.has(request.id)) {
             throw new Error(`Cannot reclaim request ${request.id}, because it is not in progress!`);
         }
 
+        // The priority is stored in the request, so that it's not lost when the request is fetched again.
+        if (priority !== undefined) request.priority = priority;
+
         // TODO: If request hasn't been changed since the last getRequest(),
         // we don't need to call updateRequest() and thus improve performance.
         const queueOperationInfo = await this.client.updateRequest(request, { forefront });
-        this._cacheRequest(getRequestId(request.uniqueKey), queueOperationInfo);
+        this._cacheRequest(getRequestId(request.uniqueKey), queueOperationInfo, request.priority);
         queueOperationInfo.request = request;
 
         // Wait a little to increase a chance that the next call to fetchNextRequest() will return the request with updated data.
@@ -415,7 +529,7 @@ export class RequestQueue {
             this.inProgress.delete(request.id);
 
             // Performance optimization: add request straight to head if possible
-            this._maybeAddRequestToQueueHead(request.id, forefront);
+            this._maybeAddRequestToQueueHead(request.id, forefront, request.priority);
         }, STORAGE_CONSISTENCY_DELAY_MILLIS);
 
         return queueOperationInfo;
@@ -455,17 +569,47 @@ export class RequestQueue {
      * @param {object} queueOperationInfo
      * @param {string} queueOperationInfo.requestId
      * @param {boolean} queueOperationInfo.wasAlreadyHandled
+     * @param {number} [priority=0]
      * @ignore
      * @protected
      * @internal
      */
-    _cacheRequest(cacheKey, queueOperationInfo) {
+    _cacheRequest(cacheKey, queueOperationInfo, priority = 0) {
         this.requestsCache.add(cacheKey, {
             id: queueOperationInfo.requestId,
             isHandled: queueOperationInfo.wasAlreadyHandled,
+            priority,
         });
     }
 
+    /**
+     * Adds a batch of requests to the storage. Falls back to adding the requests one by one
+     * when the storage client doesn't support batch operations or doesn't process some of the requests.
+     * The requests are then added sequentially, to keep their order in the queue and not to flood the storage.
+     *
+     * @param {Array<Request>} requests
+     * @param {boolean} forefront
+     * @return {Promise<Array<{ requestId: string, wasAlreadyPresent: boolean, wasAlreadyHandled: boolean }>>}
+     *   Operation infos in the same order as the passed requests.
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _addRequestsToStorage(requests, forefront) {
+        const processedByUniqueKey = new Map();
+        if (typeof this.client.batchAddRequests === 'function') {
+            const { processedRequests } = await this.client.batchAddRequests(requests, { forefront });
+            processedRequests.forEach((info) => processedByUniqueKey.set(info.uniqueKey, info));
+        }
+
+        const queueOperationInfos = [];
+        for (const request of requests) {
+            const processedInfo = processedByUniqueKey.get(request.uniqueKey);
+            queueOperationInfos.push(processedInfo || await this.client.addRequest(request, { forefront }));
+        }
+        return queueOperationInfos;
+    }
+
     /**
      * We always request more items than is in progress to ensure that something falls into head.
      *
@@ -493,12 +637,14 @@ export class RequestQueue {
             this.queryQueueHeadPromise = this.client
                 .listHead({ limit })
                 .then(({ items, queueModifiedAt, hadMultipleClients }) => {
-                    items.forEach(({ id: requestId, uniqueKey }) => {
+                    items.forEach(({ id: requestId, uniqueKey, userData }) => {
                         // Queue head index might be behind the main table, so ensure we don't recycle requests
                         if (this.inProgress.has(requestId) || this.recentlyHandled.get(requestId)) return;
 
-                        this.queueHeadDict.add(requestId, requestId, false);
-                        this._cacheRequest(getRequestId(uniqueKey), { requestId, wasAlreadyHandled: false });
+                        const cacheKey = getRequestId(uniqueKey);
+                        const priority = this._getQueueHeadItemPriority(cacheKey, userData);
+                        this.queueHeadDict.add(requestId, requestId, false, priority);
+                        this._cacheRequest(cacheKey, { requestId, wasAlreadyHandled: false }, priority);
                     });
 
                     // This is needed so that the next call to _ensureHeadIsNonEmpty() will fetch the queue head again.
@@ -561,15 +707,35 @@ export class RequestQueue {
         return this._ensureHeadIsNonEmpty(ensureConsistency, nextLimit, iteration + 1);
     }
 
+    /**
+     * Returns the priority of a request from the queue head. Not all storages return the `userData`
+     * of the requests in the queue head, so the locally cached priority is used in that case.
+     *
+     * @param {string} cacheKey
+     * @param {Object<string, *>} [userData]
+     * @return {number}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _getQueueHeadItemPriority(cacheKey, userData) {
+        const internalData = userData && userData[INTERNAL_USER_DATA_KEY];
+        if (internalData && internalData.priority !== undefined) return internalData.priority;
+
+        const cachedInfo = this.requestsCache.get(cacheKey);
+        return cachedInfo && cachedInfo.priority ? cachedInfo.priority : 0;
+    }
+
     /**
      * Adds a request straight to the queueHeadDict, to improve performance.
+     * Requests with a priority higher than the default are always added, so that they're processed soon.
      * @private
      */
-    _maybeAddRequestToQueueHead(requestId, forefront) {
-        if (forefront) {
-            this.queueHeadDict.add(requestId, requestId, true);
+    _maybeAddRequestToQueueHead(requestId, forefront, priority = 0) {
+        if (forefront || priority > 0) {
+            this.queueHeadDict.add(requestId, requestId, forefront, priority);
         } else if (this.assumedTotalCount < QUERY_HEAD_MIN_LENGTH) {
-            this.queueHeadDict.add(requestId, requestId, false);
+            this.queueHeadDict.add(requestId, requestId, false, priority);
         }
     }
 
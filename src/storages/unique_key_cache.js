@@ -0,0 +1,124 @@
+import { ACTOR_EVENT_NAMES_EX } from '../constants';
+import events, { addShutdownHandler, removeShutdownHandler } from '../events';
+import log from '../utils_log';
+import { openKeyValueStore } from './key_value_store'; // eslint-disable-line import/no-duplicates
+
+/* eslint-disable no-unused-vars,import/named,import/no-duplicates,import/order */
+import { KeyValueStore } from './key_value_store';
+/* eslint-enable no-unused-vars,import/named,import/no-duplicates,import/order */
+
+export const UNIQUE_KEY_CACHE_SIZE = 100e3;
+
+/**
+ * Remembers the unique keys of the stored dataset items, so that the items with the same key are not stored again.
+ * The cache is bounded, when it's full, the oldest keys are forgotten. The keys are persisted to the default
+ * key-value store on the `persistState` event and on shutdown and loaded back when the actor restarts.
+ *
+ * @ignore
+ */
+export class UniqueKeyCache {
+    /**
+     * @param {object} options
+     * @param {string} options.persistStateKey
+     * @param {number} [options.maxSize]
+     */
+    constructor(options) {
+        const { persistStateKey, maxSize = UNIQUE_KEY_CACHE_SIZE } = options;
+
+        this.persistStateKey = persistStateKey;
+        this.maxSize = maxSize;
+        // Sets keep the insertion order, so the first key is the oldest one.
+        this.keys = new Set();
+        this.isStatePersisted = true;
+        /** @type {KeyValueStore} */
+        this.keyValueStore = null;
+        this.log = log.child({ prefix: 'UniqueKeyCache' });
+        this.persistStateListener = this._onPersistState.bind(this);
+    }
+
+    /**
+     * Loads the persisted keys and starts persisting them.
+     *
+     * @return {Promise<void>}
+     */
+    async initialize() {
+        this.keyValueStore = await openKeyValueStore();
+        const keys = await this.keyValueStore.getValue(this.persistStateKey);
+        if (keys) keys.forEach((key) => this.add(key));
+        this.isStatePersisted = true;
+
+        events.on(ACTOR_EVENT_NAMES_EX.PERSIST_STATE, this.persistStateListener);
+        addShutdownHandler(this.persistStateListener);
+    }
+
+    /**
+     * @param {string} key
+     * @return {boolean}
+     */
+    has(key) {
+        return this.keys.has(key);
+    }
+
+    /**
+     * @param {string} key
+     */
+    add(key) {
+        this.keys.add(key);
+        if (this.keys.size > this.maxSize) this.keys.delete(this.keys.values().next().value);
+        this.isStatePersisted = false;
+    }
+
+    /**
+     * @param {string} key
+     */
+    remove(key) {
+        this.keys.delete(key);
+        this.isStatePersisted = false;
+    }
+
+    /**
+     * @return {Promise<void>}
+     */
+    async persistState() {
+        if (this.isStatePersisted) return;
+
+        // Set before the write, so that the keys added in the meantime are persisted by the next call.
+        this.isStatePersisted = true;
+        try {
+            await this.keyValueStore.setValue(this.persistStateKey, [...this.keys]);
+        } catch (err) {
+            this.isStatePersisted = false;
+            throw err;
+        }
+    }
+
+    /**
+     * Listeners of events cannot report errors to anyone, so the failed writes are only logged.
+     * The keys are persisted again on the next `persistState` event.
+     *
+     * @return {Promise<void>}
+     * @ignore
+     * @protected
+     * @internal
+     */
+    async _onPersistState() {
+        try {
+            await this.persistState();
+        } catch (err) {
+            this.log.exception(err, 'Failed to persist the unique keys of the dataset items.', { persistStateKey: this.persistStateKey });
+        }
+    }
+
+    /**
+     * Stops persisting the keys and removes the persisted keys.
+     *
+     * @return {Promise<void>}
+     */
+    async drop() {
+        events.removeListener(ACTOR_EVENT_NAMES_EX.PERSIST_STATE, this.persistStateListener);
+        removeShutdownHandler(this.persistStateListener);
+        this.keys.clear();
+        this.isStatePersisted = true;
+        await this.keyValueStore.setValue(this.persistStateKey, null);
+    }
+}
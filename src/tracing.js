@@ -0,0 +1,343 @@
+/* eslint-disable max-classes-per-file */
+import * as asyncHooks from 'async_hooks';
+import * as crypto from 'crypto';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import ow from 'ow';
+import log from './utils_log';
+
+/**
+ * Holds the span of the request that is being processed in the current async context,
+ * so that storage writes made by user functions are traced as its children.
+ * `AsyncLocalStorage` is only available in Node.js 12.17 and newer.
+ * @ignore
+ */
+const activeSpanStorage = asyncHooks.AsyncLocalStorage ? new asyncHooks.AsyncLocalStorage() : null;
+
+const FLUSH_EVERY_SPANS = 100;
+
+/**
+ * Represents a single timed operation, such as the processing of a request or a storage write.
+ * Spans are created by {@link Tracer#startSpan} and form a tree, where the span of a request
+ * is the parent of the spans of its navigation, user handler and storage writes.
+ *
+ * The API is modelled after the [OpenTelemetry](https://opentelemetry.io/) spans.
+ */
+export class Span {
+    /**
+     * @param {Tracer} tracer
+     * @param {string} name
+     * @param {SpanOptions} [options]
+     * @hideconstructor
+     */
+    constructor(tracer, name, options = {}) {
+        const { attributes = {}, parent } = options;
+
+        this.tracer = tracer;
+        this.name = name;
+        this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.attributes = {};
+        this.setAttributes(attributes);
+        this.events = [];
+        this.status = 'unset';
+        this.startTime = new Date();
+        this.endTime = null;
+    }
+
+    /**
+     * Returns `true` until the span is ended. Spans of the no-op tracer never record.
+     * @return {boolean}
+     */
+    isRecording() {
+        return this.endTime === null;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @return {Span}
+     */
+    setAttribute(key, value) {
+        if (value !== undefined) this.attributes[key] = value;
+        return this;
+    }
+
+    /**
+     * @param {Object<string, *>} attributes
+     * @return {Span}
+     */
+    setAttributes(attributes) {
+        Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+        return this;
+    }
+
+    /**
+     * @param {string} status Either `ok` or `error`.
+     * @return {Span}
+     */
+    setStatus(status) {
+        this.status = status;
+        return this;
+    }
+
+    /**
+     * Records the error as an event of the span and sets the status of the span to `error`.
+     * @param {Error} error
+     * @return {Span}
+     */
+    recordException(error) {
+        this.events.push({
+            name: 'exception',
+            time: new Date(),
+            attributes: {
+                'exception.type': error && error.name,
+                'exception.message': error && error.message,
+                'exception.stacktrace': error && error.stack,
+            },
+        });
+        return this.setStatus('error');
+    }
+
+    /**
+     * Ends the span and passes it to the exporter of the tracer.
+     * Calling the function again has no effect.
+     */
+    end() {
+        if (!this.isRecording()) return;
+        this.endTime = new Date();
+        if (this.status === 'unset') this.status = 'ok';
+        this.tracer._exportSpan(this); // eslint-disable-line no-underscore-dangle
+    }
+
+    /**
+     * @return {Object<string, *>}
+     */
+    toJSON() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            name: this.name,
+            startTime: this.startTime.toISOString(),
+            endTime: this.endTime ? this.endTime.toISOString() : null,
+            durationMillis: this.endTime ? this.endTime - this.startTime : null,
+            status: this.status,
+            attributes: this.attributes,
+            events: this.events.map((event) => ({ ...event, time: event.time.toISOString() })),
+        };
+    }
+}
+
+/**
+ * Span returned by a tracer without an exporter. It ignores all calls, so that tracing costs nothing when it's off.
+ * @ignore
+ */
+class NoopSpan extends Span {
+    isRecording() { // eslint-disable-line class-methods-use-this
+        return false;
+    }
+
+    setAttribute() {
+        return this;
+    }
+
+    setAttributes() {
+        return this;
+    }
+
+    setStatus() {
+        return this;
+    }
+
+    recordException() {
+        return this;
+    }
+
+    end() {} // eslint-disable-line class-methods-use-this
+}
+
+/**
+ * Creates the spans that trace the processing of requests by the crawlers. The tracer is passed to a crawler
+ * using the `tracer` option, for example:
+ *
+ * ```javascript
+ * const tracer = new Apify.Tracer({
+ *     exporter: new Apify.JsonLinesSpanExporter({ filePath: './traces.jsonl' }),
+ * });
+ * const crawler = new Apify.CheerioCrawler({ requestQueue, handlePageFunction, tracer });
+ * ```
+ *
+ * The crawler creates a `request` span for every request it processes, with the child spans `navigation`
+ * and `handler` for the navigation and the user function. The `dataset.pushData` and `requestQueue.addRequest`
+ * spans of the storage writes made by the user function are children of the request span as well.
+ * Tracing of storage writes requires Node.js 12.17 or newer.
+ *
+ * A tracer without an exporter does not record anything, which is the default of the crawlers.
+ * The tracer is pluggable, any object with the same interface can be used instead of it,
+ * e.g. to forward the spans to OpenTelemetry.
+ */
+export class Tracer {
+    /**
+     * @param {TracerOptions} [options]
+     */
+    constructor(options = {}) {
+        ow(options, ow.object.exactShape({
+            exporter: ow.optional.object.hasKeys('export'),
+        }));
+
+        const { exporter = null } = options;
+
+        this.exporter = exporter;
+        this.noopSpan = new NoopSpan(this, 'noop');
+    }
+
+    /**
+     * Starts a new span, which needs to be ended using {@link Span#end}.
+     *
+     * @param {string} name
+     * @param {SpanOptions} [options]
+     * @return {Span}
+     */
+    startSpan(name, options = {}) {
+        if (!this.exporter) return this.noopSpan;
+        return new Span(this, name, options);
+    }
+
+    /**
+     * Writes the ended spans kept in memory by the exporter. Crawlers call it at the end of their run.
+     * @return {Promise<void>}
+     */
+    async flush() {
+        if (this.exporter && this.exporter.flush) await this.exporter.flush();
+    }
+
+    /**
+     * @param {Span} span
+     * @ignore
+     * @protected
+     * @internal
+     */
+    _exportSpan(span) {
+        this.exporter.export(span);
+    }
+}
+
+/**
+ * Exports the spans created by a {@link Tracer} to a local file, one JSON object per line,
+ * for offline analysis. The spans are written in batches and when {@link Tracer#flush} is called.
+ */
+export class JsonLinesSpanExporter {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath Path of the file. The spans are appended to it if it already exists.
+     */
+    constructor(options) {
+        ow(options, ow.object.exactShape({
+            filePath: ow.string.nonEmpty,
+        }));
+
+        this.filePath = options.filePath;
+        this.log = log.child({ prefix: 'JsonLinesSpanExporter' });
+        this.lines = [];
+        this.writePromise = Promise.resolve();
+    }
+
+    /**
+     * @param {Span} span
+     */
+    export(span) {
+        this.lines.push(JSON.stringify(span));
+        if (this.lines.length >= FLUSH_EVERY_SPANS) this.flush();
+    }
+
+    /**
+     * Writes the spans kept in memory to the file. The returned promise is never rejected,
+     * the spans that could not be written are logged and dropped.
+     *
+     * @return {Promise<void>}
+     */
+    async flush() {
+        if (!this.lines.length) return this.writePromise;
+
+        const data = `${this.lines.join('\n')}\n`;
+        this.lines = [];
+        // Writes are chained to preserve the order of the spans in the file.
+        this.writePromise = this.writePromise
+            .then(async () => {
+                await fs.ensureDir(path.dirname(this.filePath));
+                await fs.appendFile(this.filePath, data);
+            })
+            .catch((err) => {
+                this.log.exception(err, 'Failed to write the spans to the file.', { filePath: this.filePath });
+            });
+        return this.writePromise;
+    }
+}
+
+/**
+ * Returns the span of the request that is being processed in the current async context.
+ * @return {Span|undefined}
+ * @ignore
+ */
+export function getActiveSpan() {
+    return activeSpanStorage ? activeSpanStorage.getStore() : undefined;
+}
+
+/**
+ * Runs the function with the span set as the active span of its async context.
+ *
+ * @param {Span} span
+ * @param {function(): Promise<*>} fn
+ * @return {Promise<*>}
+ * @ignore
+ */
+export function runWithActiveSpan(span, fn) {
+    if (!activeSpanStorage || !span.isRecording()) return fn();
+    return activeSpanStorage.run(span, fn);
+}
+
+/**
+ * Runs the function in a child span of the parent span, which defaults to the active span.
+ * Errors thrown by the function are recorded in the span. Without a recording parent span,
+ * the function is just called.
+ *
+ * @param {string} name
+ * @param {function(): Promise<*>} fn
+ * @param {SpanOptions} [options]
+ * @return {Promise<*>}
+ * @ignore
+ */
+export async function traceAsync(name, fn, options = {}) {
+    const { parent = getActiveSpan(), attributes } = options;
+    if (!parent || !parent.isRecording()) return fn();
+
+    const span = parent.tracer.startSpan(name, { parent, attributes });
+    try {
+        return await runWithActiveSpan(span, fn);
+    } catch (err) {
+        span.recordException(err);
+        throw err;
+    } finally {
+        span.end();
+    }
+}
+
+/**
+ * @typedef SpanOptions
+ * @property {Object<string, *>} [attributes]
+ * @property {Span} [parent] Parent span of the new span. Spans without a parent start a new trace.
+ */
+
+/**
+ * @typedef TracerOptions
+ * @property {SpanExporter} [exporter]
+ *   Receives the ended spans. When not provided, the tracer doesn't record anything.
+ */
+
+/**
+ * @typedef SpanExporter
+ * @property {function(Span): void} export Called with every span that ended.
+ * @property {function(): Promise<void>} [flush] Called by {@link Tracer#flush}.
+ */
@@ -24,6 +24,7 @@ import { Response as PuppeteerResponse } from 'puppeteer';
 import { version as apifyVersion } from '../package.json';
 import log from './utils_log';
 import * as requestUtils from './utils_request';
+import { TimeoutError } from './errors';
 import Request, { RequestOptions } from './request';
 import { ActorRun } from './typedefs';
 
@@ -329,7 +330,7 @@ export const getTypicalChromeExecutablePath = () => {
 };
 
 /**
- * Wraps the provided Promise with another one that rejects with the given errorMessage
+ * Wraps the provided Promise with another one that rejects with a `TimeoutError` with the given errorMessage
  * after the given timeoutMillis, unless the original promise resolves or rejects earlier.
  *
  * @param {Promise<*>} promise
@@ -343,7 +344,7 @@ export const addTimeoutToPromise = (promise, timeoutMillis, errorMessage) => {
         ow(promise, ow.promise);
         ow(timeoutMillis, ow.number);
         ow(errorMessage, ow.string);
-        const timeout = setTimeout(() => reject(new Error(errorMessage)), timeoutMillis);
+        const timeout = setTimeout(() => reject(new TimeoutError(errorMessage)), timeoutMillis);
         promise
             .then(resolve)
             .catch(reject)
@@ -4,6 +4,7 @@ import sinon from 'sinon';
 import { ENV_VARS, ACT_JOB_STATUSES } from '@apify/consts';
 import { ApifyCallError } from '../build/errors';
 import * as utils from '../build/utils';
+import { addShutdownHandler, removeShutdownHandler } from '../build/events';
 
 // NOTE: test use of require() here because this is how its done in acts
 const Apify = require('../build/index');
@@ -208,6 +209,28 @@ describe('Apify.main()', () => {
             });
     });
 
+    test('on SIGINT waits for shutdown handlers and exits with code 130', async () => {
+        let isHandlerFinished = false;
+        const handler = async () => {
+            await utils.sleep(20);
+            isHandlerFinished = true;
+        };
+        addShutdownHandler(handler);
+        try {
+            await testMain({
+                userFunc: () => {
+                    process.emit('SIGINT', 'SIGINT');
+                    return new Promise(() => {});
+                },
+                exitCode: 130,
+            });
+        } finally {
+            removeShutdownHandler(handler);
+        }
+        expect(isHandlerFinished).toBe(true);
+        expect(process.listenerCount('SIGINT')).toBe(0);
+    });
+
     test(
         'on exception in simple user function the process exits with code 91',
         () => {
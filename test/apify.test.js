@@ -644,7 +644,16 @@ describe('new Apify({ ... })', () => {
 
             await sdk.pushData({ foo: 'bar' });
             expect(pushDataSpy).toBeCalledTimes(1);
-            expect(pushDataSpy).toBeCalledWith({ foo: 'bar' });
+            expect(pushDataSpy).toBeCalledWith({ foo: 'bar' }, undefined);
+        });
+
+        test('pushData() should pass the options', async () => {
+            const pushDataSpy = jest.spyOn(Dataset.prototype, 'pushData');
+            pushDataSpy.mockImplementationOnce((i) => i);
+
+            await sdk.pushData({ foo: 'bar' }, { uniqueKey: 'foo' });
+            expect(pushDataSpy).toBeCalledTimes(1);
+            expect(pushDataSpy).toBeCalledWith({ foo: 'bar' }, { uniqueKey: 'foo' });
         });
 
         test('openRequestList should create RequestList', async () => {
@@ -192,6 +192,23 @@ describe('AutoscaledPool', () => {
             expect(pool.desiredConcurrency).toEqual(newConcurrency);
         });
 
+        test('emits concurrencyChanged event', () => {
+            const changes = [];
+            pool.on('concurrencyChanged', (change) => changes.push(change));
+
+            pool._autoscale(cb);
+            pool._autoscale(cb); // Doesn't change the concurrency, see above.
+            systemStatus.okLately = false;
+            pool._autoscale(cb);
+            pool.desiredConcurrency = 10;
+
+            expect(changes).toEqual([
+                { oldConcurrency: 1, newConcurrency: 2 },
+                { oldConcurrency: 2, newConcurrency: 1 },
+                { oldConcurrency: 1, newConcurrency: 10 },
+            ]);
+        });
+
         test('works at minConcurrency when currently overloaded', async () => {
             let limit = 5;
             let concurrencyLog = [];
@@ -1,13 +1,44 @@
 import _ from 'underscore';
 import sinon from 'sinon';
+import cheerio from 'cheerio';
 import { ACTOR_EVENT_NAMES } from '@apify/consts';
 import log from '../../build/utils_log';
 import * as Apify from '../../build';
 import * as keyValueStore from '../../build/storages/key_value_store';
-import { RequestQueue } from '../../build/storages/request_queue';
-import events from '../../build/events';
+import * as requestQueueModule from '../../build/storages/request_queue';
+import events, { gracefulShutdown } from '../../build/events';
+import Statistics from '../../build/crawlers/statistics';
 import LocalStorageDirEmulator from '../local_storage_dir_emulator';
 import * as utils from '../../build/utils';
+import { traceAsync } from '../../build/tracing';
+
+/**
+ * Creates a minimal in-memory request queue, because the local storage cannot be reopened between the tests.
+ */
+const createInMemoryRequestQueue = () => {
+    const pending = [];
+    const seen = new Set();
+    let handledCount = 0;
+    const addRequest = async (requestLike) => {
+        const request = requestLike instanceof Apify.Request ? requestLike : new Apify.Request(requestLike);
+        const wasAlreadyPresent = seen.has(request.uniqueKey);
+        if (!wasAlreadyPresent) {
+            seen.add(request.uniqueKey);
+            pending.push(request);
+        }
+        return { wasAlreadyPresent, wasAlreadyHandled: false, requestId: request.uniqueKey, uniqueKey: request.uniqueKey };
+    };
+    return {
+        addRequest,
+        addRequests: async (requests) => Promise.all(requests.map(addRequest)),
+        fetchNextRequest: async () => pending.shift() || null,
+        markRequestHandled: async () => { handledCount++; },
+        reclaimRequest: async (request) => { pending.push(request); },
+        isEmpty: async () => pending.length === 0,
+        isFinished: async () => pending.length === 0,
+        handledCount: async () => handledCount,
+    };
+};
 
 describe('BasicCrawler', () => {
     let logLevel;
@@ -103,6 +134,380 @@ describe('BasicCrawler', () => {
         await basicCrawler.autoscaledPool._destroy(); // eslint-disable-line no-underscore-dangle
     });
 
+    test('should pause and resume', async () => {
+        const sources = _.range(50).map((index) => ({ url: `https://example.com/${index + 1}` }));
+        const requestList = new Apify.RequestList({ sources });
+        await requestList.initialize();
+
+        const processed = [];
+        let pausePromise;
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxConcurrency: 5,
+            handleRequestFunction: async ({ request, crawler }) => {
+                if (request.url.endsWith('/10')) pausePromise = crawler.pause();
+                processed.push(request.url);
+            },
+        });
+        const persistStateSpy = jest.spyOn(basicCrawler.stats, 'persistState');
+
+        let finished = false;
+        const runPromise = basicCrawler.run().then(() => { finished = true; });
+        while (!pausePromise) await utils.sleep(10);
+        await pausePromise;
+
+        const processedWhenPaused = processed.length;
+        expect(processedWhenPaused).toBeLessThan(50);
+        expect(persistStateSpy).toBeCalled();
+        await utils.sleep(100);
+        expect(processed).toHaveLength(processedWhenPaused);
+        expect(finished).toBe(false);
+
+        basicCrawler.resume();
+        await runPromise;
+        expect(processed).toHaveLength(50);
+    });
+
+    test.each([true, false])('should stop with graceful: %s', async (graceful) => {
+        const sources = _.range(50).map((index) => ({ url: `https://example.com/${index + 1}` }));
+        const requestList = new Apify.RequestList({ sources });
+        await requestList.initialize();
+
+        const handled = [];
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxConcurrency: 5,
+            handleRequestFunction: async ({ request, crawler }) => {
+                if (request.url.endsWith('/10')) crawler.stop({ graceful });
+                await utils.sleep(50);
+                handled.push(request.url);
+            },
+        });
+        const persistStateSpy = jest.spyOn(basicCrawler.stats, 'persistState');
+
+        await basicCrawler.run();
+
+        expect(persistStateSpy).toBeCalled();
+        expect(await requestList.isFinished()).toBe(false);
+        if (graceful) {
+            expect(handled).toContain('https://example.com/10');
+            expect(requestList.handledCount()).toBe(handled.length);
+        } else {
+            expect(handled).not.toContain('https://example.com/10');
+        }
+        expect(handled.length).toBeLessThan(50);
+        await utils.sleep(100);
+    });
+
+    test('pause() and resume() should throw when the crawler is not running', async () => {
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList: new Apify.RequestList({ sources: [] }),
+            handleRequestFunction: async () => {},
+        });
+
+        await expect(basicCrawler.pause()).rejects.toThrow(/not running/);
+        expect(() => basicCrawler.resume()).toThrow(/not running/);
+        await basicCrawler.stop();
+    });
+
+    test('should emit lifecycle events', async () => {
+        const sources = [
+            { url: 'http://example.com/1' },
+            { url: 'http://example.com/2' },
+        ];
+        const requestList = new Apify.RequestList({ sources });
+        await requestList.initialize();
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 1,
+            handleRequestFunction: async ({ request, session }) => {
+                if (request.url.endsWith('/2')) {
+                    session.retire();
+                    throw new Error('Failed');
+                }
+            },
+            handleFailedRequestFunction: async () => {},
+        });
+
+        const emitted = [];
+        const record = (eventName) => basicCrawler.on(eventName, (arg) => {
+            emitted.push([eventName, arg.request ? arg.request.url : arg]);
+        });
+        ['requestStarted', 'requestSucceeded', 'requestRetried', 'requestFailed'].forEach(record);
+        const retiredSessions = [];
+        basicCrawler.on('sessionRetired', (session, crawlingContext) => retiredSessions.push([session, crawlingContext]));
+        let finalStats;
+        basicCrawler.on('finished', (stats) => { finalStats = stats; });
+        // Exceptions thrown by the listeners must not break the crawling.
+        basicCrawler.on('requestStarted', () => { throw new Error('Listener error'); });
+        basicCrawler.on('requestSucceeded', async () => { throw new Error('Async listener error'); });
+        const exceptionSpy = jest.spyOn(basicCrawler.log, 'exception');
+        const onUnhandledRejection = jest.fn();
+        process.on('unhandledRejection', onUnhandledRejection);
+        let onceCalls = 0;
+        basicCrawler.once('requestStarted', () => { onceCalls++; });
+
+        try {
+            await basicCrawler.run();
+            await new Promise((resolve) => setImmediate(resolve));
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandledRejection);
+        }
+
+        expect(onUnhandledRejection).not.toBeCalled();
+        expect(exceptionSpy.mock.calls.map(([err]) => err.message)).toEqual(expect.arrayContaining(['Listener error', 'Async listener error']));
+        expect(onceCalls).toBe(1);
+
+        expect(_.sortBy(emitted, ([, url]) => url)).toEqual([
+            ['requestStarted', 'http://example.com/1'],
+            ['requestSucceeded', 'http://example.com/1'],
+            ['requestStarted', 'http://example.com/2'],
+            ['requestRetried', 'http://example.com/2'],
+            ['requestStarted', 'http://example.com/2'],
+            ['requestFailed', 'http://example.com/2'],
+        ]);
+        expect(retiredSessions).toHaveLength(2);
+        retiredSessions.forEach(([session, crawlingContext]) => {
+            expect(crawlingContext.session).toBe(session);
+            expect(crawlingContext.request.url).toBe('http://example.com/2');
+        });
+        expect(finalStats).toMatchObject({ requestsFinished: 1, requestsFailed: 1 });
+        expect(finalStats.topErrors).toEqual([
+            expect.objectContaining({ name: 'Error', message: 'Failed', count: 2, retries: 1 }),
+        ]);
+    });
+
+    test('should trace requests with the tracer', async () => {
+        const sources = [{ url: 'http://example.com/1' }, { url: 'http://example.com/2' }];
+        const requestList = await Apify.openRequestList(null, sources);
+        const spans = [];
+        const tracer = new Apify.Tracer({ exporter: { export: (span) => spans.push(span) } });
+        const flushSpy = jest.spyOn(tracer, 'flush');
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            tracer,
+            maxRequestRetries: 0,
+            handleRequestFunction: async ({ request, span }) => {
+                span.setAttribute('custom', request.url);
+                // Spans started by user functions are children of the handler span.
+                await traceAsync('inner', async () => {});
+                if (request.url.endsWith('2')) throw new Error('Failed');
+            },
+            handleFailedRequestFunction: async () => {},
+        });
+        await basicCrawler.run();
+
+        expect(flushSpy).toBeCalledTimes(1);
+        const requestSpans = spans.filter(({ name }) => name === 'request');
+        expect(requestSpans).toHaveLength(2);
+        requestSpans.forEach((requestSpan) => {
+            expect(requestSpan.attributes).toMatchObject({ 'request.url': requestSpan.attributes.custom, 'request.retryCount': 0 });
+            expect(requestSpan.attributes['session.id']).toEqual(expect.any(String));
+            expect(requestSpan.parentSpanId).toBe(null);
+
+            const handlerSpan = spans.find(({ name, parentSpanId }) => name === 'handler' && parentSpanId === requestSpan.spanId);
+            const innerSpan = spans.find(({ name, parentSpanId }) => name === 'inner' && parentSpanId === handlerSpan.spanId);
+            expect(innerSpan.traceId).toBe(requestSpan.traceId);
+        });
+
+        const failedSpan = requestSpans.find(({ attributes }) => attributes['request.url'] === 'http://example.com/2');
+        expect(failedSpan.status).toBe('error');
+        expect(failedSpan.events[0].attributes['exception.message']).toBe('Failed');
+    });
+
+    test('should work with a tracer without flush()', async () => {
+        const requestList = await Apify.openRequestList(null, [{ url: 'http://example.com/1' }]);
+        const spanNames = [];
+        const tracer = {
+            startSpan: (name) => {
+                spanNames.push(name);
+                const span = {
+                    tracer,
+                    isRecording: () => true,
+                    setAttribute: () => span,
+                    setAttributes: () => span,
+                    setStatus: () => span,
+                    recordException: () => span,
+                    end: () => {},
+                };
+                return span;
+            },
+        };
+        const handleRequestFunction = jest.fn();
+
+        const basicCrawler = new Apify.BasicCrawler({ requestList, tracer, handleRequestFunction });
+        await basicCrawler.run();
+
+        expect(handleRequestFunction).toBeCalledTimes(1);
+        expect(spanNames).toEqual(['request', 'handler']);
+    });
+
+    test('should measure request timings', async () => {
+        const sources = [{ url: 'http://example.com/1' }, { url: 'http://example.com/2' }];
+        const requestList = await Apify.openRequestList(null, sources);
+        const contexts = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            saveRequestTimings: true,
+            maxRequestRetries: 0,
+            handleRequestFunction: async ({ request }) => {
+                await utils.sleep(20);
+                if (request.url.endsWith('2')) throw new Error('Failed');
+            },
+            handleFailedRequestFunction: async (crawlingContext) => {
+                contexts.push(crawlingContext);
+            },
+        });
+        basicCrawler.on('requestSucceeded', (crawlingContext) => contexts.push(crawlingContext));
+        await basicCrawler.run();
+
+        expect(contexts).toHaveLength(2);
+        contexts.forEach(({ request, timings }) => {
+            expect(timings.queueWaitMillis).toBeGreaterThanOrEqual(0);
+            expect(timings.handlerMillis).toBeGreaterThanOrEqual(15);
+            expect(request.timings).toEqual(timings);
+        });
+    });
+
+    test('should not save request timings by default', async () => {
+        const requestList = await Apify.openRequestList(null, [{ url: 'http://example.com/1' }]);
+        const requests = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            handleRequestFunction: async ({ request, timings }) => {
+                expect(timings.queueWaitMillis).toBeGreaterThanOrEqual(0);
+                requests.push(request);
+            },
+        });
+        await basicCrawler.run();
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0].timings).toBe(null);
+    });
+
+    test('should persist the state on shutdown and resume the crawl', async () => {
+        // The request list removes the sources once it's initialized.
+        const getUrls = () => _.range(10).map((index) => `http://example.com/${index}`);
+        const processed = [];
+        let shutdownPromise;
+
+        const crawler = new Apify.BasicCrawler({
+            requestList: await Apify.openRequestList('resumed-list', getUrls()),
+            maxConcurrency: 1,
+            handleRequestFunction: async ({ request }) => {
+                processed.push(request.url);
+                if (processed.length === 4) shutdownPromise = gracefulShutdown({ signal: 'SIGINT', timeoutMillis: 5000 });
+            },
+        });
+        const runPromise = crawler.run();
+        while (!shutdownPromise) await utils.sleep(10);
+        await shutdownPromise;
+        // In Apify.main(), the process exits here.
+        await crawler.autoscaledPool.abort();
+        await runPromise;
+
+        expect(processed).toHaveLength(4);
+        const store = await Apify.openKeyValueStore();
+        expect(await store.getValue(crawler.checkpointKey)).toMatchObject({ signal: 'SIGINT', handledRequestsCount: 4 });
+
+        // After a restart, the crawler gets the same statistics ID.
+        Statistics.id = crawler.stats.id;
+        const resumedCrawler = new Apify.BasicCrawler({
+            requestList: await Apify.openRequestList('resumed-list', getUrls()),
+            handleRequestFunction: async ({ request }) => {
+                processed.push(request.url);
+            },
+        });
+        const finishedSpy = jest.fn();
+        resumedCrawler.on('finished', finishedSpy);
+        await resumedCrawler.run();
+
+        expect(processed.sort()).toEqual(getUrls());
+        expect(resumedCrawler.handledRequestsCount).toBe(10);
+        expect(finishedSpy).toBeCalledWith(expect.objectContaining({ requestsFinished: 10 }));
+        expect(await store.getValue(crawler.checkpointKey)).toBe(null);
+    });
+
+    test('should run repeatedly and accept requests while running', async () => {
+        const requestQueue = createInMemoryRequestQueue();
+        const openRequestQueueSpy = jest.spyOn(requestQueueModule, 'openRequestQueue').mockResolvedValue(requestQueue);
+
+        const processed = [];
+        const basicCrawler = new Apify.BasicCrawler({
+            handleRequestFunction: async ({ request, crawler }) => {
+                processed.push(request.url);
+                if (request.url === 'https://example.com/1') await crawler.addRequests(['https://example.com/2']);
+            },
+        });
+
+        try {
+            await basicCrawler.run(['https://example.com/1']);
+            expect(processed).toEqual(['https://example.com/1', 'https://example.com/2']);
+            expect(openRequestQueueSpy).toBeCalledTimes(1);
+
+            const firstSessionPool = basicCrawler.sessionPool;
+            await basicCrawler.run([{ url: 'https://example.com/3' }]);
+            expect(processed).toEqual(['https://example.com/1', 'https://example.com/2', 'https://example.com/3']);
+            expect(basicCrawler.sessionPool).not.toBe(firstSessionPool);
+            expect(openRequestQueueSpy).toBeCalledTimes(1);
+            expect(await requestQueue.handledCount()).toBe(3);
+        } finally {
+            openRequestQueueSpy.mockRestore();
+        }
+    });
+
+    test('should start a single run when run() is called concurrently', async () => {
+        const requestQueue = createInMemoryRequestQueue();
+        const processed = [];
+        const basicCrawler = new Apify.BasicCrawler({
+            requestQueue,
+            handleRequestFunction: async ({ request }) => {
+                processed.push(request.url);
+            },
+        });
+        const initSpy = jest.spyOn(basicCrawler, '_init');
+
+        await Promise.all([
+            basicCrawler.run(['https://example.com/1']),
+            basicCrawler.run(['https://example.com/2']),
+        ]);
+
+        expect(initSpy).toBeCalledTimes(1);
+        expect(processed.sort()).toEqual(['https://example.com/1', 'https://example.com/2']);
+    });
+
+    test('should process requests added during a run of a crawler with only a request list in the next run', async () => {
+        const requestQueue = createInMemoryRequestQueue();
+        const openRequestQueueSpy = jest.spyOn(requestQueueModule, 'openRequestQueue').mockResolvedValue(requestQueue);
+        const requestList = await Apify.openRequestList(null, ['https://example.com/1']);
+
+        const processed = [];
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            handleRequestFunction: async ({ request, crawler }) => {
+                processed.push(request.url);
+                if (request.url === 'https://example.com/1') await crawler.addRequests(['https://example.com/2']);
+            },
+        });
+
+        try {
+            await basicCrawler.run();
+            expect(processed).toEqual(['https://example.com/1']);
+            expect(basicCrawler.requestQueue).toBeUndefined();
+            expect(await requestList.isFinished()).toBe(true);
+
+            await basicCrawler.run();
+            expect(processed).toEqual(['https://example.com/1', 'https://example.com/2']);
+            expect(basicCrawler.requestQueue).toBe(requestQueue);
+        } finally {
+            openRequestQueueSpy.mockRestore();
+        }
+    });
+
     test('should retry failed requests', async () => {
         const sources = [
             { url: 'http://example.com/1' },
@@ -245,12 +650,13 @@ describe('BasicCrawler', () => {
         errors.forEach((error) => expect(error).toBeInstanceOf(Error));
     });
 
-    test('should require at least one of RequestQueue and RequestList', () => {
+    test('should accept any combination of RequestQueue and RequestList', () => {
         const requestList = new Apify.RequestList({ sources: [] });
-        const requestQueue = new RequestQueue({ id: 'xxx', client: utils.apifyClient });
+        const requestQueue = new requestQueueModule.RequestQueue({ id: 'xxx', client: utils.apifyClient });
         const handleRequestFunction = () => {};
 
-        expect(() => new Apify.BasicCrawler({ handleRequestFunction })).toThrowError();
+        // Without any of them, the default request queue is opened when the crawler starts.
+        expect(() => new Apify.BasicCrawler({ handleRequestFunction })).not.toThrowError();
         expect(() => new Apify.BasicCrawler({ handleRequestFunction, requestList })).not.toThrowError();
         expect(() => new Apify.BasicCrawler({ handleRequestFunction, requestQueue })).not.toThrowError();
         expect(() => new Apify.BasicCrawler({ handleRequestFunction, requestQueue, requestList })).not.toThrowError();
@@ -264,7 +670,7 @@ describe('BasicCrawler', () => {
         ];
         const processed = {};
         const requestList = new Apify.RequestList({ sources });
-        const requestQueue = new RequestQueue({ id: 'xxx', client: utils.apifyClient });
+        const requestQueue = new requestQueueModule.RequestQueue({ id: 'xxx', client: utils.apifyClient });
 
         const handleRequestFunction = async ({ request }) => {
             await utils.sleep(10);
@@ -385,7 +791,7 @@ describe('BasicCrawler', () => {
     test(
         'should say that task is not ready requestList is not set and requestQueue is empty',
         async () => {
-            const requestQueue = new RequestQueue({ id: 'xxx', client: utils.apifyClient });
+            const requestQueue = new requestQueueModule.RequestQueue({ id: 'xxx', client: utils.apifyClient });
             requestQueue.isEmpty = () => Promise.resolve(true);
 
             const crawler = new Apify.BasicCrawler({
@@ -400,7 +806,7 @@ describe('BasicCrawler', () => {
     test(
         'should be possible to override isFinishedFunction of underlying AutoscaledPool',
         async () => {
-            const requestQueue = new RequestQueue({ id: 'xxx', client: utils.apifyClient });
+            const requestQueue = new requestQueueModule.RequestQueue({ id: 'xxx', client: utils.apifyClient });
             const processed = [];
             const queue = [];
             let isFinished = false;
@@ -500,7 +906,7 @@ describe('BasicCrawler', () => {
     });
 
     test('should load handledRequestCount from storages', async () => {
-        const requestQueue = new RequestQueue({ id: 'id', client: utils.apifyClient });
+        const requestQueue = new requestQueueModule.RequestQueue({ id: 'id', client: utils.apifyClient });
         requestQueue.isEmpty = async () => false;
         requestQueue.isFinished = async () => false;
         requestQueue.fetchNextRequest = async () => (new Apify.Request({ id: 'id', url: 'http://example.com' }));
@@ -603,6 +1009,38 @@ describe('BasicCrawler', () => {
         results[0].errorMessages.forEach((msg) => expect(msg).toMatch('handleRequestFunction timed out'));
     });
 
+    test('should drop requests exceeding maxCrawlDepth', async () => {
+        const requestQueue = createInMemoryRequestQueue();
+        await requestQueue.addRequest({ url: 'https://example.com/0' });
+        await requestQueue.addRequest({ url: 'https://example.com/deep', crawlDepth: 5 });
+
+        const handled = {};
+        const crawler = new Apify.BasicCrawler({
+            requestQueue,
+            maxCrawlDepth: 2,
+            handleRequestFunction: async ({ request, enqueueLinks }) => {
+                handled[request.url] = request.crawlDepth;
+                if (request.url.endsWith('/deep')) return;
+
+                const next = Number(new URL(request.url).pathname.slice(1)) + 1;
+                const $ = cheerio.load(`<a href="/${next}">Next</a><a href="/${next}?copy=1">Copy</a>`);
+                await enqueueLinks({ $, baseUrl: request.url });
+            },
+        });
+        await crawler.run();
+
+        expect(handled).toEqual({
+            'https://example.com/0': 0,
+            'https://example.com/1': 1,
+            'https://example.com/1?copy=1': 1,
+            'https://example.com/2': 2,
+            'https://example.com/2?copy=1': 2,
+        });
+        // Two links from each of the pages with the maximum depth and the deep request.
+        expect(crawler.stats.state.requestsDroppedByCrawlDepth).toBe(5);
+        expect(await requestQueue.handledCount()).toBe(6);
+    });
+
     describe('Uses SessionPool', () => {
         it('should use SessionPool when useSessionPool is true ', async () => {
             const url = 'https://example.com';
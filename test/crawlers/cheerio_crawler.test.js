@@ -252,6 +252,125 @@ describe('CheerioCrawler', () => {
         await cheerioCrawler.run();
     });
 
+    test('should dispatch pages using router', async () => {
+        const titles = {};
+        const router = new Apify.Router();
+        router.addHandler('FIRST', async ({ $, request }) => {
+            titles[request.url] = `first: ${$('title').text()}`;
+        });
+        router.addDefaultHandler(async ({ $, request }) => {
+            titles[request.url] = `default: ${$('title').text()}`;
+        });
+
+        const requestList = await Apify.openRequestList(null, [
+            { url: `http://${HOST}:${port}/mirror?a=1`, userData: { label: 'FIRST' } },
+            { url: `http://${HOST}:${port}/mirror?a=2` },
+        ]);
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            router,
+            maxRequestRetries: 0,
+        });
+        await cheerioCrawler.run();
+
+        expect(titles).toEqual({
+            [`http://${HOST}:${port}/mirror?a=1`]: 'first: Title',
+            [`http://${HOST}:${port}/mirror?a=2`]: 'default: Title',
+        });
+    });
+
+    test('should save error snapshots', async () => {
+        const requestList = await getRequestListForMirror(port);
+        const failed = [];
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            saveErrorSnapshots: true,
+            handlePageFunction: async ({ request }) => {
+                if (request.url.endsWith('a=12') || request.url.endsWith('a=23')) throw new Error('Failed');
+            },
+            handleFailedRequestFunction: ({ request }) => failed.push(request),
+        });
+        await cheerioCrawler.run();
+
+        expect(failed).toHaveLength(2);
+        const { errorMessages } = failed[0];
+        expect(errorMessages).toHaveLength(2);
+        const [, key] = errorMessages[1].match(/under the (ERROR_SNAPSHOT_\w+\.html) key/);
+
+        const store = await Apify.openKeyValueStore();
+        expect(await store.getValue(key)).toMatch('<title>Title</title>');
+        expect(cheerioCrawler.errorSnapshotStore).toBe(store);
+    });
+
+    test('should report requestTimeoutSecs in the request timeout error', () => {
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList: new Apify.RequestList({ sources: [] }),
+            requestTimeoutSecs: 5,
+            handlePageTimeoutSecs: 10,
+            handlePageFunction: async () => {},
+        });
+
+        expect(() => cheerioCrawler._handleRequestTimeout()).toThrow('request timed out after 5 seconds.');
+    });
+
+    test('should collect response statistics', async () => {
+        const requestList = await getRequestListForMirror(port);
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            handlePageFunction: async ({ request }) => {
+                if (request.url.endsWith('a=12')) throw new Error('Failed');
+            },
+            handleFailedRequestFunction: async () => {},
+        });
+        await cheerioCrawler.run();
+
+        const state = cheerioCrawler.stats.toJSON();
+        expect(state.responseStatusCodes).toEqual({ 200: 4 });
+        expect(state.requestsPerHostname).toEqual({ [HOST]: { finished: 3, failed: 1 } });
+        expect(state.responsesReceived).toBe(4);
+        expect(state.bytesDownloaded).toBeGreaterThan(0);
+        expect(typeof state.responseAvgLatencyMillis).toBe('number');
+
+        const persisted = await (await Apify.openKeyValueStore()).getValue(cheerioCrawler.stats.persistStateKey);
+        expect(persisted).toMatchObject({
+            responseStatusCodes: state.responseStatusCodes,
+            requestsPerHostname: state.requestsPerHostname,
+            bytesDownloaded: state.bytesDownloaded,
+        });
+    });
+
+    test('should measure request timings', async () => {
+        const requestList = await getRequestListForMirror(port);
+        const timingsList = [];
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            handlePageFunction: async () => {},
+        });
+        cheerioCrawler.on('requestSucceeded', ({ timings }) => timingsList.push(timings));
+        await cheerioCrawler.run();
+
+        expect(timingsList).toHaveLength(4);
+        timingsList.forEach((timings) => {
+            expect(timings).toMatchObject({
+                queueWaitMillis: expect.any(Number),
+                dnsMillis: expect.any(Number),
+                connectMillis: expect.any(Number),
+                ttfbMillis: expect.any(Number),
+                downloadMillis: expect.any(Number),
+                parseMillis: expect.any(Number),
+                handlerMillis: expect.any(Number),
+            });
+            // The mirror server uses plain HTTP.
+            expect(timings.tlsMillis).toBeUndefined();
+        });
+    });
+
     describe('should timeout', () => {
         let ll;
         beforeAll(() => {
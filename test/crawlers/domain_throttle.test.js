@@ -0,0 +1,155 @@
+import sinon from 'sinon';
+import log from '../../build/utils_log';
+import * as Apify from '../../build';
+import DomainThrottle from '../../build/crawlers/domain_throttle';
+import LocalStorageDirEmulator from '../local_storage_dir_emulator';
+
+describe('DomainThrottle', () => {
+    let logLevel;
+    let localStorageEmulator;
+
+    beforeAll(async () => {
+        logLevel = log.getLevel();
+        log.setLevel(log.LEVELS.OFF);
+        localStorageEmulator = new LocalStorageDirEmulator();
+    });
+
+    beforeEach(async () => {
+        const storageDir = await localStorageEmulator.init();
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterAll(async () => {
+        await localStorageEmulator.destroy();
+        log.setLevel(logLevel);
+    });
+
+    test('should limit concurrency per hostname', () => {
+        const throttle = new DomainThrottle({ maxConcurrencyPerDomain: 2 });
+
+        throttle.startRequest('https://example.com/1');
+        expect(throttle.isSaturated('https://example.com/2')).toBe(false);
+        throttle.startRequest('https://example.com/2');
+        expect(throttle.isSaturated('https://example.com/3')).toBe(true);
+        expect(throttle.isSaturated('https://www.example.com/3')).toBe(false);
+
+        throttle.finishRequest('https://example.com/1');
+        expect(throttle.isSaturated('https://example.com/3')).toBe(false);
+
+        throttle.finishRequest('https://example.com/2');
+        expect(throttle.domains.size).toBe(0);
+    });
+
+    test('should keep delay between requests per hostname', () => {
+        const clock = sinon.useFakeTimers(Date.now());
+        try {
+            const throttle = new DomainThrottle({ minDelayBetweenRequestsSecs: 1 });
+
+            throttle.startRequest('https://example.com/1');
+            throttle.finishRequest('https://example.com/1');
+            expect(throttle.isSaturated('https://example.com/2')).toBe(true);
+            expect(throttle.isSaturated('https://other.com/2')).toBe(false);
+
+            clock.tick(1000);
+            expect(throttle.isSaturated('https://example.com/2')).toBe(false);
+            expect(throttle.domains.size).toBe(0);
+        } finally {
+            clock.restore();
+        }
+    });
+
+    test('should apply overrides by domain pattern', () => {
+        const throttle = new DomainThrottle({
+            maxConcurrencyPerDomain: 1,
+            minDelayBetweenRequestsSecs: 5,
+            overrides: [
+                { domain: 'www.example.com', maxConcurrency: 3 },
+                { domain: '*.example.org', minDelayBetweenRequestsSecs: 0 },
+                { domain: /\.gov$/, maxConcurrency: 10, minDelayBetweenRequestsSecs: 1 },
+            ],
+        });
+        const getLimits = (hostname) => {
+            throttle.startRequest(`https://${hostname}/`);
+            const { limits } = throttle.domains.get(hostname);
+            throttle.finishRequest(`https://${hostname}/`);
+            return limits;
+        };
+
+        expect(getLimits('www.example.com')).toEqual({ maxConcurrency: 3, minDelayMillis: 5000 });
+        expect(getLimits('example.com')).toEqual({ maxConcurrency: 1, minDelayMillis: 5000 });
+        expect(getLimits('example.org')).toEqual({ maxConcurrency: 1, minDelayMillis: 0 });
+        expect(getLimits('shop.example.org')).toEqual({ maxConcurrency: 1, minDelayMillis: 0 });
+        expect(getLimits('notexample.org')).toEqual({ maxConcurrency: 1, minDelayMillis: 5000 });
+        expect(getLimits('data.gov')).toEqual({ maxConcurrency: 10, minDelayMillis: 1000 });
+
+        const globalThrottle = new DomainThrottle({ overrides: [{ domain: /\.gov$/gi, maxConcurrency: 10 }] });
+        ['data.gov', 'data.gov', 'x.GOV'].forEach((hostname) => {
+            expect(globalThrottle._getLimits(hostname).maxConcurrency).toBe(10); // eslint-disable-line no-underscore-dangle
+        });
+
+        expect(() => new DomainThrottle({ overrides: [{ maxConcurrency: 1 }] })).toThrow();
+        expect(() => new DomainThrottle({ maxConcurrencyPerDomain: 0 })).toThrow();
+    });
+
+    describe('with BasicCrawler', () => {
+        test('should not exceed concurrency per hostname', async () => {
+            const running = {};
+            const maxRunning = {};
+            const sources = [];
+            for (let i = 0; i < 10; i++) {
+                sources.push(`https://example.com/${i}`);
+                sources.push(`https://other.com/${i}`);
+            }
+            const requestList = await Apify.openRequestList(null, sources);
+
+            const crawler = new Apify.BasicCrawler({
+                requestList,
+                minConcurrency: 10,
+                maxConcurrency: 10,
+                domainThrottleOptions: {
+                    maxConcurrencyPerDomain: 2,
+                    overrides: [{ domain: 'other.com', maxConcurrency: 4 }],
+                },
+                autoscaledPoolOptions: { maybeRunIntervalSecs: 0.05 },
+                handleRequestFunction: async ({ request }) => {
+                    const { hostname } = new URL(request.url);
+                    running[hostname] = (running[hostname] || 0) + 1;
+                    maxRunning[hostname] = Math.max(maxRunning[hostname] || 0, running[hostname]);
+                    await new Promise((resolve) => setTimeout(resolve, 50));
+                    running[hostname]--;
+                },
+            });
+            await crawler.run();
+
+            expect(maxRunning).toEqual({ 'example.com': 2, 'other.com': 4 });
+            expect(crawler.handledRequestsCount).toBe(20);
+            expect(crawler.delayedRequests.size).toBe(0);
+            expect(await requestList.isFinished()).toBe(true);
+        });
+
+        test('should keep delay between requests to the same hostname', async () => {
+            const startedAt = [];
+            const requestList = await Apify.openRequestList(null, [
+                'https://example.com/1',
+                'https://example.com/2',
+                'https://example.com/3',
+            ]);
+
+            const crawler = new Apify.BasicCrawler({
+                requestList,
+                minConcurrency: 3,
+                maxConcurrency: 3,
+                domainThrottleOptions: { minDelayBetweenRequestsSecs: 0.2 },
+                autoscaledPoolOptions: { maybeRunIntervalSecs: 0.05 },
+                handleRequestFunction: async () => {
+                    startedAt.push(Date.now());
+                },
+            });
+            await crawler.run();
+
+            expect(startedAt).toHaveLength(3);
+            expect(startedAt[1] - startedAt[0]).toBeGreaterThanOrEqual(200);
+            expect(startedAt[2] - startedAt[1]).toBeGreaterThanOrEqual(200);
+        });
+    });
+});
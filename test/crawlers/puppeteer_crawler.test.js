@@ -72,6 +72,31 @@ describe('PuppeteerCrawler', () => {
         });
     });
 
+    test('should save error snapshots', async () => {
+        const failed = [];
+        const pages = [];
+        const puppeteerCrawler = new Apify.PuppeteerCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            saveErrorSnapshots: true,
+            handlePageFunction: async ({ page }) => {
+                pages.push(page);
+                throw new Error('Failed');
+            },
+            handleFailedRequestFunction: ({ request }) => failed.push(request),
+        });
+        await puppeteerCrawler.run();
+
+        expect(failed).toHaveLength(1);
+        expect(pages[0].isClosed()).toBe(true);
+        const [, key] = failed[0].errorMessages[0].match(/under the (ERROR_SNAPSHOT_\w+)\.html/);
+        expect(failed[0].errorMessages[1]).toMatch('Failed');
+
+        const store = await Apify.openKeyValueStore();
+        expect(await store.getValue(`${key}.html`)).toMatch('Example Domain');
+        expect(await store.getValue(`${key}.jpg`)).toBeInstanceOf(Buffer);
+    });
+
     test('should override goto timeout with gotoTimeoutSecs ', async () => {
         const timeoutSecs = 10;
         let options;
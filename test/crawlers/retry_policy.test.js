@@ -0,0 +1,195 @@
+import sinon from 'sinon';
+import log from '../../build/utils_log';
+import * as Apify from '../../build';
+import RetryPolicy, { ERROR_TYPES } from '../../build/crawlers/retry_policy';
+import { BlockedRequestError, TimeoutError } from '../../build/errors';
+import { handleRequestTimeout } from '../../build/crawlers/crawler_utils';
+import { INTERNAL_USER_DATA_KEY } from '../../build/request';
+import LocalStorageDirEmulator from '../local_storage_dir_emulator';
+
+describe('RetryPolicy', () => {
+    let logLevel;
+    let localStorageEmulator;
+
+    beforeAll(async () => {
+        logLevel = log.getLevel();
+        log.setLevel(log.LEVELS.OFF);
+        localStorageEmulator = new LocalStorageDirEmulator();
+    });
+
+    beforeEach(async () => {
+        const storageDir = await localStorageEmulator.init();
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterAll(async () => {
+        await localStorageEmulator.destroy();
+        log.setLevel(logLevel);
+    });
+
+    test('should classify errors', () => {
+        const policy = new RetryPolicy();
+        const gotTimeoutError = new Error('Timeout awaiting \'request\' for 30000ms');
+        gotTimeoutError.name = 'TimeoutError';
+
+        expect(policy.classifyError(new TimeoutError('timed out'))).toBe(ERROR_TYPES.TIMEOUT);
+        expect(policy.classifyError(gotTimeoutError)).toBe(ERROR_TYPES.TIMEOUT);
+        expect(policy.classifyError(new BlockedRequestError('blocked'))).toBe(ERROR_TYPES.BLOCKED);
+        expect(policy.classifyError(new SyntaxError('Unexpected token'))).toBe(ERROR_TYPES.PARSE);
+        expect(policy.classifyError(new Apify.NonRetryableError('gone'))).toBe(ERROR_TYPES.NON_RETRYABLE);
+        expect(policy.classifyError(new Error('other'))).toBe(ERROR_TYPES.OTHER);
+        expect(policy.classifyError('not an error')).toBe(ERROR_TYPES.OTHER);
+    });
+
+    test('should prefer user provided classifyError', () => {
+        const policy = new RetryPolicy({
+            classifyError: (error) => (error.message === 'captcha' ? ERROR_TYPES.BLOCKED : undefined),
+        });
+
+        expect(policy.classifyError(new Error('captcha'))).toBe(ERROR_TYPES.BLOCKED);
+        expect(policy.classifyError(new SyntaxError('Unexpected token'))).toBe(ERROR_TYPES.PARSE);
+    });
+
+    test('should return max retries per error type', () => {
+        const policy = new RetryPolicy({ maxRetriesPerErrorType: { timeout: 5, [ERROR_TYPES.NON_RETRYABLE]: 10 } });
+
+        expect(policy.getMaxRetries(ERROR_TYPES.TIMEOUT, 3)).toBe(5);
+        expect(policy.getMaxRetries(ERROR_TYPES.BLOCKED, 3)).toBe(3);
+        expect(policy.getMaxRetries(ERROR_TYPES.NON_RETRYABLE, 3)).toBe(0);
+        expect(() => new RetryPolicy({ maxRetriesPerErrorType: { timeout: -1 } })).toThrow();
+        expect(() => new RetryPolicy({ foo: 'bar' })).toThrow();
+    });
+
+    test('should compute exponential backoff with jitter', () => {
+        const stub = sinon.stub(Math, 'random');
+        try {
+            const policy = new RetryPolicy({ backoffBaseSecs: 1, backoffMaxSecs: 10 });
+
+            stub.returns(0);
+            expect(policy.getBackoffMillis(1)).toBe(500);
+            expect(policy.getBackoffMillis(2)).toBe(1000);
+            expect(policy.getBackoffMillis(3)).toBe(2000);
+            expect(policy.getBackoffMillis(10)).toBe(5000);
+
+            stub.returns(1);
+            expect(policy.getBackoffMillis(1)).toBe(1000);
+            expect(policy.getBackoffMillis(3)).toBe(4000);
+            expect(policy.getBackoffMillis(10)).toBe(10000);
+
+            expect(new RetryPolicy().getBackoffMillis(1)).toBe(0);
+        } finally {
+            stub.restore();
+        }
+    });
+
+    test('Request.retryAt should be stored in userData', () => {
+        const retryAt = new Date('2021-07-20T10:00:00.000Z');
+        const request = new Apify.Request({ url: 'https://example.com', userData: { foo: 'bar' } });
+        expect(request.retryAt).toBe(null);
+
+        const copy = new Apify.Request({ ...request });
+        request.retryAt = retryAt;
+        expect(request.retryAt).toEqual(retryAt);
+        expect(request.userData).toEqual({ foo: 'bar', [INTERNAL_USER_DATA_KEY]: { retryAt: retryAt.toISOString() } });
+        expect(copy.retryAt).toBe(null);
+
+        const deserialized = new Apify.Request(JSON.parse(JSON.stringify(request)));
+        expect(deserialized.retryAt).toEqual(retryAt);
+    });
+
+    test('handleRequestTimeout should not replace the timeouts of the SDK', () => {
+        const session = { markBad: jest.fn() };
+        expect(() => handleRequestTimeout(session, 'Navigation timeout of 30000 ms exceeded'))
+            .toThrow('Navigation timed out after 30 seconds.');
+        expect(() => handleRequestTimeout(session, 'handlePageFunction timed out after 60 seconds.')).not.toThrow();
+        expect(session.markBad).toHaveBeenCalledTimes(2);
+    });
+
+    describe('with BasicCrawler', () => {
+        test('should limit retries per error type', async () => {
+            const failed = {};
+            const requestList = await Apify.openRequestList(null, [
+                'https://example.com/timeout',
+                'https://example.com/blocked',
+                'https://example.com/parse',
+                'https://example.com/non-retryable',
+                'https://example.com/other',
+            ]);
+
+            const crawler = new Apify.BasicCrawler({
+                requestList,
+                maxRequestRetries: 3,
+                retryPolicyOptions: {
+                    maxRetriesPerErrorType: { timeout: 1, blocked: 2, parse: 0 },
+                },
+                handleRequestFunction: async ({ request }) => {
+                    switch (request.url) {
+                        case 'https://example.com/timeout': throw new TimeoutError('timed out');
+                        case 'https://example.com/blocked': throw new BlockedRequestError('blocked');
+                        case 'https://example.com/parse': return JSON.parse('{');
+                        case 'https://example.com/non-retryable': throw new Apify.NonRetryableError('gone');
+                        default: throw new Error('other');
+                    }
+                },
+                handleFailedRequestFunction: async ({ request }) => {
+                    failed[request.url] = request.retryCount;
+                },
+            });
+            await crawler.run();
+
+            expect(failed).toEqual({
+                'https://example.com/timeout': 1,
+                'https://example.com/blocked': 2,
+                'https://example.com/parse': 0,
+                'https://example.com/non-retryable': 0,
+                'https://example.com/other': 3,
+            });
+        });
+
+        test('should classify handler timeouts as timeouts', async () => {
+            let retryCount;
+            const requestList = await Apify.openRequestList(null, ['https://example.com']);
+
+            const crawler = new Apify.BasicCrawler({
+                requestList,
+                handleRequestTimeoutSecs: 0.1,
+                retryPolicyOptions: { maxRetriesPerErrorType: { timeout: 1 } },
+                handleRequestFunction: () => new Promise((resolve) => setTimeout(resolve, 500)),
+                handleFailedRequestFunction: async ({ request }) => {
+                    ({ retryCount } = request);
+                },
+            });
+            await crawler.run();
+
+            expect(retryCount).toBe(1);
+        });
+
+        test('should delay retries with exponential backoff', async () => {
+            const attempts = [];
+            const requestList = await Apify.openRequestList(null, ['https://example.com/1', 'https://example.com/2']);
+
+            const crawler = new Apify.BasicCrawler({
+                requestList,
+                maxRequestRetries: 2,
+                retryPolicyOptions: { backoffBaseSecs: 0.4 },
+                autoscaledPoolOptions: { maybeRunIntervalSecs: 0.05 },
+                handleRequestFunction: async ({ request }) => {
+                    attempts.push({ url: request.url, retryCount: request.retryCount, time: Date.now() });
+                    if (request.url === 'https://example.com/1') throw new Error('failure');
+                },
+                handleFailedRequestFunction: async ({ request }) => {
+                    expect(request.retryAt).toBeInstanceOf(Date);
+                },
+            });
+            await crawler.run();
+
+            const retries = attempts.filter(({ url }) => url === 'https://example.com/1');
+            expect(retries.map(({ retryCount }) => retryCount)).toEqual([0, 1, 2]);
+            // The first retry waits between 200 and 400 ms, the second one between 400 and 800 ms.
+            expect(retries[1].time - retries[0].time).toBeGreaterThanOrEqual(200);
+            expect(retries[2].time - retries[1].time).toBeGreaterThanOrEqual(400);
+            expect(attempts.filter(({ url }) => url === 'https://example.com/2')).toHaveLength(1);
+            expect(crawler.delayedRequests.size).toBe(0);
+        });
+    });
+});
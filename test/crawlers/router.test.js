@@ -0,0 +1,184 @@
+import log from '../../build/utils_log';
+import * as Apify from '../../build';
+import Router from '../../build/crawlers/router';
+import LocalStorageDirEmulator from '../local_storage_dir_emulator';
+
+describe('Router', () => {
+    let logLevel;
+    let localStorageEmulator;
+
+    beforeAll(async () => {
+        logLevel = log.getLevel();
+        log.setLevel(log.LEVELS.OFF);
+        localStorageEmulator = new LocalStorageDirEmulator();
+    });
+
+    beforeEach(async () => {
+        const storageDir = await localStorageEmulator.init();
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterAll(async () => {
+        await localStorageEmulator.destroy();
+        log.setLevel(logLevel);
+    });
+
+    test('should be exported', () => {
+        expect(Apify.Router).toBe(Router);
+    });
+
+    describe('getRoute()', () => {
+        test('should return route by label and fall back to default route', () => {
+            const detail = async () => {};
+            const fallback = async () => {};
+            const router = new Apify.Router()
+                .addHandler('DETAIL', detail, { maxRequestRetries: 1, handlerTimeoutSecs: 5 })
+                .addDefaultHandler(fallback);
+
+            expect(router.getRoute('DETAIL')).toMatchObject({
+                label: 'DETAIL',
+                handler: detail,
+                middlewares: [],
+                maxRequestRetries: 1,
+                handlerTimeoutMillis: 5000,
+            });
+            expect(router.getRoute('UNKNOWN').handler).toBe(fallback);
+            expect(router.getRoute().handler).toBe(fallback);
+            expect(router.getRoute().label).toBe(null);
+        });
+
+        test('should return null without default route', () => {
+            const router = new Apify.Router().addHandler('DETAIL', async () => {});
+            expect(router.getRoute('UNKNOWN')).toBe(null);
+            expect(router.getRoute()).toBe(null);
+        });
+    });
+
+    test('should not allow registering a label twice', () => {
+        const router = new Apify.Router()
+            .addHandler('DETAIL', async () => {})
+            .addDefaultHandler(async () => {});
+
+        expect(() => router.addHandler('DETAIL', async () => {})).toThrow('Route with label "DETAIL" is already registered.');
+        expect(() => router.addDefaultHandler(async () => {})).toThrow('Default route is already registered.');
+        expect(() => router.addHandler('OTHER', async () => {}, { foo: 'bar' })).toThrow();
+    });
+
+    test('handle() should run global and route middlewares before the handler', async () => {
+        const calls = [];
+        const router = new Apify.Router();
+        router.use(async () => { calls.push('global'); });
+        router.addHandler('DETAIL', async () => { calls.push('handler'); }, {
+            middlewares: [async () => { calls.push('route'); }],
+        });
+
+        const request = new Apify.Request({ url: 'https://example.com', userData: { label: 'DETAIL' } });
+        await router.handle({ request });
+        expect(calls).toEqual(['global', 'route', 'handler']);
+
+        await expect(router.handle({ request: new Apify.Request({ url: 'https://example.com/other' }) }))
+            .rejects.toThrow('No route found for label "undefined" and no default route is registered.');
+    });
+
+    describe('with BasicCrawler', () => {
+        test('should dispatch requests by label', async () => {
+            const handled = {};
+            const router = new Apify.Router();
+            router.addHandler('LIST', async ({ request, crawler }) => {
+                handled[request.url] = 'LIST';
+                expect(crawler).toBeInstanceOf(Apify.BasicCrawler);
+            });
+            router.addHandler('DETAIL', async ({ request, route }) => {
+                handled[request.url] = route.label;
+            });
+            router.addDefaultHandler(async ({ request }) => {
+                handled[request.url] = 'DEFAULT';
+            });
+
+            const requestList = await Apify.openRequestList(null, [
+                { url: 'https://example.com/1', userData: { label: 'LIST' } },
+                { url: 'https://example.com/2', userData: { label: 'DETAIL' } },
+                { url: 'https://example.com/3', userData: { label: 'OTHER' } },
+                { url: 'https://example.com/4' },
+            ]);
+
+            const crawler = new Apify.BasicCrawler({ requestList, router });
+            await crawler.run();
+
+            expect(handled).toEqual({
+                'https://example.com/1': 'LIST',
+                'https://example.com/2': 'DETAIL',
+                'https://example.com/3': 'DEFAULT',
+                'https://example.com/4': 'DEFAULT',
+            });
+        });
+
+        test('should respect route maxRequestRetries and not retry requests without a route', async () => {
+            const failed = {};
+            const router = new Apify.Router();
+            router.addHandler('ONCE', async () => { throw new Error('failure'); }, { maxRequestRetries: 0 });
+            router.addHandler('TWICE', async () => { throw new Error('failure'); }, { maxRequestRetries: 2 });
+
+            const requestList = await Apify.openRequestList(null, [
+                { url: 'https://example.com/1', userData: { label: 'ONCE' } },
+                { url: 'https://example.com/2', userData: { label: 'TWICE' } },
+                { url: 'https://example.com/3', userData: { label: 'MISSING' } },
+            ]);
+
+            const crawler = new Apify.BasicCrawler({
+                requestList,
+                router,
+                maxRequestRetries: 5,
+                handleFailedRequestFunction: async ({ request, error }) => {
+                    failed[request.url] = { retryCount: request.retryCount, message: error.message };
+                },
+            });
+            await crawler.run();
+
+            expect(failed).toEqual({
+                'https://example.com/1': { retryCount: 0, message: 'failure' },
+                'https://example.com/2': { retryCount: 2, message: 'failure' },
+                'https://example.com/3': {
+                    retryCount: 0,
+                    message: 'No route found for label "MISSING" and no default route is registered.',
+                },
+            });
+        });
+
+        test('should respect route handlerTimeoutSecs', async () => {
+            const errors = [];
+            const router = new Apify.Router();
+            router.addHandler('SLOW', () => new Promise((resolve) => setTimeout(resolve, 500)), { handlerTimeoutSecs: 0.1 });
+            router.addDefaultHandler(() => new Promise((resolve) => setTimeout(resolve, 500)));
+
+            const requestList = await Apify.openRequestList(null, [
+                { url: 'https://example.com/1', userData: { label: 'SLOW' } },
+                { url: 'https://example.com/2' },
+            ]);
+
+            const crawler = new Apify.BasicCrawler({
+                requestList,
+                router,
+                maxRequestRetries: 0,
+                handleFailedRequestFunction: async ({ request, error }) => {
+                    errors.push([request.url, error.message]);
+                },
+            });
+            await crawler.run();
+
+            expect(errors).toEqual([['https://example.com/1', 'handleRequestFunction timed out after 0.1 seconds.']]);
+        });
+
+        test('should require either handleRequestFunction or router', async () => {
+            const requestList = await Apify.openRequestList(null, ['https://example.com']);
+            const router = new Apify.Router().addDefaultHandler(async () => {});
+            const handleRequestFunction = async () => {};
+
+            expect(() => new Apify.BasicCrawler({ requestList })).toThrow(/Exactly one of the parameters/);
+            expect(() => new Apify.BasicCrawler({ requestList, router, handleRequestFunction })).toThrow(/Exactly one of the parameters/);
+            expect(() => new Apify.BasicCrawler({ requestList, router: {} })).toThrow();
+            expect(() => new Apify.BasicCrawler({ requestList, router })).not.toThrow();
+            expect(() => new Apify.CheerioCrawler({ requestList, router })).not.toThrow();
+        });
+    });
+});
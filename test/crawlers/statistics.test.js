@@ -1,5 +1,5 @@
 import sinon from 'sinon';
-import Statistics from '../../build/crawlers/statistics';
+import Statistics, { ErrorTracker, MAX_HOSTNAMES } from '../../build/crawlers/statistics';
 import LocalStorageDirEmulator from '../local_storage_dir_emulator';
 import Apify from '../../build';
 import events from '../../build/events';
@@ -322,6 +322,112 @@ describe('Statistics', () => {
         });
     });
 
+    test('should count responses, bytes and requests per hostname', () => {
+        stats.startJob(0, 'https://example.com/a');
+        stats.startJob(1, 'https://www.example.com/b');
+        stats.startJob(2, 'https://example.com/c');
+        stats.registerResponse({ statusCode: 200, latencyMillis: 100 });
+        stats.registerResponse({ statusCode: 200, latencyMillis: 200 });
+        stats.registerResponse({ statusCode: 404, latencyMillis: 300 });
+        stats.registerBytesDownloaded(1000);
+        stats.registerBytesDownloaded(NaN);
+        stats.finishJob(0);
+        stats.finishJob(1);
+        stats.failJob(2);
+
+        expect(stats.state).toMatchObject({
+            responseStatusCodes: { 200: 2, 404: 1 },
+            requestsPerHostname: {
+                'example.com': { finished: 1, failed: 1 },
+                'www.example.com': { finished: 1, failed: 0 },
+            },
+            responsesReceived: 3,
+            responseTotalLatencyMillis: 600,
+            bytesDownloaded: 1000,
+        });
+        expect(stats.toJSON().responseAvgLatencyMillis).toBe(200);
+
+        stats.reset();
+        expect(stats.state.responseStatusCodes).toEqual({});
+        expect(stats.toJSON().responseAvgLatencyMillis).toBe(null);
+    });
+
+    test('should group errors by name, stack location and normalized message', () => {
+        const throwTypeError = (url) => { throw new TypeError(`Request ${url} failed after 1500 ms`); };
+        for (const url of ['https://example.com/a', 'https://example.com/b?c=1']) {
+            try {
+                throwTypeError(url);
+            } catch (err) {
+                stats.registerError(err, { isRetried: url.endsWith('a') });
+            }
+        }
+        stats.registerError(new Error('Timeout 30000 ms'), { isRetried: true });
+
+        const [first, second] = stats.getTopErrors();
+        expect(first).toMatchObject({
+            name: 'TypeError',
+            message: 'Request <url> failed after <num> ms',
+            count: 2,
+            retries: 1,
+        });
+        expect(first.location).toMatch(/^throwTypeError \(.*statistics\.test\.js:\d+:\d+\)$/);
+        expect(second).toMatchObject({ name: 'Error', message: 'Timeout <num> ms', count: 1, retries: 1 });
+        expect(stats.getTopErrors(1)).toEqual([first]);
+    });
+
+    test('should count the errors and hostnames over the limit together', () => {
+        const errorTracker = new ErrorTracker({ maxGroups: 2 });
+        ['a', 'b', 'c', 'a', 'd'].forEach((id) => errorTracker.add(new Error(`Item ${id} not found`), { isRetried: true }));
+
+        expect(errorTracker.getTopErrors().map(({ message, count }) => [message, count])).toEqual([
+            ['Item a not found', 2],
+            ['<other>', 2],
+            ['Item b not found', 1],
+        ]);
+        const loadedTracker = new ErrorTracker({ maxGroups: 1 });
+        loadedTracker.load(errorTracker.toJSON());
+        expect(loadedTracker.getTopErrors().map(({ message, count }) => [message, count])).toEqual([
+            ['<other>', 3],
+            ['Item a not found', 2],
+        ]);
+
+        for (let i = 0; i <= MAX_HOSTNAMES; i++) {
+            stats.startJob(i, `https://host-${i}.example.com`);
+            stats.finishJob(i);
+        }
+        stats.startJob('last', 'https://host-0.example.com');
+        stats.failJob('last');
+
+        const { requestsPerHostname } = stats.state;
+        expect(Object.keys(requestsPerHostname)).toHaveLength(MAX_HOSTNAMES + 1);
+        expect(requestsPerHostname['<other>']).toEqual({ finished: 1, failed: 0 });
+        expect(requestsPerHostname['host-0.example.com']).toEqual({ finished: 1, failed: 1 });
+    });
+
+    test('should log and persist top errors', async () => {
+        const logged = [];
+        sinon.stub(stats.log, 'info').callsFake((...args) => {
+            logged.push(args);
+        });
+
+        [1, 2].forEach((n) => stats.registerError(new Error(`Failed ${n}`), { isRetried: n === 2 }));
+        await stats.startCapturing();
+        clock.tick(60001);
+        expect(logged[0][1].topErrors).toEqual([
+            expect.objectContaining({ name: 'Error', message: 'Failed <num>', count: 2, retries: 1 }),
+        ]);
+
+        await stats.stopCapturing();
+        const persisted = await stats.keyValueStore.getValue(stats.persistStateKey);
+        expect(persisted.errors).toEqual(stats.getTopErrors());
+
+        stats.reset();
+        expect(stats.getTopErrors()).toEqual([]);
+        await stats.startCapturing();
+        expect(stats.getTopErrors()).toEqual(persisted.errors);
+        await stats.stopCapturing();
+    });
+
     test('should reset stats', async () => {
         await stats.startCapturing();
         stats.startJob(1);
@@ -25,7 +25,7 @@ describe('enqueueLinksByClickingElements()', () => {
     test('should work', async () => {
         const addedRequests = [];
         const requestQueue = Object.create(RequestQueue.prototype);
-        requestQueue.addRequest = async (request) => addedRequests.push(request);
+        requestQueue.addRequests = async (requests) => addedRequests.push(...requests);
         const html = `
 <html>
     <body>
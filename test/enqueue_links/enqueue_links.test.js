@@ -64,8 +64,8 @@ describe('enqueueLinks()', () => {
         test('works with item limit', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
 
             await enqueueLinks({ page, limit: 3, selector: '.click', requestQueue });
@@ -90,8 +90,8 @@ describe('enqueueLinks()', () => {
         test('works with PseudoUrl instances', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 new Apify.PseudoUrl('https://example.com/[(\\w|-|/)*]', { method: 'POST' }),
@@ -118,8 +118,8 @@ describe('enqueueLinks()', () => {
         test('works with Actor UI output object', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 { purl: 'https://example.com/[(\\w|-|/)*]', method: 'POST' },
@@ -146,8 +146,8 @@ describe('enqueueLinks()', () => {
         test('works with string pseudoUrls', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 'https://example.com/[(\\w|-|/)*]',
@@ -174,8 +174,8 @@ describe('enqueueLinks()', () => {
         test('works with RegExp pseudoUrls', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 /https:\/\/example\.com\/(\w|-|\/)*/,
@@ -202,8 +202,8 @@ describe('enqueueLinks()', () => {
         test('works with undefined pseudoUrls[]', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
 
             await enqueueLinks({ page, selector: '.click', requestQueue });
@@ -230,8 +230,8 @@ describe('enqueueLinks()', () => {
         test('works with null pseudoUrls[]', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
 
             await enqueueLinks({ page, selector: '.click', requestQueue, pseudoUrls: null });
@@ -258,8 +258,8 @@ describe('enqueueLinks()', () => {
         test('works with empty pseudoUrls[]', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
 
             await enqueueLinks({ page, selector: '.click', requestQueue, pseudoUrls: [] });
@@ -286,8 +286,8 @@ describe('enqueueLinks()', () => {
         test('throws with sparse pseudoUrls[]', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 new Apify.PseudoUrl('https://example.com/[(\\w|-|/)*]', { method: 'POST' }),
@@ -319,8 +319,8 @@ describe('enqueueLinks()', () => {
         test('works from utils namespace', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 new Apify.PseudoUrl('https://example.com/[(\\w|-|/)*]', { method: 'POST' }),
@@ -347,8 +347,8 @@ describe('enqueueLinks()', () => {
         test('works with PseudoUrl instances', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 new Apify.PseudoUrl('https://example.com/[(\\w|-|/)*]', { method: 'POST' }),
@@ -375,8 +375,8 @@ describe('enqueueLinks()', () => {
         test('works with Actor UI output object', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 { purl: 'https://example.com/[(\\w|-|/)*]', method: 'POST' },
@@ -403,8 +403,8 @@ describe('enqueueLinks()', () => {
         test('works with string pseudoUrls', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 'https://example.com/[(\\w|-|/)*]',
@@ -431,8 +431,8 @@ describe('enqueueLinks()', () => {
         test('works with RegExp pseudoUrls', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 /https:\/\/example\.com\/(\w|-|\/)*/,
@@ -459,8 +459,8 @@ describe('enqueueLinks()', () => {
         test('works with undefined pseudoUrls[]', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
 
             await enqueueLinks({ $, selector: '.click', requestQueue });
@@ -487,8 +487,8 @@ describe('enqueueLinks()', () => {
         test('works with null pseudoUrls[]', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
 
             await enqueueLinks({ $, selector: '.click', requestQueue, pseudoUrls: null });
@@ -515,8 +515,8 @@ describe('enqueueLinks()', () => {
         test('works with empty pseudoUrls[]', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
 
             await enqueueLinks({ $, selector: '.click', requestQueue, pseudoUrls: [] });
@@ -543,8 +543,8 @@ describe('enqueueLinks()', () => {
         test('throws with sparse pseudoUrls[]', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             const pseudoUrls = [
                 new Apify.PseudoUrl('https://example.com/[(\\w|-|/)*]', { method: 'POST' }),
@@ -564,8 +564,8 @@ describe('enqueueLinks()', () => {
         test('correctly resolves relative URLs', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
 
             await enqueueLinks({ $, requestQueue, baseUrl: 'http://www.absolute.com/removethis/' });
@@ -604,8 +604,8 @@ describe('enqueueLinks()', () => {
         test('throws on finding a relative link with no baseUrl set', async () => {
             const enqueued = [];
             const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
-            requestQueue.addRequest = async (request) => {
-                enqueued.push(request);
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
             };
             try {
                 await enqueueLinks({ $, requestQueue });
@@ -615,5 +615,39 @@ describe('enqueueLinks()', () => {
             }
             expect(enqueued).toHaveLength(0);
         });
+
+        test('works with strategy and exclude', async () => {
+            const enqueued = [];
+            const requestQueue = new RequestQueue({ id: 'xxx', client: apifyClient });
+            requestQueue.addRequests = async (requests) => {
+                enqueued.push(...requests);
+            };
+            $ = cheerio.load(`
+                <a href="/a">Relative</a>
+                <a href="https://shop.example.com/b">Subdomain</a>
+                <a href="http://www.example.com/c">Different protocol</a>
+                <a href="https://www.example.com/d.pdf">Excluded</a>
+                <a href="https://another.com/e">Another domain</a>
+            `);
+            const baseUrl = 'https://www.example.com/';
+
+            await enqueueLinks({ $, requestQueue, baseUrl, strategy: 'same-origin' });
+            expect(enqueued.map((r) => r.url)).toEqual(['https://www.example.com/a', 'https://www.example.com/d.pdf']);
+
+            enqueued.length = 0;
+            await enqueueLinks({ $, requestQueue, baseUrl, strategy: 'same-hostname', exclude: ['**.pdf'] });
+            expect(enqueued.map((r) => r.url)).toEqual(['https://www.example.com/a', 'http://www.example.com/c']);
+
+            enqueued.length = 0;
+            await enqueueLinks({ $, requestQueue, baseUrl, strategy: 'same-domain', exclude: [/\/c$/] });
+            expect(enqueued.map((r) => r.url)).toEqual([
+                'https://www.example.com/a',
+                'https://shop.example.com/b',
+                'https://www.example.com/d.pdf',
+            ]);
+
+            await expect(enqueueLinks({ $: cheerio.load(HTML), requestQueue, strategy: 'same-domain' }))
+                .rejects.toThrow(/must be provided to use the "same-domain" strategy/);
+        });
     });
 });
@@ -1,4 +1,6 @@
 import PseudoUrl from '../../build/pseudo_url';
+import Glob from '../../build/glob';
+import Request from '../../build/request';
 import * as shared from '../../build/enqueue_links/shared';
 
 describe('Enqueue links shared functions', () => {
@@ -21,6 +23,22 @@ describe('Enqueue links shared functions', () => {
             expect(request.userData).toEqual({ foo: 'bar' });
         });
 
+        test('should work with globs', () => {
+            const pseudoUrls = shared.constructPseudoUrlInstances([
+                new Glob('https://example.com/**', { userData: { foo: 'bar' } }),
+                { glob: 'https://example.com/*', method: 'POST', userData: { foo: 'baz' } },
+            ]);
+            expect(pseudoUrls).toHaveLength(2);
+            pseudoUrls.forEach((purl) => {
+                expect(purl).toBeInstanceOf(Glob);
+                expect(purl.matches('https://example.com/foo')).toBe(true);
+            });
+            expect(pseudoUrls[1].matches('https://example.com/foo/bar')).toBe(false);
+            const request = pseudoUrls[1].createRequest('https://example.com/foo');
+            expect(request.method).toBe('POST');
+            expect(request.userData).toEqual({ foo: 'baz' });
+        });
+
         test('should cache items', () => {
             const pseudoUrls = shared.constructPseudoUrlInstances(['http[s?]://example.com/[.*]']);
             const pseudoUrls2 = shared.constructPseudoUrlInstances(['http[s?]://example.com/[.*]']);
@@ -54,6 +72,51 @@ describe('Enqueue links shared functions', () => {
             });
             expect(requests[1].method).toBe('POST');
         });
+
+        test('should set crawlDepth from the parent request', () => {
+            const parentRequest = new Request({ url: 'https://example.com', crawlDepth: 2 });
+            const requestOptions = shared.createRequestOptions(['https://example.com/foo'], parentRequest);
+            const requests = shared.createRequests(requestOptions);
+
+            expect(requests[0].crawlDepth).toBe(3);
+            expect(shared.createRequests(shared.createRequestOptions(['https://example.com/foo']))[0].crawlDepth).toBe(0);
+        });
+
+        test('should not copy the internal data of the parent request', () => {
+            const parentRequest = new Request({ url: 'https://example.com', userData: { foo: 'bar' }, priority: 5, crawlDepth: 2 });
+            parentRequest.retryAt = new Date();
+            const requestOptions = shared.createRequestOptions(['https://example.com/foo'], parentRequest)
+                .map((opts) => ({ ...opts, userData: { ...parentRequest.userData } }));
+            const purl = new PseudoUrl('https://example.com/[.*]');
+
+            [shared.createRequests(requestOptions)[0], shared.createRequests(requestOptions, [purl])[0]].forEach((request) => {
+                expect(request.userData).toEqual({ foo: 'bar', __apify: { crawlDepth: 3 } });
+                expect(request.priority).toBe(0);
+                expect(request.retryAt).toBe(null);
+            });
+            expect(parentRequest.userData).toMatchObject({ __apify: { priority: 5, crawlDepth: 2 } });
+        });
+    });
+
+    describe('isUrlInScope()', () => {
+        test('should work', () => {
+            const baseUrl = 'https://www.example.co.uk/foo';
+            const urls = [
+                'https://www.example.co.uk/bar',
+                'http://www.example.co.uk/bar',
+                'https://shop.example.co.uk/bar',
+                'https://another.co.uk/bar',
+            ];
+            const matching = (strategy) => urls.filter((url) => shared.isUrlInScope(url, baseUrl, strategy));
+
+            expect(matching('all')).toEqual(urls);
+            expect(matching('same-origin')).toEqual(urls.slice(0, 1));
+            expect(matching('same-hostname')).toEqual(urls.slice(0, 2));
+            expect(matching('same-domain')).toEqual(urls.slice(0, 3));
+
+            expect(shared.isUrlInScope('http://127.0.0.2/', 'http://127.0.0.1:8080/', 'same-domain')).toBe(false);
+            expect(shared.isUrlInScope('http://localhost/', 'http://localhost:8080/', 'same-domain')).toBe(true);
+        });
     });
 
     describe('addRequestsToQueueInBatches()', () => {
@@ -80,4 +143,20 @@ describe('Enqueue links shared functions', () => {
             expect(results.reduce((sum, num) => sum + num)).toBe(1010);
         });
     });
+
+    describe('addRequestsToQueue()', () => {
+        test('should fall back to addRequest()', async () => {
+            const requests = [new Request({ url: 'https://example.com/1' }), new Request({ url: 'https://example.com/2' })];
+            const batchQueue = { addRequests: jest.fn(async () => []), addRequest: jest.fn() };
+            const singleQueue = { addRequest: jest.fn(async () => ({})) };
+
+            await shared.addRequestsToQueue(requests, batchQueue);
+            expect(batchQueue.addRequests).toBeCalledWith(requests);
+            expect(batchQueue.addRequest).not.toBeCalled();
+
+            await shared.addRequestsToQueue(requests, singleQueue);
+            expect(singleQueue.addRequest).toHaveBeenCalledTimes(2);
+            expect(singleQueue.addRequest).toHaveBeenLastCalledWith(requests[1]);
+        });
+    });
 });
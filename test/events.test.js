@@ -3,6 +3,7 @@ import sinon from 'sinon';
 import { ENV_VARS } from '@apify/consts';
 import { ACTOR_EVENT_NAMES_EX } from '../build/constants';
 import { sleep } from '../build/utils';
+import { addShutdownHandler, removeShutdownHandler, gracefulShutdown } from '../build/events';
 
 import Apify from '../build';
 
@@ -143,4 +144,27 @@ describe('Apify.events', () => {
         Apify.stopEvents();
         expect(eventsReceived.length).toBe(3);
     });
+
+    test('gracefulShutdown() emits persist state event and waits for shutdown handlers', async () => {
+        const eventsReceived = [];
+        Apify.events.on(ACTOR_EVENT_NAMES_EX.PERSIST_STATE, (data) => eventsReceived.push(data));
+        const calls = [];
+        const handler = async (info) => calls.push(info);
+        const failingHandler = async () => { throw new Error('Failed'); };
+        const removedHandler = async () => calls.push('removed');
+        addShutdownHandler(failingHandler);
+        addShutdownHandler(handler);
+        addShutdownHandler(removedHandler);
+        removeShutdownHandler(removedHandler);
+
+        try {
+            await gracefulShutdown({ signal: 'SIGINT', timeoutMillis: 1000 });
+        } finally {
+            removeShutdownHandler(handler);
+            removeShutdownHandler(failingHandler);
+        }
+
+        expect(eventsReceived).toEqual([{ isMigrating: false }]);
+        expect(calls).toEqual([{ signal: 'SIGINT', timeoutMillis: 1000 }]);
+    });
 });
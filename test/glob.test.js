@@ -0,0 +1,44 @@
+import Apify from '../build/index';
+import { globToRegExp } from '../build/glob';
+
+describe('Apify.Glob', () => {
+    test('globToRegExp() should work', () => {
+        const regex = globToRegExp('https://{www.,}example.com/*/item-[0-9]?.html');
+        expect(regex.test('https://example.com/shop/item-12.html')).toBe(true);
+        expect(regex.test('https://WWW.example.com/shop/item-1a.html')).toBe(true);
+        expect(regex.test('https://example.com/shop/sale/item-12.html')).toBe(false);
+        expect(regex.test('https://example.com/shop/item-a1.html')).toBe(false);
+
+        expect(globToRegExp('https://example.com/**').test('https://example.com/a/b?c=d')).toBe(true);
+        expect(globToRegExp('https://example.com/[!a]').test('https://example.com/a')).toBe(false);
+        expect(globToRegExp('https://example.com/a+b(c)').test('https://example.com/a+b(c)')).toBe(true);
+        expect(() => globToRegExp('https://{www.,example.com')).toThrow(/unclosed brace/);
+    });
+
+    test('matches() should work', () => {
+        const glob = new Apify.Glob('https://{www.,}example.com/products/**');
+
+        expect(glob).toBeInstanceOf(Apify.PseudoUrl);
+        expect(glob.glob).toBe('https://{www.,}example.com/products/**');
+        expect(glob.matches('https://example.com/products/')).toBe(true);
+        expect(glob.matches('https://www.example.com/products/shoes/123')).toBe(true);
+        expect(glob.matches('https://www.example.com/products/shoes?color=red')).toBe(true);
+        expect(glob.matches('https://shop.example.com/products/')).toBe(false);
+        expect(glob.matches('https://example.com/categories/products/')).toBe(false);
+    });
+
+    test('createRequest() should use the request template', () => {
+        const glob = new Apify.Glob('https://example.com/*', { method: 'POST', userData: { foo: 'bar' } });
+        const request = glob.createRequest({ url: 'https://example.com/foo', userData: { bar: 'baz' } });
+
+        expect(request).toBeInstanceOf(Apify.Request);
+        expect(request.url).toBe('https://example.com/foo');
+        expect(request.method).toBe('POST');
+        expect(request.userData).toEqual({ foo: 'bar', bar: 'baz' });
+    });
+
+    test('should throw on invalid globs', () => {
+        expect(() => new Apify.Glob('')).toThrow();
+        expect(() => new Apify.Glob('https://{example.com')).toThrow(/unclosed brace/);
+    });
+});
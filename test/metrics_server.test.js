@@ -0,0 +1,115 @@
+import Apify from '../build/index';
+import MetricsServer, { formatMetrics } from '../build/metrics_server';
+import AutoscaledPool from '../build/autoscaling/autoscaled_pool';
+import { requestAsBrowser } from '../build/utils_request';
+import LocalStorageDirEmulator from './local_storage_dir_emulator';
+
+const { utils: { log } } = Apify;
+
+describe('MetricsServer', () => {
+    let originalLogLevel;
+    let localStorageEmulator;
+
+    beforeAll(() => {
+        originalLogLevel = log.getLevel();
+        log.setLevel(log.LEVELS.ERROR);
+        localStorageEmulator = new LocalStorageDirEmulator();
+    });
+
+    beforeEach(async () => {
+        const storageDir = await localStorageEmulator.init();
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterAll(async () => {
+        log.setLevel(originalLogLevel);
+        await localStorageEmulator.destroy();
+    });
+
+    test('formatMetrics() works', () => {
+        const text = formatMetrics([
+            { name: 'foo_total', help: 'Foo.', type: 'counter', values: [{ value: 3 }] },
+            {
+                name: 'bar',
+                help: 'Bar.',
+                type: 'gauge',
+                values: [{ labels: { a: 'x"y', b: 'z' }, value: 1 }, { labels: { a: 'w' }, value: Infinity }],
+            },
+            { name: 'baz', help: 'Baz.', type: 'summary', values: [{ suffix: '_sum', value: 10 }, { suffix: '_count', value: 2 }] },
+        ]);
+        expect(text).toBe([
+            '# HELP apify_foo_total Foo.',
+            '# TYPE apify_foo_total counter',
+            'apify_foo_total 3',
+            '# HELP apify_bar Bar.',
+            '# TYPE apify_bar gauge',
+            'apify_bar{a="x\\"y",b="z"} 1',
+            'apify_bar{a="w"} 0',
+            '# HELP apify_baz Baz.',
+            '# TYPE apify_baz summary',
+            'apify_baz_sum 10',
+            'apify_baz_count 2',
+            '',
+        ].join('\n'));
+    });
+
+    test('should omit metrics of components the crawler does not have', async () => {
+        const server = new MetricsServer({ crawler: {} });
+        expect(await server.getMetrics()).toBe('\n');
+    });
+
+    test('should serve crawler metrics', async () => {
+        const requestQueue = await Apify.openRequestQueue();
+        await requestQueue.addRequest({ url: 'https://example.com/1' });
+        await requestQueue.addRequest({ url: 'https://example.com/2' });
+        const crawler = new Apify.BasicCrawler({
+            requestQueue,
+            useSessionPool: true,
+            handleRequestFunction: async () => {},
+        });
+        crawler.stats.startJob(0, 'https://example.com/1');
+        crawler.stats.registerResponse({ statusCode: 200, latencyMillis: 100 });
+        crawler.stats.finishJob(0);
+        crawler.sessionPool = await Apify.openSessionPool({ maxPoolSize: 2 });
+        await crawler.sessionPool.getSession();
+        crawler.autoscaledPool = new AutoscaledPool({
+            runTaskFunction: async () => {},
+            isTaskReadyFunction: async () => false,
+            isFinishedFunction: async () => true,
+            desiredConcurrency: 3,
+        });
+
+        const server = new MetricsServer({ crawler, port: 0 });
+        await server.start();
+        try {
+            expect(server.isRunning()).toBe(true);
+            const baseUrl = `http://127.0.0.1:${server.httpServer.address().port}`;
+            const response = await requestAsBrowser({ url: `${baseUrl}/metrics` });
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+
+            const lines = response.body.split('\n');
+            expect(lines).toEqual(expect.arrayContaining([
+                '# TYPE apify_crawler_requests_finished_total counter',
+                'apify_crawler_requests_finished_total 1',
+                'apify_crawler_responses_total{status_code="200"} 1',
+                'apify_crawler_hostname_requests_total{hostname="example.com",outcome="finished"} 1',
+                'apify_crawler_response_latency_milliseconds_sum 100',
+                'apify_crawler_response_latency_milliseconds_count 1',
+                'apify_autoscaled_pool_current_concurrency 0',
+                'apify_autoscaled_pool_desired_concurrency 3',
+                'apify_system_overloaded{resource="memory"} 0',
+                'apify_session_pool_usable_sessions 1',
+                'apify_session_pool_retired_sessions 0',
+                'apify_request_queue_pending_requests 2',
+                'apify_request_queue_handled_requests 0',
+            ]));
+
+            const notFound = await requestAsBrowser({ url: `${baseUrl}/foo` });
+            expect(notFound.statusCode).toBe(404);
+        } finally {
+            await server.stop();
+        }
+        expect(server.isRunning()).toBe(false);
+    });
+});
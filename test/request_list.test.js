@@ -596,6 +596,32 @@ describe('Apify.RequestList', () => {
         },
     );
 
+    test('persistState() should wait for the state that is being persisted', async () => {
+        const requestList = new Apify.RequestList({
+            sources: [{ url: 'https://example.com/1' }],
+            persistStateKey: 'some-key',
+        });
+        await requestList.initialize();
+        await requestList.fetchNextRequest();
+
+        let finishWrite;
+        const setValueStub = sinon.stub(keyValueStore, 'setValue').callsFake(() => new Promise((resolve) => { finishWrite = resolve; }));
+        try {
+            let isPersisted = false;
+            Apify.events.emit(ACTOR_EVENT_NAMES_EX.PERSIST_STATE);
+            const promise = requestList.persistState().then(() => { isPersisted = true; });
+            await utils.sleep(1);
+            expect(isPersisted).toBe(false);
+
+            finishWrite();
+            await promise;
+            expect(isPersisted).toBe(true);
+            expect(setValueStub.callCount).toBe(1);
+        } finally {
+            setValueStub.restore();
+        }
+    });
+
     test('handles correctly inconsistent inProgress fields in state', async () => {
         // NOTE: This is a test for the deleteFromInProgress hotfix - see RequestList.initialize()
 
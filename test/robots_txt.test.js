@@ -0,0 +1,176 @@
+import express from 'express';
+import cheerio from 'cheerio';
+import log from '../build/utils_log';
+import * as Apify from '../build';
+import { RobotsTxtFile, ROBOTS_TXT_KEY_PREFIX, ROBOTS_TXT_RETRY_MILLIS } from '../build/robots_txt';
+import LocalStorageDirEmulator from './local_storage_dir_emulator';
+import { startExpressAppPromise } from './_helper';
+
+const ROBOTS_TXT = `User-agent: *
+Disallow: /private
+Crawl-delay: 1
+
+User-agent: BadBot
+Disallow: /
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+describe('RobotsTxtFile', () => {
+    let logLevel;
+    let localStorageEmulator;
+    let server;
+    let origin;
+    let robotsTxtHits;
+
+    beforeAll(async () => {
+        logLevel = log.getLevel();
+        log.setLevel(log.LEVELS.OFF);
+        localStorageEmulator = new LocalStorageDirEmulator();
+
+        const app = express();
+        app.get('/robots.txt', (req, res) => {
+            robotsTxtHits++;
+            // The robots.txt exists only for 127.0.0.1, localhost gets 404.
+            if (req.hostname !== '127.0.0.1') return res.status(404).send('Not found');
+            res.type('text/plain').send(ROBOTS_TXT);
+        });
+        app.get('*', (req, res) => {
+            res.send(`<html><head><title>${req.path}</title></head><body>
+                <a href="/page">Page</a>
+                <a href="/private/page">Private page</a>
+            </body></html>`);
+        });
+        server = await startExpressAppPromise(app, 0);
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    beforeEach(async () => {
+        robotsTxtHits = 0;
+        const storageDir = await localStorageEmulator.init();
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterAll(async () => {
+        server.close();
+        await localStorageEmulator.destroy();
+        log.setLevel(logLevel);
+    });
+
+    test('should parse rules for all user agents', () => {
+        const robotsTxt = new RobotsTxtFile('https://example.com/robots.txt', ROBOTS_TXT);
+
+        expect(robotsTxt.isAllowed('https://example.com/page')).toBe(true);
+        expect(robotsTxt.isAllowed('https://example.com/private/page')).toBe(false);
+        expect(robotsTxt.isAllowed('https://other.com/private/page')).toBe(true);
+        expect(robotsTxt.getCrawlDelaySecs()).toBe(1);
+        expect(robotsTxt.getSitemaps()).toEqual(['https://example.com/sitemap.xml']);
+    });
+
+    test('load() should download robots.txt once and cache it in key-value store', async () => {
+        const [robotsTxt, sameRobotsTxt] = await Promise.all([
+            RobotsTxtFile.load(`${origin}/page`),
+            RobotsTxtFile.load(`${origin}/private/page`),
+        ]);
+
+        expect(robotsTxtHits).toBe(1);
+        expect(sameRobotsTxt).toBe(robotsTxt);
+        expect(robotsTxt.isAllowed(`${origin}/private/page`)).toBe(false);
+
+        const store = await Apify.openKeyValueStore();
+        const keys = [];
+        await store.forEachKey((key) => { keys.push(key); });
+        expect(keys).toHaveLength(1);
+        expect(keys[0].startsWith(ROBOTS_TXT_KEY_PREFIX)).toBe(true);
+        expect(await store.getValue(keys[0])).toMatchObject({ url: `${origin}/robots.txt`, content: ROBOTS_TXT });
+    });
+
+    test('load() should allow everything when robots.txt is missing', async () => {
+        const robotsTxt = await RobotsTxtFile.load(`http://localhost:${server.address().port}/private/page`);
+
+        expect(robotsTxtHits).toBe(1);
+        expect(robotsTxt.isAllowed(`http://localhost:${server.address().port}/private/page`)).toBe(true);
+        expect(robotsTxt.getCrawlDelaySecs()).toBe(undefined);
+    });
+
+    test('load() should retry the download after a while when robots.txt fails to download', async () => {
+        let hits = 0;
+        const app = express();
+        app.get('/robots.txt', (req, res) => {
+            hits++;
+            if (hits === 1) return res.status(503).send('Service unavailable');
+            res.type('text/plain').send(ROBOTS_TXT);
+        });
+        const failingServer = await startExpressAppPromise(app, 0);
+        const failingOrigin = `http://127.0.0.1:${failingServer.address().port}`;
+
+        try {
+            const robotsTxt = await RobotsTxtFile.load(`${failingOrigin}/private/page`);
+            expect(robotsTxt.isAllowed(`${failingOrigin}/private/page`)).toBe(true);
+            expect(await RobotsTxtFile.load(`${failingOrigin}/page`)).toBe(robotsTxt);
+            expect(hits).toBe(1);
+
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now + ROBOTS_TXT_RETRY_MILLIS);
+            const retriedRobotsTxt = await RobotsTxtFile.load(`${failingOrigin}/private/page`);
+            expect(hits).toBe(2);
+            expect(retriedRobotsTxt.isAllowed(`${failingOrigin}/private/page`)).toBe(false);
+        } finally {
+            jest.restoreAllMocks();
+            failingServer.close();
+        }
+    });
+
+    test('enqueueLinks() should skip URLs disallowed by robots.txt', async () => {
+        const enqueued = [];
+        const requestQueue = {
+            fetchNextRequest: async () => null,
+            addRequest: async (request) => { enqueued.push(request.url); },
+        };
+        const $ = cheerio.load('<a href="/page">Page</a><a href="/private/page">Private page</a>');
+
+        await Apify.utils.enqueueLinks({ $, requestQueue, baseUrl: origin, respectRobotsTxt: true });
+
+        expect(enqueued).toEqual([`${origin}/page`]);
+    });
+
+    test('CheerioCrawler should skip requests disallowed by robots.txt and respect Crawl-delay', async () => {
+        const handled = [];
+        const requestList = await Apify.openRequestList(null, [`${origin}/page`, `${origin}/private/page`]);
+
+        const crawler = new Apify.CheerioCrawler({
+            requestList,
+            respectRobotsTxt: true,
+            handlePageFunction: async ({ request }) => {
+                handled.push(request.url);
+            },
+        });
+        await crawler.run();
+
+        expect(handled).toEqual([`${origin}/page`]);
+        expect(await requestList.isFinished()).toBe(true);
+        expect(crawler.domainThrottle.requiredDelaysMillis.get('127.0.0.1')).toBe(1000);
+    });
+
+    test('CheerioCrawler should process the request when the robots.txt check fails', async () => {
+        const handled = [];
+        const requestList = await Apify.openRequestList(null, [`${origin}/page`]);
+        jest.spyOn(RobotsTxtFile, 'load').mockRejectedValueOnce(new Error('Storage is down'));
+
+        const crawler = new Apify.CheerioCrawler({
+            requestList,
+            respectRobotsTxt: true,
+            handlePageFunction: async ({ request }) => {
+                handled.push(request.url);
+            },
+        });
+        try {
+            await crawler.run();
+        } finally {
+            jest.restoreAllMocks();
+        }
+
+        expect(handled).toEqual([`${origin}/page`]);
+        expect(await requestList.isFinished()).toBe(true);
+    });
+});
@@ -0,0 +1,123 @@
+import express from 'express';
+import * as zlib from 'zlib';
+import log from '../build/utils_log';
+import * as Apify from '../build';
+import { parseSitemap } from '../build/sitemap';
+import LocalStorageDirEmulator from './local_storage_dir_emulator';
+import { startExpressAppPromise } from './_helper';
+
+const createUrlset = (origin, paths) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${paths.map((path) => `    <url>
+        <loc>${origin}${path}</loc>
+        <lastmod>2021-03-01</lastmod>
+        <priority>0.8</priority>
+        <image:image><image:loc>${origin}/image.png</image:loc></image:image>
+    </url>`).join('\n')}
+</urlset>`;
+
+const createSitemapIndex = (origin, paths) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${paths.map((path) => `    <sitemap><loc>${origin}${path}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+describe('Sitemap', () => {
+    let logLevel;
+    let localStorageEmulator;
+    let server;
+    let origin;
+
+    beforeAll(async () => {
+        logLevel = log.getLevel();
+        log.setLevel(log.LEVELS.OFF);
+        localStorageEmulator = new LocalStorageDirEmulator();
+
+        const app = express();
+        app.get('/robots.txt', (req, res) => {
+            res.type('text/plain').send(`User-agent: *\nSitemap: ${origin}/sitemap-index.xml\n`);
+        });
+        app.get('/sitemap.xml', (req, res) => {
+            res.type('application/xml').send(createUrlset(origin, ['/a', '/b?x=1&amp;y=2']));
+        });
+        app.get('/sitemap-index.xml', (req, res) => {
+            res.type('application/xml').send(createSitemapIndex(origin, [
+                '/sitemap.xml',
+                '/sitemap-products.xml.gz',
+                // Sitemaps referenced repeatedly or missing shouldn't break the parsing.
+                '/sitemap-index.xml',
+                '/missing.xml',
+            ]));
+        });
+        app.get('/sitemap-products.xml.gz', (req, res) => {
+            res.type('application/gzip').send(zlib.gzipSync(createUrlset(origin, ['/products/1', '/products/2'])));
+        });
+        app.get('*', (req, res) => res.status(404).send('Not found'));
+
+        server = await startExpressAppPromise(app, 0);
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    beforeEach(async () => {
+        const storageDir = await localStorageEmulator.init();
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterAll(async () => {
+        server.close();
+        await localStorageEmulator.destroy();
+        log.setLevel(logLevel);
+    });
+
+    test('parseSitemap() should read entries of a sitemap', async () => {
+        const entries = [];
+        await parseSitemap(`${origin}/sitemap.xml`, (entry) => entries.push(entry));
+
+        expect(entries).toEqual([
+            { url: `${origin}/a`, lastmod: '2021-03-01', priority: 0.8 },
+            { url: `${origin}/b?x=1&y=2`, lastmod: '2021-03-01', priority: 0.8 },
+        ]);
+    });
+
+    test('parseSitemap() should follow sitemap indexes and decompress gzipped sitemaps', async () => {
+        const urls = [];
+        await parseSitemap(`${origin}/sitemap-index.xml`, ({ url }) => urls.push(url));
+
+        expect(urls).toEqual([
+            `${origin}/a`,
+            `${origin}/b?x=1&y=2`,
+            `${origin}/products/1`,
+            `${origin}/products/2`,
+        ]);
+    });
+
+    test('parseSitemap() should discover sitemaps from robots.txt', async () => {
+        const urls = [];
+        await parseSitemap(`${origin}/robots.txt`, ({ url }) => urls.push(url));
+
+        expect(urls).toHaveLength(4);
+    });
+
+    test('parseSitemap() should throw when the sitemap cannot be fetched', async () => {
+        await expect(parseSitemap(`${origin}/missing.xml`, () => {})).rejects.toThrow(/404/);
+    });
+
+    test('RequestList should support sitemapUrl sources', async () => {
+        const requestList = await Apify.openRequestList(null, [
+            `${origin}/a`,
+            { sitemapUrl: `${origin}/sitemap-index.xml`, regex: /\/products\//, userData: { label: 'PRODUCT' } },
+        ]);
+
+        expect(requestList.length()).toBe(3);
+        const requests = [];
+        let request;
+        while ((request = await requestList.fetchNextRequest())) requests.push(request); // eslint-disable-line no-cond-assign
+
+        expect(requests.map((r) => r.url)).toEqual([`${origin}/a`, `${origin}/products/1`, `${origin}/products/2`]);
+        expect(requests[1].userData).toEqual({ label: 'PRODUCT', lastmod: '2021-03-01', priority: 0.8 });
+    });
+
+    test('RequestList should fail when the sitemap cannot be fetched', async () => {
+        await expect(Apify.openRequestList(null, [{ sitemapUrl: `${origin}/missing.xml` }]))
+            .rejects.toThrow(/Cannot fetch a request list from sitemap/);
+    });
+});
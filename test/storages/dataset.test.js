@@ -7,6 +7,7 @@ import {
     Dataset,
     checkAndSerialize,
     chunkBySize,
+    DATASET_ITERATORS_DEFAULT_LIMIT,
 } from '../../build/storages/dataset';
 import * as Apify from '../../build';
 import { StorageManager } from '../../build/storages/storage_manager';
@@ -418,6 +419,83 @@ describe('dataset', () => {
             expect(result.foo).toBe(5);
             expect(calledForIndexes).toEqual([1, 2, 3]);
         });
+
+        test('values() should read the items page by page', async () => {
+            const dataset = new Dataset({
+                id: 'some-id',
+                client: apifyClient,
+            });
+            const mockListItems = jest.spyOn(dataset.client, 'listItems');
+            mockListItems.mockResolvedValueOnce({
+                items: [
+                    { foo: 'a', bar: 1 },
+                    { foo: 'b', bar: 2 },
+                ],
+                limit: DATASET_ITERATORS_DEFAULT_LIMIT,
+                total: DATASET_ITERATORS_DEFAULT_LIMIT + 3,
+                offset: 1,
+            });
+            mockListItems.mockResolvedValueOnce({
+                items: [{ foo: 'c', bar: 3 }],
+                limit: 2,
+                total: DATASET_ITERATORS_DEFAULT_LIMIT + 3,
+                offset: DATASET_ITERATORS_DEFAULT_LIMIT + 1,
+            });
+
+            const items = [];
+            for await (const item of dataset.values({ offset: 1, limit: DATASET_ITERATORS_DEFAULT_LIMIT + 2, fields: ['foo'] })) {
+                items.push(item);
+            }
+
+            expect(items).toEqual([{ foo: 'a' }, { foo: 'b' }, { foo: 'c' }]);
+            expect(mockListItems).toHaveBeenCalledTimes(2);
+            expect(mockListItems).toHaveBeenNthCalledWith(1, { offset: 1, limit: DATASET_ITERATORS_DEFAULT_LIMIT, desc: false });
+            expect(mockListItems).toHaveBeenNthCalledWith(2, { offset: DATASET_ITERATORS_DEFAULT_LIMIT + 1, limit: 2, desc: false });
+        });
+
+        test('values() should not read the next page when the iteration is stopped', async () => {
+            const dataset = new Dataset({
+                id: 'some-id',
+                client: apifyClient,
+            });
+            const mockListItems = jest.spyOn(dataset.client, 'listItems');
+            mockListItems.mockResolvedValueOnce({
+                items: [{ foo: 'a' }, { foo: 'b' }],
+                limit: DATASET_ITERATORS_DEFAULT_LIMIT,
+                total: DATASET_ITERATORS_DEFAULT_LIMIT * 2,
+                offset: 0,
+            });
+
+            for await (const item of dataset.values({ desc: true })) {
+                expect(item).toEqual({ foo: 'a' });
+                break;
+            }
+
+            expect(mockListItems).toHaveBeenCalledTimes(1);
+            expect(mockListItems).toHaveBeenCalledWith({ offset: 0, limit: DATASET_ITERATORS_DEFAULT_LIMIT, desc: true });
+            expect(() => dataset.values({ format: 'csv' })).toThrow('Did not expect property `format` to exist');
+        });
+
+        test('createReadStream() should emit the items', async () => {
+            const dataset = new Dataset({
+                id: 'some-id',
+                client: apifyClient,
+            });
+            const mockListItems = jest.spyOn(dataset.client, 'listItems');
+            mockListItems.mockResolvedValueOnce({
+                items: [{ foo: 'a', offers: [1, 2] }],
+                limit: DATASET_ITERATORS_DEFAULT_LIMIT,
+                total: 1,
+                offset: 0,
+            });
+
+            const items = [];
+            for await (const item of dataset.createReadStream({ unwind: 'offers' })) {
+                items.push(item);
+            }
+
+            expect(items).toEqual([{ foo: 'a', offers: 1 }, { foo: 'a', offers: 2 }]);
+        });
     });
 
     describe('pushData', () => {
@@ -454,6 +532,87 @@ describe('dataset', () => {
             const jsonErrMsg = 'Converting circular structure to JSON';
             await expect(dataset.pushData(circularObj)).rejects.toThrow(jsonErrMsg);
         });
+
+        describe('with schema', () => {
+            const schema = {
+                type: 'object',
+                properties: {
+                    url: { type: 'string' },
+                    price: { type: 'number' },
+                },
+                required: ['url'],
+            };
+
+            const openDatasetWithSchema = async (onInvalidItem) => {
+                const dataset = new Dataset({
+                    id: 'some-id',
+                    client: apifyClient,
+                });
+                StorageManager.prototype.openStorage.mockResolvedValueOnce(dataset);
+                return Apify.openDataset('some-id', { schema, onInvalidItem });
+            };
+
+            test('rejects invalid items', async () => {
+                const dataset = await openDatasetWithSchema();
+                const mockPushItems = jest.spyOn(dataset.client, 'pushItems').mockResolvedValue(null);
+
+                await expect(dataset.pushData([{ url: 'a', price: 1 }, { url: 'b', price: '2' }]))
+                    .rejects.toThrow('Data item at index 1 does not match the schema of the dataset: item.price should be number');
+                await expect(dataset.pushData({ price: 1 }))
+                    .rejects.toThrow('Data item does not match the schema of the dataset: item should have required property \'url\'');
+                expect(mockPushItems).not.toHaveBeenCalled();
+            });
+
+            test('drops invalid items', async () => {
+                const dataset = await openDatasetWithSchema('drop');
+                const mockPushItems = jest.spyOn(dataset.client, 'pushItems').mockResolvedValue(null);
+                const mockWarning = jest.spyOn(dataset.log, 'warning').mockImplementation(() => {});
+
+                await dataset.pushData([{ url: 'a' }, { url: 1, price: '2' }, { url: 'c' }]);
+                await dataset.pushData({ price: 1 });
+
+                expect(mockPushItems).toHaveBeenCalledTimes(1);
+                expect(mockPushItems).toHaveBeenCalledWith(JSON.stringify([{ url: 'a' }, { url: 'c' }]));
+                expect(mockWarning).toHaveBeenCalledTimes(2);
+                expect(mockWarning).toHaveBeenNthCalledWith(1, 'Data item at index 1 does not match the schema of the dataset: '
+                    + 'item.url should be string, item.price should be number. The item was dropped.');
+            });
+
+            test('tags invalid items', async () => {
+                const dataset = await openDatasetWithSchema('tag');
+                const mockPushItems = jest.spyOn(dataset.client, 'pushItems').mockResolvedValue(null);
+
+                await dataset.pushData([{ url: 'a' }, { url: 'b', price: '2' }]);
+
+                expect(mockPushItems).toHaveBeenCalledWith(JSON.stringify([
+                    { url: 'a' },
+                    { url: 'b', price: '2', '#validationErrors': ['item.price should be number'] },
+                ]));
+                await expect(dataset.pushData([{ url: 'a' }, 'b'])).rejects.toThrow('Data item at index 1 is not an object.');
+            });
+
+            test('applies the schema only to the returned dataset', async () => {
+                const cachedDataset = new Dataset({ id: 'some-id', client: apifyClient });
+                StorageManager.prototype.openStorage.mockResolvedValueOnce(cachedDataset);
+                const dataset = await Apify.openDataset('some-id', { schema });
+                const mockPushItems = jest.spyOn(dataset.client, 'pushItems').mockResolvedValue(null);
+
+                expect(dataset).toBeInstanceOf(Dataset);
+                expect(dataset).not.toBe(cachedDataset);
+                expect(dataset.id).toBe('some-id');
+                await expect(dataset.pushData({ price: 1 })).rejects.toThrow('does not match the schema');
+                await cachedDataset.pushData({ price: 1 });
+                expect(mockPushItems).toHaveBeenCalledTimes(1);
+            });
+
+            test('throws on invalid options', async () => {
+                await expect(Apify.openDataset('some-id', { schema, onInvalidItem: 'skip' }))
+                    .rejects.toThrow('Expected property string `onInvalidItem` to be one of');
+
+                StorageManager.prototype.openStorage.mockResolvedValueOnce(new Dataset({ id: 'some-id', client: apifyClient }));
+                await expect(Apify.openDataset('some-id', { schema: { type: 'foo' } })).rejects.toThrow('schema is invalid');
+            });
+        });
     });
 
     describe('utils', () => {
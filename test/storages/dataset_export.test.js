@@ -0,0 +1,151 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as Apify from '../../build';
+import { transformItem, unwindItem, flattenObject } from '../../build/storages/dataset_export';
+import LocalStorageDirEmulator from '../local_storage_dir_emulator';
+
+const ITEMS = [
+    { url: 'https://example.com/1', title: 'First, "quoted"', details: { price: 10, tags: ['a', 'b'] } },
+    { url: 'https://example.com/2', title: 'Second\nline', details: { price: 20 }, extra: true },
+];
+
+describe('dataset export', () => {
+    let localStorageEmulator;
+    let storageDir;
+
+    beforeAll(async () => {
+        localStorageEmulator = new LocalStorageDirEmulator();
+    });
+
+    beforeEach(async () => {
+        storageDir = await localStorageEmulator.init();
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterAll(async () => {
+        await localStorageEmulator.destroy();
+    });
+
+    describe('transformations', () => {
+        test('unwindItem() works', () => {
+            expect(unwindItem({ a: 1, b: [{ c: 2 }, 3] }, 'b')).toEqual([{ a: 1, c: 2 }, { a: 1, b: 3 }]);
+            expect(unwindItem({ a: 1, b: { c: 2 } }, 'b')).toEqual([{ a: 1, c: 2 }]);
+            expect(unwindItem({ a: 1, b: 'x' }, 'b')).toEqual([{ a: 1, b: 'x' }]);
+            expect(unwindItem({ a: 1 }, 'b')).toEqual([{ a: 1 }]);
+            expect(unwindItem({ a: 1, b: [] }, 'b')).toEqual([]);
+        });
+
+        test('flattenObject() works', () => {
+            expect(flattenObject({ a: { b: [1, { c: 2 }] }, d: null, e: {}, f: [] }, '/'))
+                .toEqual({ 'a/b/0': 1, 'a/b/1/c': 2, d: null });
+        });
+
+        test('transformItem() applies unwind, fields, omit and flatten in order', () => {
+            const item = { id: 1, offers: [{ price: 10, seller: { name: 'x' } }], hidden: true };
+            expect(transformItem(item, {
+                unwind: 'offers',
+                fields: ['seller', 'id', 'price', 'hidden'],
+                omit: ['hidden'],
+                flatten: ['seller'],
+            })).toEqual([{ 'seller.name': 'x', id: 1, price: 10 }]);
+            expect(Object.keys(transformItem(item, { fields: ['hidden', 'id'] })[0])).toEqual(['hidden', 'id']);
+        });
+    });
+
+    describe('exportTo()', () => {
+        let dataset;
+
+        beforeEach(async () => {
+            dataset = await Apify.openDataset('export-test');
+            await dataset.pushData(ITEMS);
+        });
+
+        test('exports CSV to a file', async () => {
+            const filePath = path.join(storageDir, 'exports', 'items.csv');
+            await dataset.exportTo('csv', { filePath });
+
+            const csv = await fs.readFile(filePath, 'utf8');
+            expect(csv).toBe([
+                '\uFEFFurl,title,details/price,details/tags/0,details/tags/1,extra',
+                'https://example.com/1,"First, ""quoted""",10,a,b,',
+                'https://example.com/2,"Second\nline",20,,,true',
+                '',
+            ].join('\r\n'));
+        });
+
+        test('exports CSV with options', async () => {
+            const filePath = path.join(storageDir, 'items.csv');
+            await dataset.exportTo('csv', { filePath, fields: ['title', 'url'], desc: true, delimiter: ';', bom: false, skipHeaderRow: true });
+
+            const csv = await fs.readFile(filePath, 'utf8');
+            expect(csv).toBe('"Second\nline";https://example.com/2\r\n"First, ""quoted""";https://example.com/1\r\n');
+        });
+
+        test('exports JSONL to a key-value store record', async () => {
+            await dataset.exportTo('jsonl', { key: 'ITEMS', omit: ['details'], keyValueStoreName: 'exports' });
+
+            const store = await Apify.openKeyValueStore('exports');
+            const jsonl = await store.getValue('ITEMS');
+            expect(jsonl.toString().split('\n')).toEqual([
+                JSON.stringify({ url: 'https://example.com/1', title: 'First, "quoted"' }),
+                JSON.stringify({ url: 'https://example.com/2', title: 'Second\nline', extra: true }),
+                '',
+            ]);
+        });
+
+        test('exports XML and RSS', async () => {
+            const xmlPath = path.join(storageDir, 'items.xml');
+            await dataset.exportTo('xml', { filePath: xmlPath, fields: ['title', 'details'], xmlRoot: 'products', xmlRow: 'product' });
+            const xml = await fs.readFile(xmlPath, 'utf8');
+            expect(xml).toBe([
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<products>',
+                '  <product>',
+                '    <title>First, &quot;quoted&quot;</title>',
+                '    <details>',
+                '      <price>10</price>',
+                '      <tags>',
+                '        <item>a</item>',
+                '        <item>b</item>',
+                '      </tags>',
+                '    </details>',
+                '  </product>',
+                '  <product>',
+                '    <title>Second\nline</title>',
+                '    <details>',
+                '      <price>20</price>',
+                '    </details>',
+                '  </product>',
+                '</products>',
+                '',
+            ].join('\n'));
+
+            const rssPath = path.join(storageDir, 'items.rss');
+            await dataset.exportTo('rss', { filePath: rssPath, fields: ['title'] });
+            const rss = await fs.readFile(rssPath, 'utf8');
+            expect(rss).toBe([
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<rss version="2.0">',
+                '  <channel>',
+                '    <title>export-test</title>',
+                '    <description>Items of the dataset export-test</description>',
+                '    <item>',
+                '      <title>First, &quot;quoted&quot;</title>',
+                '    </item>',
+                '    <item>',
+                '      <title>Second\nline</title>',
+                '    </item>',
+                '  </channel>',
+                '</rss>',
+                '',
+            ].join('\n'));
+        });
+
+        test('throws on invalid arguments', async () => {
+            await expect(dataset.exportTo('xlsx', { filePath: 'x' })).rejects.toThrow(/Expected string .*to be one of/);
+            await expect(dataset.exportTo('csv', {})).rejects.toThrow('Exactly one of the "filePath" and "key" options must be provided.');
+            await expect(dataset.exportTo('csv', { filePath: 'x', key: 'y' }))
+                .rejects.toThrow('Exactly one of the "filePath" and "key" options must be provided.');
+        });
+    });
+});
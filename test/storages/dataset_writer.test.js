@@ -0,0 +1,113 @@
+import { ACTOR_EVENT_NAMES_EX } from '../../build/constants';
+import events, { gracefulShutdown } from '../../build/events';
+import { apifyClient } from '../../build/utils';
+import { Dataset } from '../../build/storages/dataset';
+import { DatasetWriter, flushDatasetWriters } from '../../build/storages/dataset_writer';
+
+describe('DatasetWriter', () => {
+    let dataset;
+    let mockPushItems;
+    let writer;
+
+    beforeEach(() => {
+        dataset = new Dataset({
+            id: 'some-id',
+            client: apifyClient,
+        });
+        mockPushItems = jest.spyOn(dataset.client, 'pushItems').mockResolvedValue(null);
+    });
+
+    afterEach(async () => {
+        if (writer) await writer.close();
+        writer = null;
+    });
+
+    test('should store the items in batches of maxItems', async () => {
+        writer = dataset.createWriter({ maxItems: 3, flushIntervalMillis: 60e3 });
+        expect(writer).toBeInstanceOf(DatasetWriter);
+
+        await Promise.all([
+            writer.pushData({ foo: 1 }),
+            writer.pushData([{ foo: 2 }, { foo: 3 }, { foo: 4 }]),
+        ]);
+
+        expect(mockPushItems).toHaveBeenCalledTimes(1);
+        expect(mockPushItems).toHaveBeenCalledWith(JSON.stringify([{ foo: 1 }, { foo: 2 }, { foo: 3 }, { foo: 4 }]));
+
+        const promise = writer.pushData({ foo: 5 });
+        await writer.flush();
+        await promise;
+        expect(mockPushItems).toHaveBeenCalledTimes(2);
+        expect(mockPushItems).toHaveBeenLastCalledWith(JSON.stringify({ foo: 5 }));
+    });
+
+    test('should store the items after maxBytes or flushIntervalMillis', async () => {
+        writer = dataset.createWriter({ maxBytes: 20, flushIntervalMillis: 50 });
+
+        await writer.pushData({ foo: 'x'.repeat(20) });
+        expect(mockPushItems).toHaveBeenCalledTimes(1);
+
+        const startedAt = Date.now();
+        await writer.pushData({ foo: 'y' });
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(40);
+        expect(mockPushItems).toHaveBeenCalledTimes(2);
+    });
+
+    test('should store the items on persistState and stop buffering on migration', async () => {
+        writer = dataset.createWriter({ flushIntervalMillis: 60e3 });
+
+        const promise = writer.pushData({ foo: 1 });
+        events.emit(ACTOR_EVENT_NAMES_EX.PERSIST_STATE, { isMigrating: false });
+        await promise;
+        expect(mockPushItems).toHaveBeenCalledTimes(1);
+
+        events.emit(ACTOR_EVENT_NAMES_EX.PERSIST_STATE, { isMigrating: true });
+        await writer.pushData({ foo: 2 });
+        await writer.pushData({ foo: 3 });
+        expect(mockPushItems).toHaveBeenCalledTimes(3);
+    });
+
+    test('should store the items on shutdown and when a crawler finishes', async () => {
+        writer = dataset.createWriter({ flushIntervalMillis: 60e3 });
+
+        writer.pushData({ foo: 1 });
+        await flushDatasetWriters();
+        expect(mockPushItems).toHaveBeenCalledTimes(1);
+
+        writer.pushData({ foo: 2 });
+        await gracefulShutdown({ signal: 'SIGTERM', timeoutMillis: 1000 });
+        expect(mockPushItems).toHaveBeenCalledTimes(2);
+        expect(writer.isBuffering).toBe(false);
+    });
+
+    test('should report the errors to the callers', async () => {
+        writer = dataset.createWriter({ flushIntervalMillis: 60e3 });
+        jest.spyOn(writer.log, 'exception').mockImplementation(() => {});
+
+        await expect(writer.pushData([{ foo: 1 }, 'bar'])).rejects.toThrow('Data item at index 1 is not an object.');
+
+        mockPushItems.mockRejectedValueOnce(new Error('Storage is down'));
+        const promises = [writer.pushData({ foo: 1 }), writer.pushData({ foo: 2 })];
+        await writer.flush();
+        await expect(promises[0]).rejects.toThrow('Storage is down');
+        await expect(promises[1]).rejects.toThrow('Storage is down');
+
+        const promise = writer.pushData({ foo: 3 });
+        await writer.flush();
+        await promise;
+        expect(mockPushItems).toHaveBeenCalledTimes(2);
+    });
+
+    test('should store the remaining items on close', async () => {
+        writer = dataset.createWriter({ flushIntervalMillis: 60e3 });
+
+        const promise = writer.pushData({ foo: 1 });
+        await writer.close();
+        await promise;
+        expect(mockPushItems).toHaveBeenCalledTimes(1);
+        expect(events.listenerCount(ACTOR_EVENT_NAMES_EX.PERSIST_STATE)).toBe(0);
+
+        await expect(writer.pushData({ foo: 2 })).rejects.toThrow('The dataset writer is closed');
+        expect(() => dataset.createWriter({ maxItems: 0 })).toThrow('Expected property number `maxItems` to be greater than 0');
+    });
+});
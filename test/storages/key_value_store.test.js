@@ -125,7 +125,7 @@ describe('KeyValueStore remote', () => {
             await expect(async () => store.setValue(123, 'some value'))
                 .rejects.toThrow('Expected argument to be of type `string` but received type `number`');
 
-            const valueErrMsg = 'The "value" parameter must be a String or Buffer when "options.contentType" is specified';
+            const valueErrMsg = 'The "value" parameter must be a String, Buffer or Readable stream when "options.contentType" is specified';
             await expect(async () => store.setValue('key', {}, { contentType: 'image/png' })).rejects.toThrow(valueErrMsg);
             await expect(async () => store.setValue('key', 12345, { contentType: 'image/png' })).rejects.toThrow(valueErrMsg);
             await expect(async () => store.setValue('key', () => {}, { contentType: 'image/png' })).rejects.toThrow(valueErrMsg);
@@ -148,10 +148,10 @@ describe('KeyValueStore remote', () => {
 
             const contTypeRedundantErrMsg = 'Expected property string `contentType` to not be empty in object';
             await expect(async () => store.setValue('key', null, { contentType: 'image/png' }))
-                .rejects.toThrow('The "value" parameter must be a String or Buffer when "options.contentType" is specified.');
+                .rejects.toThrow('The "value" parameter must be a String, Buffer or Readable stream when "options.contentType" is specified.');
             await expect(async () => store.setValue('key', null, { contentType: '' })).rejects.toThrow(contTypeRedundantErrMsg);
             await expect(async () => store.setValue('key', null, { contentType: {} }))
-                .rejects.toThrow('The "value" parameter must be a String or Buffer when "options.contentType" is specified.');
+                .rejects.toThrow('The "value" parameter must be a String, Buffer or Readable stream when "options.contentType" is specified.');
 
             await expect(async () => store.setValue('key', 'value', { contentType: 123 }))
                 .rejects.toThrow('Expected property `contentType` to be of type `string` but received type `number` in object');
@@ -380,4 +380,60 @@ describe('KeyValueStore remote', () => {
             });
         });
     });
+
+    describe('keys() and entries()', () => {
+        const getRemoteStore = () => {
+            const store = new KeyValueStore({
+                id: 'my-store-id-1',
+                client: apifyClient,
+            });
+
+            const mockListKeys = jest.spyOn(store.client, 'listKeys');
+            mockListKeys.mockResolvedValueOnce({
+                isTruncated: true,
+                nextExclusiveStartKey: 'key2',
+                items: [
+                    { key: 'key1', size: 1 },
+                    { key: 'key2', size: 2 },
+                ],
+            });
+            mockListKeys.mockResolvedValueOnce({
+                isTruncated: false,
+                nextExclusiveStartKey: null,
+                items: [{ key: 'key3', size: 3 }],
+            });
+
+            return { store, mockListKeys };
+        };
+
+        test('keys() should list the keys page by page', async () => {
+            const { store, mockListKeys } = getRemoteStore();
+
+            const keys = [];
+            for await (const key of store.keys({ exclusiveStartKey: 'key0' })) {
+                keys.push(key);
+            }
+
+            expect(keys).toEqual(['key1', 'key2', 'key3']);
+            expect(mockListKeys).toHaveBeenCalledTimes(2);
+            expect(mockListKeys).toHaveBeenNthCalledWith(1, { exclusiveStartKey: 'key0' });
+            expect(mockListKeys).toHaveBeenNthCalledWith(2, { exclusiveStartKey: 'key2' });
+        });
+
+        test('entries() should yield the keys with the values', async () => {
+            const { store, mockListKeys } = getRemoteStore();
+            const mockGetValue = jest.spyOn(store, 'getValue').mockImplementation(async (key) => ({ value: key }));
+
+            const entries = [];
+            for await (const entry of store.entries()) {
+                entries.push(entry);
+                if (entries.length === 2) break;
+            }
+
+            expect(entries).toEqual([['key1', { value: 'key1' }], ['key2', { value: 'key2' }]]);
+            expect(mockGetValue).toHaveBeenCalledTimes(2);
+            expect(mockListKeys).toHaveBeenCalledTimes(1);
+            expect(() => store.entries({ limit: 1 })).toThrow('Did not expect property `limit` to exist');
+        });
+    });
 });
@@ -0,0 +1,35 @@
+import PriorityListDictionary from '../../build/storages/priority_list_dictionary';
+
+describe('PriorityListDictionary', () => {
+    test('should order items by priority and then by insertion order', () => {
+        const dict = new PriorityListDictionary();
+
+        expect(dict.add('a', 'A')).toBe(true);
+        expect(dict.add('b', 'B', false, -1)).toBe(true);
+        expect(dict.add('c', 'C', false, 5)).toBe(true);
+        expect(dict.add('d', 'D', true)).toBe(true);
+        expect(dict.add('e', 'E', false, 5)).toBe(true);
+        expect(dict.add('a', 'X', true, 10)).toBe(false);
+        expect(dict.length()).toBe(5);
+
+        expect(dict.remove('e')).toBe('E');
+        expect(dict.remove('e')).toBe(null);
+
+        const items = [];
+        while (dict.length()) items.push(dict.removeFirst());
+        expect(items).toEqual(['C', 'D', 'A', 'B']);
+        expect(dict.removeFirst()).toBe(null);
+        expect(dict.priorities).toEqual([]);
+    });
+
+    test('clear() should remove all items', () => {
+        const dict = new PriorityListDictionary();
+        dict.add('a', 'A', false, 1);
+        dict.add('b', 'B');
+
+        dict.clear();
+        expect(dict.length()).toBe(0);
+        expect(dict.removeFirst()).toBe(null);
+        expect(dict.add('a', 'A')).toBe(true);
+    });
+});
@@ -395,6 +395,155 @@ describe('RequestQueue remote', () => {
         expect(addRequestMock).toHaveBeenLastCalledWith(new Apify.Request(requestOpts), { forefront: false });
     });
 
+    test('addRequests() should send requests in batches and deduplicate them locally', async () => {
+        const queue = new RequestQueue({ id: 'some-id', client: apifyClient });
+        const addRequestMock = jest.spyOn(queue.client, 'addRequest');
+        addRequestMock.mockResolvedValueOnce({ requestId: 'id-0', wasAlreadyHandled: false, wasAlreadyPresent: false });
+        await queue.addRequest({ url: 'http://example.com/0' });
+
+        // The API client doesn't process the last request of the first batch, so it's added separately.
+        queue.client.batchAddRequests = jest.fn(async (requests) => ({
+            processedRequests: requests
+                .filter(({ url }) => url !== 'http://example.com/25')
+                .map(({ url, uniqueKey }) => ({
+                    uniqueKey,
+                    requestId: `id-${url.split('/').pop()}`,
+                    wasAlreadyPresent: url === 'http://example.com/1',
+                    wasAlreadyHandled: url === 'http://example.com/1',
+                })),
+            unprocessedRequests: requests.filter(({ url }) => url === 'http://example.com/25'),
+        }));
+        addRequestMock.mockResolvedValueOnce({ requestId: 'id-25', wasAlreadyHandled: false, wasAlreadyPresent: false });
+
+        const requests = [];
+        for (let i = 0; i < 30; i++) requests.push({ url: `http://example.com/${i}` });
+        requests.push({ url: 'http://example.com/2' });
+
+        const queueOperationInfos = await queue.addRequests(requests);
+
+        expect(queue.client.batchAddRequests).toHaveBeenCalledTimes(2);
+        expect(queue.client.batchAddRequests.mock.calls[0][0].map(({ url }) => url)).toEqual(requests.slice(1, 26).map(({ url }) => url));
+        expect(queue.client.batchAddRequests.mock.calls[0][1]).toEqual({ forefront: false });
+        expect(queue.client.batchAddRequests.mock.calls[1][0]).toHaveLength(4);
+        expect(addRequestMock).toHaveBeenCalledTimes(2);
+        expect(addRequestMock).toHaveBeenLastCalledWith(new Apify.Request(requests[25]), { forefront: false });
+
+        expect(queueOperationInfos).toHaveLength(31);
+        queueOperationInfos.forEach(({ requestId, request }, i) => {
+            expect(request.url).toBe(requests[i].url);
+            expect(requestId).toBe(`id-${requests[i].url.split('/').pop()}`);
+        });
+        expect(queueOperationInfos[0]).toMatchObject({ wasAlreadyPresent: true, wasAlreadyHandled: false });
+        expect(queueOperationInfos[1]).toMatchObject({ wasAlreadyPresent: true, wasAlreadyHandled: true });
+        expect(queueOperationInfos[2]).toMatchObject({ wasAlreadyPresent: false, wasAlreadyHandled: false });
+        expect(queueOperationInfos[30]).toMatchObject({ wasAlreadyPresent: true, wasAlreadyHandled: false });
+        expect(queue.assumedTotalCount).toBe(29);
+
+        // All the requests are cached now.
+        await queue.addRequests(requests);
+        expect(queue.client.batchAddRequests).toHaveBeenCalledTimes(2);
+        expect(addRequestMock).toHaveBeenCalledTimes(2);
+    });
+
+    test('addRequests() should add requests to the forefront in the original order', async () => {
+        const queue = new RequestQueue({ id: 'some-id', client: apifyClient });
+        // The API client doesn't support batch operations, so the requests are added one by one.
+        const addRequestMock = jest.spyOn(queue.client, 'addRequest');
+        ['a', 'b', 'c'].forEach((requestId) => {
+            addRequestMock.mockResolvedValueOnce({ requestId, wasAlreadyHandled: false, wasAlreadyPresent: false });
+        });
+
+        await queue.addRequests([
+            { url: 'http://example.com/a' },
+            { url: 'http://example.com/b' },
+            { url: 'http://example.com/c' },
+        ], { forefront: true });
+
+        expect(addRequestMock).toHaveBeenCalledTimes(3);
+        expect(addRequestMock).toHaveBeenLastCalledWith(new Apify.Request({ url: 'http://example.com/c' }), { forefront: true });
+        expect(queue.queueHeadDict.removeFirst()).toBe('a');
+        expect(queue.queueHeadDict.removeFirst()).toBe('b');
+        expect(queue.queueHeadDict.removeFirst()).toBe('c');
+    });
+
+    test('addRequests() should add the requests one by one when the client has no batch operations', async () => {
+        const queue = new RequestQueue({ id: 'some-id', client: apifyClient });
+        expect(queue.client.batchAddRequests).toBe(undefined);
+        const addedUrls = [];
+        let runningCount = 0;
+        let maxRunningCount = 0;
+        jest.spyOn(queue.client, 'addRequest').mockImplementation(async (request) => {
+            runningCount++;
+            maxRunningCount = Math.max(maxRunningCount, runningCount);
+            await Apify.utils.sleep(1);
+            runningCount--;
+            addedUrls.push(request.url);
+            return { requestId: request.url, wasAlreadyHandled: false, wasAlreadyPresent: false };
+        });
+
+        const requests = [];
+        for (let i = 0; i < 30; i++) requests.push({ url: `http://example.com/${i}` });
+        const queueOperationInfos = await queue.addRequests(requests, { forefront: true });
+
+        expect(maxRunningCount).toBe(1);
+        expect(addedUrls).toEqual(requests.map(({ url }) => url));
+        expect(queueOperationInfos.map(({ requestId }) => requestId)).toEqual(addedUrls);
+    });
+
+    test('should return requests with higher priority first', async () => {
+        const queue = new RequestQueue({ id: 'some-id', client: apifyClient });
+        const addRequestMock = jest.spyOn(queue.client, 'addRequest');
+        ['a', 'b', 'c', 'd'].forEach((requestId) => {
+            addRequestMock.mockResolvedValueOnce({ requestId, wasAlreadyHandled: false, wasAlreadyPresent: false });
+        });
+
+        await queue.addRequest({ url: 'http://example.com/a' });
+        await queue.addRequest({ url: 'http://example.com/b', priority: -1 });
+        await queue.addRequest({ url: 'http://example.com/c', priority: 2 });
+        await queue.addRequest({ url: 'http://example.com/d' }, { forefront: true });
+        expect(addRequestMock.mock.calls[2][0].userData).toEqual({ __apify: { priority: 2 } });
+
+        // The priorities of requests from the queue head are taken from the local cache, or from the stored userData.
+        queue.queueHeadDict.clear();
+        jest.spyOn(queue.client, 'listHead').mockResolvedValueOnce({
+            items: [
+                { id: 'a', uniqueKey: 'http://example.com/a' },
+                { id: 'b', uniqueKey: 'http://example.com/b' },
+                { id: 'c', uniqueKey: 'http://example.com/c' },
+                { id: 'd', uniqueKey: 'http://example.com/d' },
+                { id: 'e', uniqueKey: 'http://example.com/e', userData: { __apify: { priority: 1 } } },
+            ],
+        });
+        await queue.isEmpty();
+
+        const ids = [];
+        while (queue.queueHeadDict.length()) ids.push(queue.queueHeadDict.removeFirst());
+        expect(ids).toEqual(['c', 'e', 'a', 'd', 'b']);
+    });
+
+    test('reclaimRequest() should accept a new priority', async () => {
+        const queue = new RequestQueue({ id: 'some-id', client: apifyClient });
+        jest.spyOn(queue.client, 'addRequest')
+            .mockResolvedValueOnce({ requestId: 'a', wasAlreadyHandled: false, wasAlreadyPresent: false })
+            .mockResolvedValueOnce({ requestId: 'b', wasAlreadyHandled: false, wasAlreadyPresent: false });
+        await queue.addRequest({ url: 'http://example.com/a' });
+        await queue.addRequest({ url: 'http://example.com/b' });
+
+        jest.spyOn(queue.client, 'getRequest').mockResolvedValueOnce({ url: 'http://example.com/a', id: 'a' });
+        const requestA = await queue.fetchNextRequest();
+        expect(requestA.id).toBe('a');
+
+        const updateRequestMock = jest.spyOn(queue.client, 'updateRequest')
+            .mockResolvedValueOnce({ requestId: 'a', wasAlreadyHandled: false, wasAlreadyPresent: true });
+        await queue.reclaimRequest(requestA, { priority: -1 });
+        expect(requestA.priority).toBe(-1);
+        expect(updateRequestMock).toHaveBeenLastCalledWith(requestA, { forefront: false });
+
+        await Apify.utils.sleep(STORAGE_CONSISTENCY_DELAY_MILLIS + 10);
+        expect(queue.queueHeadDict.removeFirst()).toBe('b');
+        expect(queue.queueHeadDict.removeFirst()).toBe('a');
+    });
+
     test('should return correct handledCount', async () => {
         const queue = new RequestQueue({ id: 'id', client: apifyClient });
         const getMock = jest.spyOn(queue.client, 'get');
@@ -0,0 +1,123 @@
+import * as Apify from '../../build';
+import { ACTOR_EVENT_NAMES_EX } from '../../build/constants';
+import events from '../../build/events';
+import { UniqueKeyCache } from '../../build/storages/unique_key_cache';
+import LocalStorageDirEmulator from '../local_storage_dir_emulator';
+
+const getItems = async (dataset) => (await dataset.getData()).items;
+
+describe('UniqueKeyCache', () => {
+    let localStorageEmulator;
+    let storageDirName;
+
+    beforeAll(async () => {
+        localStorageEmulator = new LocalStorageDirEmulator();
+    });
+
+    beforeEach(async () => {
+        storageDirName = `unique-keys-${Date.now()}`;
+        const storageDir = await localStorageEmulator.init(storageDirName);
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterEach(() => {
+        events.removeAllListeners(ACTOR_EVENT_NAMES_EX.PERSIST_STATE);
+    });
+
+    afterAll(async () => {
+        await localStorageEmulator.destroy();
+    });
+
+    test('should forget the oldest keys and persist the keys', async () => {
+        const cache = new UniqueKeyCache({ persistStateKey: 'UNIQUE_KEYS', maxSize: 2 });
+        await cache.initialize();
+        cache.add('a');
+        cache.add('b');
+        cache.add('c');
+        expect(cache.has('a')).toBe(false);
+        expect(cache.has('c')).toBe(true);
+
+        expect(events.listenerCount(ACTOR_EVENT_NAMES_EX.PERSIST_STATE)).toBe(1);
+        await cache.persistState();
+        const store = await Apify.openKeyValueStore();
+        expect(await store.getValue('UNIQUE_KEYS')).toEqual(['b', 'c']);
+
+        const restoredCache = new UniqueKeyCache({ persistStateKey: 'UNIQUE_KEYS', maxSize: 2 });
+        await restoredCache.initialize();
+        expect(restoredCache.has('b')).toBe(true);
+        expect(restoredCache.has('c')).toBe(true);
+
+        await restoredCache.drop();
+        expect(await store.getValue('UNIQUE_KEYS')).toBe(null);
+    });
+
+    test('should log the keys that failed to be persisted on the persistState event', async () => {
+        const cache = new UniqueKeyCache({ persistStateKey: 'UNIQUE_KEYS' });
+        await cache.initialize();
+        const exceptionSpy = jest.spyOn(cache.log, 'exception').mockImplementation(() => {});
+        const setValueSpy = jest.spyOn(cache.keyValueStore, 'setValue').mockRejectedValueOnce(new Error('Storage is down'));
+        cache.add('a');
+
+        await cache.persistStateListener();
+        expect(exceptionSpy).toBeCalledTimes(1);
+        expect(cache.isStatePersisted).toBe(false);
+
+        await cache.persistStateListener();
+        expect(setValueSpy).toBeCalledTimes(2);
+        expect(await cache.keyValueStore.getValue('UNIQUE_KEYS')).toEqual(['a']);
+    });
+
+    test('pushData() should skip the items that were already stored', async () => {
+        const dataset = await Apify.openDataset('products');
+
+        await dataset.pushData([
+            { productId: 1, title: 'a' },
+            { productId: '1', title: 'b' },
+            { productId: 1, title: 'c' },
+            { title: 'd' },
+        ], { uniqueKey: 'productId' });
+        await dataset.pushData({ productId: 1, title: 'e' }, { uniqueKey: 'productId' });
+        await dataset.pushData({ productId: 1, title: 'f' });
+        await dataset.pushData({ productId: 2, title: 'g' }, { uniqueKey: 'productId' });
+        await dataset.pushData({ sku: 1, title: 'h' }, { uniqueKey: 'sku' });
+
+        expect((await getItems(dataset)).map((item) => item.title)).toEqual(['a', 'b', 'd', 'f', 'g', 'h']);
+        await expect(dataset.pushData({}, { uniqueKey: '' })).rejects.toThrow('Expected property string `uniqueKey` to not be empty');
+    });
+
+    test('uniqueKeyField should skip the stored items after a restart', async () => {
+        let dataset = await Apify.openDataset('products', { uniqueKeyField: 'productId' });
+        await dataset.pushData([{ productId: 1 }, { productId: 2 }]);
+
+        await dataset.uniqueKeys.cache.persistState();
+
+        // The storage dir stays the same, but the opened storages are forgotten.
+        await localStorageEmulator.init(storageDirName);
+        dataset = await Apify.openDataset('products', { uniqueKeyField: 'productId' });
+        await dataset.pushData([{ productId: 2 }, { productId: 3 }]);
+
+        expect(await getItems(dataset)).toEqual([{ productId: 1 }, { productId: 2 }, { productId: 3 }]);
+    });
+
+    test('uniqueKeyField should apply only to the returned dataset', async () => {
+        const dataset = await Apify.openDataset('products', { uniqueKeyField: 'productId' });
+        const plainDataset = await Apify.openDataset('products');
+        expect(plainDataset.uniqueKeyField).toBe(null);
+
+        await dataset.pushData([{ productId: 1, title: 'a' }, { productId: 1, title: 'b' }]);
+        await plainDataset.pushData({ productId: 1, title: 'c' });
+        await plainDataset.pushData({ productId: 1, title: 'd' }, { uniqueKey: 'productId' });
+
+        expect((await getItems(plainDataset)).map((item) => item.title)).toEqual(['a', 'c']);
+    });
+
+    test('should store the items again when they failed to be stored', async () => {
+        const dataset = await Apify.openDataset('products');
+        jest.spyOn(dataset.client, 'pushItems').mockRejectedValueOnce(new Error('Storage is down'));
+
+        await expect(dataset.pushData({ productId: 1 }, { uniqueKey: 'productId' })).rejects.toThrow('Storage is down');
+        await dataset.pushData({ productId: 1 }, { uniqueKey: 'productId' });
+
+        expect(await getItems(dataset)).toEqual([{ productId: 1 }]);
+    });
+});
@@ -0,0 +1,150 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Apify from '../build/index';
+import { Span, getActiveSpan, runWithActiveSpan, traceAsync } from '../build/tracing';
+import LocalStorageDirEmulator from './local_storage_dir_emulator';
+
+describe('tracing', () => {
+    let localStorageEmulator;
+    let storageDir;
+
+    beforeAll(() => {
+        localStorageEmulator = new LocalStorageDirEmulator();
+    });
+
+    beforeEach(async () => {
+        storageDir = await localStorageEmulator.init();
+        Apify.Configuration.getGlobalConfig().set('localStorageDir', storageDir);
+    });
+
+    afterAll(async () => {
+        await localStorageEmulator.destroy();
+    });
+
+    const createRecordingTracer = () => {
+        const spans = [];
+        const tracer = new Apify.Tracer({ exporter: { export: (span) => spans.push(span) } });
+        return { tracer, spans };
+    };
+
+    test('Tracer without an exporter does not record', async () => {
+        const tracer = new Apify.Tracer();
+        const span = tracer.startSpan('request', { attributes: { foo: 'bar' } });
+        expect(span.isRecording()).toBe(false);
+        span.setAttribute('a', 1).setAttributes({ b: 2 }).setStatus('ok').recordException(new Error('Failed'));
+        span.end();
+        expect(span.attributes).toEqual({});
+        expect(span.status).toBe('unset');
+
+        await runWithActiveSpan(span, async () => {
+            expect(getActiveSpan()).toBe(undefined);
+            expect(await traceAsync('child', async () => 'result')).toBe('result');
+        });
+        await tracer.flush();
+    });
+
+    test('Span works', () => {
+        const { tracer, spans } = createRecordingTracer();
+        const parent = tracer.startSpan('request', { attributes: { 'request.url': 'https://example.com', 'session.id': undefined } });
+        const child = tracer.startSpan('handler', { parent });
+
+        expect(parent).toBeInstanceOf(Span);
+        expect(parent.attributes).toEqual({ 'request.url': 'https://example.com' });
+        expect(child.traceId).toBe(parent.traceId);
+        expect(child.parentSpanId).toBe(parent.spanId);
+        expect(parent.traceId).toMatch(/^[0-9a-f]{32}$/);
+        expect(parent.spanId).toMatch(/^[0-9a-f]{16}$/);
+
+        child.recordException(new TypeError('Failed'));
+        child.end();
+        child.end();
+        parent.end();
+
+        expect(spans).toEqual([child, parent]);
+        expect(child.isRecording()).toBe(false);
+        expect(child.toJSON()).toMatchObject({
+            name: 'handler',
+            status: 'error',
+            events: [{ name: 'exception', attributes: { 'exception.type': 'TypeError', 'exception.message': 'Failed' } }],
+        });
+        expect(parent.toJSON()).toMatchObject({ status: 'ok', parentSpanId: null, durationMillis: expect.any(Number) });
+    });
+
+    test('traceAsync() creates child spans of the active span', async () => {
+        const { tracer, spans } = createRecordingTracer();
+        const parent = tracer.startSpan('request');
+
+        await runWithActiveSpan(parent, async () => {
+            expect(getActiveSpan()).toBe(parent);
+            await traceAsync('outer', async () => {
+                await traceAsync('inner', async () => {}, { attributes: { foo: 'bar' } });
+            });
+            await expect(traceAsync('failing', async () => { throw new Error('Failed'); })).rejects.toThrow('Failed');
+        });
+        expect(getActiveSpan()).toBe(undefined);
+
+        const [inner, outer, failing] = spans;
+        expect(outer).toMatchObject({ name: 'outer', parentSpanId: parent.spanId, status: 'ok' });
+        expect(inner).toMatchObject({ name: 'inner', parentSpanId: outer.spanId, attributes: { foo: 'bar' } });
+        expect(failing).toMatchObject({ name: 'failing', parentSpanId: parent.spanId, status: 'error' });
+    });
+
+    test('storage writes are traced', async () => {
+        const { tracer, spans } = createRecordingTracer();
+        const parent = tracer.startSpan('request');
+        const dataset = await Apify.openDataset();
+        const requestQueue = await Apify.openRequestQueue();
+
+        await runWithActiveSpan(parent, async () => {
+            await dataset.pushData({ foo: 'bar' });
+            await requestQueue.addRequest({ url: 'https://example.com' });
+            // Cached requests are not written to the storage.
+            await requestQueue.addRequest({ url: 'https://example.com' });
+            await requestQueue.addRequests([{ url: 'https://example.com/1' }, { url: 'https://example.com/2' }]);
+        });
+
+        expect(spans.map(({ name, parentSpanId }) => [name, parentSpanId])).toEqual([
+            ['dataset.pushData', parent.spanId],
+            ['requestQueue.addRequest', parent.spanId],
+            ['requestQueue.addRequests', parent.spanId],
+        ]);
+        expect(spans[1].attributes).toEqual({ 'requestQueue.id': requestQueue.id, 'request.url': 'https://example.com' });
+        expect(spans[2].attributes['request.count']).toBe(2);
+    });
+
+    test('JsonLinesSpanExporter works', async () => {
+        const filePath = path.join(storageDir, 'traces', 'spans.jsonl');
+        const exporter = new Apify.JsonLinesSpanExporter({ filePath });
+        const tracer = new Apify.Tracer({ exporter });
+
+        const parent = tracer.startSpan('request', { attributes: { 'request.url': 'https://example.com' } });
+        tracer.startSpan('handler', { parent }).end();
+        parent.end();
+        await tracer.flush();
+        tracer.startSpan('request').end();
+        await tracer.flush();
+
+        const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+        expect(lines.map(({ name }) => name)).toEqual(['handler', 'request', 'request']);
+        expect(lines[1]).toEqual(parent.toJSON());
+        expect(lines[0].parentSpanId).toBe(lines[1].spanId);
+    });
+
+    test('JsonLinesSpanExporter logs the failed writes', async () => {
+        const filePath = path.join(storageDir, 'spans.jsonl');
+        const exporter = new Apify.JsonLinesSpanExporter({ filePath });
+        const tracer = new Apify.Tracer({ exporter });
+        const exceptionSpy = jest.spyOn(exporter.log, 'exception').mockImplementation(() => {});
+        jest.spyOn(fs, 'appendFile').mockRejectedValueOnce(new Error('No space left on device'));
+
+        tracer.startSpan('request').end();
+        await tracer.flush();
+        expect(exceptionSpy).toBeCalledTimes(1);
+        expect(exceptionSpy.mock.calls[0][0].message).toBe('No space left on device');
+
+        tracer.startSpan('request').end();
+        await tracer.flush();
+        const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+        expect(lines).toHaveLength(1);
+    });
+});